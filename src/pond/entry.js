@@ -33,6 +33,9 @@ export Bounded from "./lib/io/bounded";
 export PipelineOut from "./lib/io/pipelineout";
 export EventOut from "./lib/io/eventout";
 export CollectionOut from "./lib/io/collectionout";
+export AvroIn from "./lib/io/avroin";
+export AvroOut from "./lib/io/avroout";
+export { AvroEncoder, AvroDecoder } from "./lib/base/avrostream";
 
 // Functions
 export {
@@ -48,5 +51,20 @@ export {
     median,
     stdev,
     percentile,
+    timeAware,
+    timeWeightedAvg,
+    timeInState,
+    firstByTime,
+    lastByTime,
+    timeWeightedPercentile,
+    tdigest,
+    approxPercentile,
+    approxMedian,
+    hyperloglog,
+    approxDistinct,
     filter
 } from "./lib/base/functions";
+export { TDigest, HyperLogLog } from "./lib/base/sketches";
+
+// Clocks
+export { systemClock, ManualClock } from "./lib/base/clock";
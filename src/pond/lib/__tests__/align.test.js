@@ -11,6 +11,9 @@
 /* eslint-disable */
 
 import TimeSeries from "../timeseries";
+import EventOut from "../io/eventout";
+import Stream from "../io/stream";
+import TimeEvent from "../timeevent";
 import { Pipeline } from "../pipeline";
 
 const SIMPLE_GAP_DATA = {
@@ -207,3 +210,104 @@ it("can do alignment on an already aligned timeseries", () => {
     expect(timeseries.at(3).timestamp().getTime()).toEqual(1473490860000);
     expect(timeseries.at(3).value()).toEqual(40);
 });
+
+it("can align to sub-second boundaries", done => {
+    const ts = new TimeSeries({
+        name: "sensor",
+        columns: ["time", "value"],
+        points: [[1471824030050, 1], [1471824030350, 4]]
+    });
+    const aligned = ts.align({ fieldSpec: "value", period: "100ms" });
+
+    expect(aligned.size()).toBe(3);
+    expect(aligned.at(0).timestamp().getTime()).toBe(1471824030100);
+    expect(aligned.at(0).get()).toBeCloseTo(1.5, 6);
+    expect(aligned.at(1).get()).toBeCloseTo(2.5, 6);
+    expect(aligned.at(2).timestamp().getTime()).toBe(1471824030300);
+    expect(aligned.at(2).get()).toBeCloseTo(3.5, 6);
+
+    expect(() => ts.align({ fieldSpec: "value", period: "5 minutes" })).toThrow();
+
+    done();
+});
+
+const UNEVEN_DATA = {
+    name: "traffic",
+    columns: ["time", "value"],
+    points: [
+        [1471824030000, 1], // 00:00:30
+        [1471824105000, 2], // 00:01:45
+        [1471824210000, 5] // 00:03:30
+    ]
+};
+
+it("can align with nearest, backfill and mean methods", done => {
+    const ts = new TimeSeries(UNEVEN_DATA);
+    const values = method => {
+        const aligned = ts.align({ fieldSpec: "value", period: "1m", method });
+        const result = [];
+        for (const event of aligned.events()) {
+            result.push(event.get());
+        }
+        return result;
+    };
+
+    expect(values("nearest")).toEqual([1, 2, 5]);
+    expect(values("backfill")).toEqual([2, 5, 5]);
+    expect(values("mean")).toEqual([1.5, 3.5, 3.5]);
+    expect(() => values("cubic")).toThrow();
+
+    done();
+});
+
+it("can align with a spline, which waits for the next event", done => {
+    const stream = new Stream();
+    const results = [];
+
+    Pipeline()
+        .from(stream)
+        .align("value", "1m", "spline")
+        .to(EventOut, e => results.push(e));
+
+    // Points on a straight line, so the spline is the same line
+    stream.addEvent(new TimeEvent(1471824030000, 30));
+    stream.addEvent(new TimeEvent(1471824105000, 105));
+    expect(results.length).toBe(0);
+
+    stream.addEvent(new TimeEvent(1471824210000, 210));
+    expect(results.length).toBe(1);
+    expect(results[0].get()).toBeCloseTo(60, 6);
+
+    stream.stop();
+    expect(results.length).toBe(3);
+    expect(results[1].get()).toBeCloseTo(120, 6);
+    expect(results[2].get()).toBeCloseTo(180, 6);
+
+    done();
+});
+
+it("can align with a maxGap, leaving long outages as null", done => {
+    const ts = new TimeSeries({
+        name: "traffic",
+        columns: ["time", "value"],
+        points: [
+            [1471824030000, 1], // 00:00:30
+            [1471824105000, 2], // 00:01:45
+            [1471824400000, 5] // 00:06:40
+        ]
+    });
+    const aligned = ts.align({
+        fieldSpec: "value",
+        period: "1m",
+        method: "linear",
+        maxGap: "2m"
+    });
+
+    expect(aligned.size()).toBe(6);
+    expect(aligned.at(0).get()).toBeCloseTo(1.4, 6);
+    for (let i = 1; i < 6; i++) {
+        expect(aligned.at(i).get()).toBeNull();
+    }
+
+    done();
+});
@@ -0,0 +1,182 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable */
+
+import AvroIn from "../io/avroin";
+import AvroOut from "../io/avroout";
+import Event from "../event";
+import EventOut from "../io/eventout";
+import IndexedEvent from "../indexedevent";
+import Stream from "../io/stream";
+import TimeEvent from "../timeevent";
+import TimeRange from "../timerange";
+import TimeRangeEvent from "../timerangeevent";
+import TimeSeries from "../timeseries";
+import { AvroEncoder, AvroDecoder } from "../base/avrostream";
+import { Pipeline } from "../pipeline";
+import { sum } from "../base/functions";
+
+const EVENTS = [
+    new TimeEvent(1400425947000, { in: 52, out: 41, status: "ok" }),
+    new TimeEvent(1400425948000, { in: 18, out: null, status: "ok" }),
+    new TimeEvent(1400425949000, { in: 26, out: 60, status: "fail" })
+];
+
+class TrafficEvent extends TimeEvent {
+    static dataSchema() {
+        return {
+            type: "record",
+            name: "Traffic",
+            fields: [
+                { name: "in", type: "long" },
+                { name: "out", type: "long" }
+            ]
+        };
+    }
+}
+
+class TrafficSeries extends TimeSeries {
+    static event() {
+        return TrafficEvent;
+    }
+}
+
+// Feed the buffers to the decoder one byte at a time
+function decodeByteByByte(decoder, buffers) {
+    const events = [];
+    const all = Buffer.concat(buffers);
+    for (let i = 0; i < all.length; i++) {
+        decoder.decode(all.slice(i, i + 1)).forEach(e => events.push(e));
+    }
+    return events;
+}
+
+describe("Avro event streams", () => {
+    it("can encode and decode events with an inferred schema", () => {
+        const encoder = new AvroEncoder();
+        const buffers = EVENTS.map(e => encoder.encode(e));
+
+        // Only the first buffer contains a schema
+        expect(buffers[0].length).toBeGreaterThan(buffers[1].length);
+
+        const events = decodeByteByByte(new AvroDecoder(), buffers);
+        expect(events.length).toBe(3);
+        events.forEach((event, i) => {
+            expect(event instanceof TimeEvent).toBeTruthy();
+            expect(Event.is(event, EVENTS[i])).toBeTruthy();
+        });
+    });
+
+    it("can decode nested data, timeranges and indexes", () => {
+        const nested = new TimeEvent(1400425951000, {
+            NASA_north: { in: 100, out: 200 },
+            tags: ["a", "b"]
+        });
+        const range = new TimeRangeEvent(
+            new TimeRange(1429673400000, 1429707600000),
+            { title: "BOOM" }
+        );
+        const indexed = new IndexedEvent("1d-12355", { value: 42 });
+
+        [nested, range, indexed].forEach(event => {
+            const buffer = new AvroEncoder().encode(event);
+            const [decoded] = new AvroDecoder().decode(buffer);
+            expect(decoded.type()).toBe(event.type());
+            expect(Event.is(decoded, event)).toBeTruthy();
+        });
+    });
+
+    it("writes a new schema when columns are added", () => {
+        const encoder = new AvroEncoder();
+        const before = new TimeEvent(1400425947000, { in: 1 });
+        const after = new TimeEvent(1400425948000, { in: 2, out: 3 });
+        const buffers = [encoder.encode(before), encoder.encode(after)];
+
+        const events = new AvroDecoder().decode(Buffer.concat(buffers));
+        expect(events[0].toJSON().data).toEqual({ in: 1 });
+        expect(events[1].toJSON().data).toEqual({ in: 2, out: 3 });
+    });
+
+    it("can resolve older events to a newer reader schema", () => {
+        const oldEncoder = new AvroEncoder();
+        const buffer = oldEncoder.encode(new TimeEvent(1400425947000, { in: 1 }));
+
+        const schema = {
+            type: "record",
+            name: "Event",
+            fields: [
+                TimeEvent.keySchema(),
+                {
+                    name: "data",
+                    type: {
+                        type: "record",
+                        name: "Data",
+                        fields: [
+                            { name: "in", type: ["null", "double"], default: null },
+                            { name: "out", type: ["null", "double"], default: null }
+                        ]
+                    }
+                }
+            ]
+        };
+
+        const [event] = new AvroDecoder({ schema }).decode(buffer);
+        expect(event.toJSON().data).toEqual({ in: 1, out: null });
+    });
+
+    it("can use the event schema of a TimeSeries", () => {
+        const series = new TrafficSeries({
+            name: "traffic",
+            columns: ["time", "in", "out"],
+            points: [[1400425947000, 52, 41], [1400425948000, 18, 22]]
+        });
+        const schema = series.eventSchema("time");
+        const encoder = new AvroEncoder({ schema });
+        const buffers = [];
+        for (const event of series.events()) {
+            buffers.push(encoder.encode(event));
+        }
+
+        const decoder = new AvroDecoder({ schema, type: TrafficEvent });
+        const events = decoder.decode(Buffer.concat(buffers));
+        expect(events.length).toBe(2);
+        expect(events[1] instanceof TrafficEvent).toBeTruthy();
+        expect(events[1].get("out")).toBe(22);
+
+        expect(() =>
+            encoder.encode(new TimeEvent(1400425949000, { in: "x" }))).toThrow();
+    });
+
+    it("can connect stream pipelines with AvroOut and AvroIn", () => {
+        const stream = new Stream();
+        const avroIn = new AvroIn();
+        const result = [];
+
+        Pipeline()
+            .from(stream)
+            .windowBy("1s")
+            .emitOn("discard")
+            .aggregate({ in: { in: sum() } })
+            .to(AvroOut, buffer => avroIn.write(buffer));
+
+        Pipeline()
+            .from(avroIn)
+            .to(EventOut, event => result.push(event));
+
+        EVENTS.forEach(e => stream.addEvent(e));
+        stream.stop();
+
+        expect(result.length).toBe(3);
+        expect(result[0] instanceof IndexedEvent).toBeTruthy();
+        expect(result[0].indexAsString()).toBe("1s-1400425947");
+        expect(result.map(e => e.get("in"))).toEqual([52, 18, 26]);
+    });
+});
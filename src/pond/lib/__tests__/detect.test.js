@@ -0,0 +1,189 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable */
+
+import EventOut from "../io/eventout";
+import Stream from "../io/stream";
+import TimeEvent from "../timeevent";
+import TimeSeries from "../timeseries";
+import { Pipeline } from "../pipeline";
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const MIDNIGHT = 1400371200000; // Sun, 18 May 2014 00:00:00 GMT
+
+function series(values) {
+    return new TimeSeries({
+        name: "traffic",
+        columns: ["time", "value"],
+        points: values.map((v, i) => [1400425940000 + i * 1000, v])
+    });
+}
+
+function column(ts, name) {
+    const result = [];
+    for (const event of ts.events()) {
+        result.push(event.get(name));
+    }
+    return result;
+}
+
+describe("Anomaly detection", () => {
+    it("can detect values over a threshold with hysteresis", () => {
+        const ts = series([50, 120, 95, 85, 70, 130, null]);
+        const checked = ts.detect({
+            method: "threshold",
+            upper: 100,
+            hysteresis: 20
+        });
+
+        expect(column(checked, "anomaly")).toEqual([
+            false,
+            true,
+            true,
+            true,
+            false,
+            true,
+            false
+        ]);
+        expect(column(checked, "anomaly_score")).toEqual([
+            0,
+            20,
+            0,
+            0,
+            0,
+            30,
+            null
+        ]);
+        expect(column(checked, "value")).toEqual([
+            50,
+            120,
+            95,
+            85,
+            70,
+            130,
+            null
+        ]);
+    });
+
+    it("can detect values under a threshold in a stream", () => {
+        const stream = new Stream();
+        const results = [];
+
+        Pipeline()
+            .from(stream)
+            .detect({ fieldSpec: "in", lower: 10, as: "low" })
+            .filter(e => e.get("low"))
+            .to(EventOut, e => results.push(e));
+
+        stream.addEvent(new TimeEvent(1400425940000, { in: 20 }));
+        stream.addEvent(new TimeEvent(1400425941000, { in: 5 }));
+        stream.addEvent(new TimeEvent(1400425942000, { in: 15 }));
+
+        expect(results.length).toBe(1);
+        expect(results[0].get("in")).toBe(5);
+        expect(results[0].get("low_score")).toBe(5);
+    });
+
+    it("can detect outliers by z-score against a rolling baseline", () => {
+        const ts = series([10, 12, 10, 12, 10, 30]);
+        const checked = ts.detect({ method: "zscore", window: 5 });
+
+        const scores = column(checked, "anomaly_score");
+        expect(scores[0]).toBeNull();
+        expect(scores[1]).toBeNull();
+        expect(scores[2]).toBe(-1);
+        expect(scores[5]).toBeCloseTo(19.596, 3);
+        expect(column(checked, "anomaly")).toEqual([
+            false,
+            false,
+            false,
+            false,
+            false,
+            true
+        ]);
+    });
+
+    it("can use a duration baseline for z-scores", () => {
+        const ts = series([10, 12, 100, 110, 90]);
+        const checked = ts.detect({ method: "zscore", window: "3s" });
+
+        // The baseline for the last event is the two values within 3s before it
+        expect(column(checked, "anomaly_score")[4]).toBeCloseTo(-3, 6);
+    });
+
+    it("can detect seasonal deviations", () => {
+        const ts = new TimeSeries({
+            name: "traffic",
+            columns: ["time", "value"],
+            points: [
+                [MIDNIGHT, 100],
+                [MIDNIGHT + 12 * HOUR, 200],
+                [MIDNIGHT + DAY + 60000, 110],
+                [MIDNIGHT + DAY + 12 * HOUR, 400],
+                [MIDNIGHT + DAY + 18 * HOUR, 50]
+            ]
+        });
+        const checked = ts.detect({
+            method: "seasonal",
+            period: "1d",
+            tolerance: "5m"
+        });
+
+        const scores = column(checked, "anomaly_score");
+        expect(scores[0]).toBeNull();
+        expect(scores[2]).toBeCloseTo(0.1, 6);
+        expect(scores[3]).toBe(1);
+        expect(scores[4]).toBeNull();
+        expect(column(checked, "anomaly")).toEqual([
+            false,
+            false,
+            false,
+            true,
+            false
+        ]);
+    });
+
+    it("defaults the seasonal tolerance to 1% of the period", () => {
+        const ts = new TimeSeries({
+            name: "traffic",
+            columns: ["time", "value"],
+            points: [
+                [MIDNIGHT, 100],
+                [MIDNIGHT + 12 * HOUR, 200],
+                [MIDNIGHT + DAY + 60000, 110],
+                [MIDNIGHT + DAY + 12 * HOUR, 400]
+            ]
+        });
+
+        const scores = column(ts.detect({ method: "seasonal" }), "anomaly_score");
+        expect(scores[2]).toBeCloseTo(0.1, 6);
+        expect(scores[3]).toBe(1);
+
+        // a zero tolerance needs the exact time
+        const exact = column(
+            ts.detect({ method: "seasonal", tolerance: "0s" }),
+            "anomaly_score"
+        );
+        expect(exact[2]).toBeNull();
+        expect(exact[3]).toBe(1);
+    });
+
+    it("throws on bad options", () => {
+        const ts = series([1, 2, 3]);
+        expect(() => ts.detect({ method: "magic" })).toThrow();
+        expect(() => ts.detect({ method: "threshold" })).toThrow();
+        expect(() => ts.detect({ method: "zscore", window: "later" })).toThrow();
+        expect(() => ts.detect({ method: "seasonal", period: "0s" })).toThrow();
+        expect(() =>
+            ts.detect({ method: "seasonal", tolerance: "soon" })).toThrow();
+    });
+});
@@ -10,7 +10,35 @@
 
 /* eslint-disable */
 
-import { filter, sum, avg, percentile } from "../base/functions";
+import _ from "underscore";
+
+import Collection from "../collection";
+import TimeEvent from "../timeevent";
+import TimeRange from "../timerange";
+import TimeSeries from "../timeseries";
+import { Pipeline } from "../pipeline";
+import EventOut from "../io/eventout";
+import Stream from "../io/stream";
+import {
+    filter,
+    sum,
+    avg,
+    max,
+    min,
+    count,
+    first,
+    last,
+    median,
+    stdev,
+    percentile,
+    isAccumulated,
+    timeAware,
+    timeWeightedAvg,
+    timeInState,
+    firstByTime,
+    lastByTime,
+    timeWeightedPercentile
+} from "../base/functions";
 
 const goodValues = [1, 2, 3, 4, 5];
 const badValues = [1, 2, null, 4, 5];
@@ -93,3 +121,190 @@ describe("Function: percentile()", () => {
         expect(percentile(100)(values)).toEqual(1142.0);
     });
 });
+
+describe("Timestamp aware functions", () => {
+    const GAUGE = {
+        name: "gauge",
+        columns: ["time", "value", "status"],
+        points: [
+            [0, 10, "up"],
+            [10000, 20, "up"],
+            [15000, null, "down"],
+            [45000, 20, "up"],
+            [60000, 30, "up"]
+        ]
+    };
+
+    it("can weight an average by time", () => {
+        const points = [
+            { time: 0, duration: 10000, value: 10 },
+            { time: 10000, duration: 50000, value: 20 }
+        ];
+        expect(timeWeightedAvg()(points)).toBeCloseTo(18.333, 3);
+        expect(timeWeightedAvg()([])).toBeNull();
+
+        // Without durations this is the plain average
+        const instants = points.map(p => ({ ...p, duration: 0 }));
+        expect(timeWeightedAvg()(instants)).toEqual(15);
+    });
+
+    it("can find the duration weighted percentile", () => {
+        const points = [
+            { time: 0, duration: 90, value: 1 },
+            { time: 90, duration: 10, value: 100 }
+        ];
+        expect(timeWeightedPercentile(50)(points)).toEqual(1);
+        expect(timeWeightedPercentile(90)(points)).toEqual(1);
+        expect(timeWeightedPercentile(95)(points)).toEqual(100);
+        expect(() => timeWeightedPercentile(101)).toThrow();
+    });
+
+    it("can aggregate a Collection with timestamp aware functions", () => {
+        const ts = new TimeSeries(GAUGE);
+        const collection = ts.collection();
+        const range = new TimeRange(0, 60000);
+
+        // The missing value from 15s to 45s is left out
+        expect(
+            collection.aggregate(timeWeightedAvg(), "value", { range })
+        ).toBeCloseTo((10 * 10 + 20 * 5 + 20 * 15) / 30, 6);
+        expect(
+            collection.aggregate(timeInState("down"), "status", { range })
+        ).toEqual(30000);
+
+        // Without a range the last value has no duration
+        expect(collection.aggregate(timeInState("up"), "status")).toEqual(
+            30000
+        );
+    });
+
+    it("can find the first and last values by time", () => {
+        const collection = new Collection([
+            new TimeEvent(20000, { value: 3 }),
+            new TimeEvent(0, { value: 1 }),
+            new TimeEvent(10000, { value: 2 })
+        ]);
+        expect(collection.aggregate(firstByTime(), "value")).toEqual(1);
+        expect(collection.aggregate(lastByTime(), "value")).toEqual(3);
+        expect(collection.first("value")).toEqual(3);
+    });
+
+    it("can use a custom timestamp aware function", () => {
+        const timeAbove = threshold =>
+            timeAware(points =>
+                points
+                    .filter(p => p.value > threshold)
+                    .reduce((total, p) => total + p.duration, 0));
+        const collection = new TimeSeries(GAUGE).collection();
+        expect(collection.aggregate(timeAbove(15), "value")).toEqual(20000);
+    });
+
+    it("can use timestamp aware functions in a fixed window rollup", () => {
+        const ts = new TimeSeries(GAUGE);
+        const rollup = ts.fixedWindowRollup({
+            windowSize: "1m",
+            aggregation: {
+                avg: { value: avg() },
+                twa: { value: timeWeightedAvg() },
+                down: { status: timeInState("down") }
+            }
+        });
+
+        expect(rollup.size()).toEqual(2);
+        expect(rollup.at(0).get("avg")).toBeCloseTo(50 / 3, 6);
+        expect(rollup.at(0).get("twa")).toBeCloseTo(500 / 30, 6);
+        expect(rollup.at(0).get("down")).toEqual(30000);
+
+        // The last value holds until the end of the window
+        expect(rollup.at(1).get("twa")).toEqual(30);
+    });
+
+    it("can use timestamp aware functions in a pipeline aggregation", () => {
+        const ts = new TimeSeries(GAUGE);
+        const events = Pipeline()
+            .from(ts)
+            .windowBy("30s")
+            .emitOn("discard")
+            .aggregate({ twa: { value: timeWeightedAvg() } })
+            .toEventList();
+
+        expect(events.length).toEqual(3);
+        expect(events[0].get("twa")).toBeCloseTo(200 / 15, 6);
+        expect(events[1].get("twa")).toEqual(20);
+        expect(events[2].get("twa")).toEqual(30);
+    });
+});
+
+describe("Incremental accumulators", () => {
+    const reducers = { sum, avg, max, min, count, first, last, stdev };
+    const cleans = ["ignoreMissing", "zeroMissing", "propagateMissing"];
+
+    function accumulate(reducer, values) {
+        const accumulator = reducer.accumulator();
+        values.forEach(v => accumulator.add(v));
+        return accumulator.result();
+    }
+
+    it("can accumulate values with the same result as the reducer", () => {
+        _.each(reducers, (fn, name) => {
+            cleans.forEach(clean => {
+                [goodValues, badValues, [], [null]].forEach(values => {
+                    const reducer = fn(filter[clean]);
+                    const expected = reducer(values.slice());
+                    const result = accumulate(reducer, values);
+                    if (_.isNumber(expected) && !_.isNaN(expected)) {
+                        expect(result).toBeCloseTo(expected, 10);
+                    } else {
+                        expect(result).toEqual(expected);
+                    }
+                });
+            });
+        });
+    });
+
+    it("can merge accumulators", () => {
+        const values = [3, 1, 4, 1, 5, 9, 2, 6];
+        _.each(reducers, (fn, name) => {
+            const reducer = fn();
+            const a = reducer.accumulator();
+            const b = reducer.accumulator();
+            values.slice(0, 3).forEach(v => a.add(v));
+            values.slice(3).forEach(v => b.add(v));
+            expect(a.merge(b).result()).toBeCloseTo(reducer(values), 10);
+        });
+    });
+
+    it("only has accumulators for reducers that can be incremental", () => {
+        expect(isAccumulated(avg())).toBeTruthy();
+        expect(isAccumulated(median())).toBeFalsy();
+        expect(isAccumulated(avg(values => values))).toBeFalsy();
+    });
+
+    it("can aggregate each event of a stream incrementally", () => {
+        const stream = new Stream();
+        const results = [];
+
+        Pipeline()
+            .from(stream)
+            .windowBy("1h")
+            .emitOn("eachEvent")
+            .aggregate({
+                total: { value: sum() },
+                spread: { value: stdev() }
+            })
+            .to(EventOut, e => results.push(e));
+
+        const values = [];
+        for (let i = 0; i < 100; i++) {
+            const v = i % 7;
+            values.push(v);
+            stream.addEvent(new TimeEvent(i * 1000, { value: v }));
+        }
+
+        expect(results.length).toEqual(100);
+        const last = results[results.length - 1];
+        expect(last.index().asString()).toEqual("1h-0");
+        expect(last.get("total")).toEqual(sum()(values));
+        expect(last.get("spread")).toBeCloseTo(stdev()(values), 10);
+    });
+});
@@ -118,3 +118,100 @@ it("can create a year index for a date", done => {
     expect(Index.getYearlyIndexString(date)).toBe(expected);
     done();
 });
+
+it("can create a week index", done => {
+    const index = new Index("2017-W14");
+    const expected = "[Mon, 03 Apr 2017 00:00:00 GMT, Sun, 09 Apr 2017 23:59:59 GMT]";
+    expect(index.asTimerange().toUTCString()).toBe(expected);
+    expect(index.toNiceString()).toBe("Week 14, 2017");
+    done();
+});
+
+it("can create a quarter index", done => {
+    const index = new Index("2014-Q3");
+    const expected = "[Tue, 01 Jul 2014 00:00:00 GMT, Tue, 30 Sep 2014 23:59:59 GMT]";
+    expect(index.asTimerange().toUTCString()).toBe(expected);
+    expect(index.toNiceString()).toBe("Q3 2014");
+    done();
+});
+
+it("can create a calendar index in a time zone", done => {
+    const week = new Index("2017-W14", "America/New_York");
+    expect(week.begin().getTime()).toBe(1491192000000);
+    expect(week.end().getTime()).toBe(1491796799999);
+
+    // The day the clocks go forward is only 23 hours long
+    const day = new Index("2017-03-12", "America/New_York");
+    expect(day.begin().toISOString()).toBe("2017-03-12T05:00:00.000Z");
+    expect(day.end().getTime() + 1 - day.begin().getTime()).toBe(
+        23 * 60 * 60 * 1000
+    );
+    done();
+});
+
+it("throws when the time zone is unknown", done => {
+    expect(() => new Index("2017-04", "Mars/Olympus_Mons")).toThrow();
+    done();
+});
+
+it("has no range when the calendar index is invalid", done => {
+    expect(new Index("2017-W53").asTimerange()).toBeUndefined();
+    expect(new Index("2015-W53").asTimerange()).toBeDefined();
+    expect(new Index("2017-Q5").asTimerange()).toBeUndefined();
+    expect(new Index("2017-13").asTimerange()).toBeUndefined();
+    done();
+});
+
+it("can create a week index for a date", done => {
+    expect(Index.getWeeklyIndexString(new Date(Date.UTC(2014, 11, 29)), true))
+        .toBe("2015-W01");
+    expect(Index.getWeeklyIndexString(new Date(Date.UTC(2016, 0, 1)), true))
+        .toBe("2015-W53");
+    done();
+});
+
+it("can create a quarter index for a date", done => {
+    const date = new Date(Date.UTC(2015, 3, 21));
+    expect(Index.getQuarterlyIndexString(date, true)).toBe("2015-Q2");
+    expect(Index.getCalendarIndexString("quarterly", date, true)).toBe(
+        "2015-Q2"
+    );
+    done();
+});
+
+it("can create a day index for a date in a time zone", done => {
+    const date = new Date(1429673400000);
+    expect(Index.getDailyIndexString(date, "Asia/Tokyo")).toBe("2015-04-22");
+    expect(Index.getDailyIndexString(date, "America/Los_Angeles")).toBe(
+        "2015-04-21"
+    );
+    done();
+});
+
+it("can create a millisecond index", done => {
+    const index = new Index("500ms-2800851894");
+    expect(index.asTimerange().toJSON()).toEqual([
+        1400425947000,
+        1400425947500
+    ]);
+    expect(index.toNiceString()).toBe("500ms-2800851894");
+    expect(Index.getIndexString("250ms", new Date(1400425947600))).toBe(
+        "250ms-5601703790"
+    );
+    done();
+});
+
+it("can create fractional and compound duration indexes", done => {
+    expect(new Index("1h30m-10").asTimerange().toJSON()).toEqual([
+        54000000,
+        59400000
+    ]);
+    expect(new Index("1.5s-2").asTimerange().toJSON()).toEqual([3000, 4500]);
+
+    const date = new Date(1400425947600);
+    const index = new Index(Index.getIndexString("1m30s", date));
+    expect(index.toString()).toBe("1m30s-15560288");
+    expect(+index.begin()).toBeLessThanOrEqual(+date);
+    expect(+index.end()).toBeGreaterThan(+date);
+    done();
+});
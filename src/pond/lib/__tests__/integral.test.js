@@ -0,0 +1,145 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable */
+
+import EventOut from "../io/eventout";
+import Stream from "../io/stream";
+import TimeEvent from "../timeevent";
+import TimeSeries from "../timeseries";
+import { Pipeline } from "../pipeline";
+
+const HOUR = 60 * 60 * 1000;
+const MIDNIGHT = 1400371200000; // Sun, 18 May 2014 00:00:00 GMT
+
+function series(points) {
+    return new TimeSeries({
+        name: "traffic",
+        columns: ["time", "in"],
+        points
+    });
+}
+
+function column(ts, name) {
+    const result = [];
+    for (const event of ts.events()) {
+        result.push(event.get(name));
+    }
+    return result;
+}
+
+it("can integrate using the trapezoidal rule", () => {
+    const ts = series([[0, 0], [10000, 10], [20000, 10], [30000, 0]]);
+    const integral = ts.integral({ fieldSpec: "in" });
+
+    expect(integral.size()).toEqual(4);
+    expect(integral.at(0) instanceof TimeEvent).toBeTruthy();
+    expect(integral.at(3).timestamp().getTime()).toEqual(30000);
+    expect(column(integral, "in_integral")).toEqual([0, 50, 150, 200]);
+});
+
+it("can integrate using a left Riemann sum", () => {
+    const ts = series([[0, 0], [10000, 10], [20000, 10], [30000, 0]]);
+    const integral = ts.integral({ fieldSpec: "in", method: "left" });
+    expect(column(integral, "in_integral")).toEqual([0, 0, 100, 200]);
+});
+
+it("can integrate across missing values", () => {
+    const ts = series([[0, 10], [10000, null], [20000, 10], [30000, 10]]);
+
+    const trapezoid = ts.integral({ fieldSpec: "in" });
+    expect(column(trapezoid, "in_integral")).toEqual([0, 0, 0, 100]);
+
+    const left = ts.integral({ fieldSpec: "in", method: "left" });
+    expect(column(left, "in_integral")).toEqual([0, 100, 100, 200]);
+});
+
+it("can reset the integral at the start of each window", () => {
+    const ts = series([[0, 1], [40000, 1], [80000, 1], [120000, 1]]);
+    const integral = ts.integral({ fieldSpec: "in", resetBy: "1m" });
+
+    // The time between 40s and 80s is split at the start of the minute
+    expect(column(integral, "in_integral")).toEqual([0, 40, 20, 0]);
+});
+
+it("can reset the integral at the start of each day in a time zone", () => {
+    // New York midnight is 04:00 GMT
+    const ts = series([
+        [MIDNIGHT + 2 * HOUR, 1],
+        [MIDNIGHT + 3 * HOUR, 1],
+        [MIDNIGHT + 5 * HOUR, 1]
+    ]);
+    const integral = ts.integral({
+        fieldSpec: "in",
+        method: "left",
+        resetBy: "daily",
+        timezone: "America/New_York"
+    });
+    expect(column(integral, "in_integral")).toEqual([0, 3600, 3600]);
+
+    const utc = ts.integral({
+        fieldSpec: "in",
+        method: "left",
+        resetBy: "daily",
+        timezone: "Etc/UTC"
+    });
+    expect(column(utc, "in_integral")).toEqual([0, 3600, 3 * 3600]);
+});
+
+it("can calculate the cumulative sum", () => {
+    const ts = series([[0, 1], [30000, 2], [60000, null], [90000, 3]]);
+
+    const sum = ts.cumsum({ fieldSpec: "in" });
+    expect(column(sum, "in_cumsum")).toEqual([1, 3, 3, 6]);
+
+    const perMinute = ts.cumsum({ fieldSpec: "in", resetBy: "1m" });
+    expect(column(perMinute, "in_cumsum")).toEqual([1, 3, 0, 3]);
+});
+
+it("can calculate the cumulative sum of a stream", () => {
+    const stream = new Stream();
+    const results = [];
+
+    Pipeline()
+        .from(stream)
+        .cumsum({ fieldSpec: ["in", "out"] })
+        .to(EventOut, e => results.push(e));
+
+    stream.addEvent(new TimeEvent(0, { in: 1, out: 2 }));
+    stream.addEvent(new TimeEvent(1000, { in: 3, out: 4 }));
+
+    expect(results.length).toEqual(2);
+    expect(results[1].get("in_cumsum")).toEqual(4);
+    expect(results[1].get("out_cumsum")).toEqual(6);
+});
+
+it("can integrate a stream with the default options", () => {
+    const stream = new Stream();
+    const integrals = [];
+    const sums = [];
+
+    const p = Pipeline().from(stream);
+    p.integral().to(EventOut, e => integrals.push(e));
+    p.cumsum().to(EventOut, e => sums.push(e));
+
+    stream.addEvent(new TimeEvent(0, 2));
+    stream.addEvent(new TimeEvent(1000, 4));
+
+    expect(integrals[1].get("value_integral")).toEqual(3);
+    expect(sums[1].get("value_cumsum")).toEqual(6);
+});
+
+it("throws on bad integral options", () => {
+    const ts = series([[0, 1], [30000, 2]]);
+    expect(() => ts.integral({ fieldSpec: "in", method: "simpson" })).toThrow();
+    expect(() => ts.integral({ fieldSpec: "in", resetBy: "fortnightly" })).toThrow();
+    expect(() =>
+        ts.cumsum({ fieldSpec: "in", resetBy: "daily", timezone: "Mars/Base" })).toThrow();
+});
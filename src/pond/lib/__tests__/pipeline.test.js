@@ -20,6 +20,7 @@ import TimeRange from "../timerange";
 import TimeRangeEvent from "../timerangeevent";
 import TimeSeries from "../timeseries";
 import { Pipeline } from "../pipeline";
+import { ManualClock } from "../base/clock";
 import {
     keep,
     avg,
@@ -546,6 +547,934 @@ describe("Pipeline", () => {
         });
     });
 
+    describe("sliding windows", () => {
+        const eventsIn = [];
+        for (let i = 0; i < 7; i++) {
+            eventsIn.push(new TimeEvent(Date.UTC(2015, 2, 14, 8, i, 0), {
+                value: i + 1
+            }));
+        }
+
+        it("can aggregate a moving average over sliding windows", () => {
+            const stream = new Stream();
+            const result = {};
+
+            Pipeline()
+                .from(stream)
+                .windowBy({ type: "sliding", duration: "5m", step: "1m" })
+                .emitOn("discard")
+                .aggregate({ avg: { value: avg() } })
+                .to(EventOut, event => {
+                    result[`${+event.timestamp()}`] = event;
+                });
+
+            eventsIn.forEach(event => stream.addEvent(event));
+
+            // Windows beginning at 7:56 through to 8:01 have ended
+            expect(Object.keys(result).length).toBe(6);
+
+            const w1 = result[`${Date.UTC(2015, 2, 14, 7, 56, 0)}`];
+            expect(w1 instanceof TimeRangeEvent).toBeTruthy();
+            expect(w1.get("avg")).toBe(1);
+
+            const w2 = result[`${Date.UTC(2015, 2, 14, 8, 0, 0)}`];
+            expect(+w2.end()).toBe(Date.UTC(2015, 2, 14, 8, 5, 0));
+            expect(w2.get("avg")).toBe(3);
+
+            const w3 = result[`${Date.UTC(2015, 2, 14, 8, 1, 0)}`];
+            expect(w3.get("avg")).toBe(4);
+        });
+
+        it("can collect overlapping collections from sliding windows", () => {
+            const collection = new Collection(eventsIn);
+            const collections = Pipeline()
+                .from(collection)
+                .windowBy({ type: "sliding", duration: "4m", step: "2m" })
+                .emitOn("discard")
+                .toKeyedCollections();
+
+            const begin = Date.UTC(2015, 2, 14, 8, 0, 0);
+            const end = Date.UTC(2015, 2, 14, 8, 4, 0);
+            const c = collections[`${begin},${end}`];
+            expect(c.size()).toBe(4);
+            expect(c.at(0).value()).toBe(1);
+            expect(c.at(3).value()).toBe(4);
+            expect(Object.keys(collections).length).toBe(5);
+        });
+
+        it("can take the first event within each sliding window", () => {
+            const collection = new Collection(eventsIn);
+            let result;
+            Pipeline()
+                .from(collection)
+                .windowBy({ type: "sliding", duration: "4m", step: "2m" })
+                .take(1)
+                .clearWindow()
+                .to(CollectionOut, c => result = c);
+
+            expect(result.size()).toBe(4);
+            expect(result.at(0).value()).toBe(1);
+            expect(result.at(1).value()).toBe(3);
+            expect(result.at(2).value()).toBe(5);
+            expect(result.at(3).value()).toBe(7);
+        });
+
+        it("should require a step for sliding windows", () => {
+            expect(() => {
+                Pipeline().windowBy({ type: "sliding", duration: "5m" });
+            }).toThrow();
+        });
+    });
+
+    describe("session windows", () => {
+        const t = (h, m) => Date.UTC(2015, 2, 14, h, m, 0);
+        const eventsIn = [
+            new TimeEvent(t(8, 0), { host: "a", value: 1 }),
+            new TimeEvent(t(8, 1), { host: "b", value: 1 }),
+            new TimeEvent(t(8, 2), { host: "a", value: 2 }),
+            new TimeEvent(t(8, 5), { host: "a", value: 3 }),
+            new TimeEvent(t(8, 20), { host: "b", value: 4 }),
+            new TimeEvent(t(8, 30), { host: "a", value: 5 }),
+            new TimeEvent(t(8, 31), { host: "a", value: 6 })
+        ];
+
+        it("can aggregate sessions per group from a stream", () => {
+            const stream = new Stream();
+            const result = {};
+
+            Pipeline()
+                .from(stream)
+                .groupBy("host")
+                .windowBy({ type: "session", gap: "10m" })
+                .emitOn("discard")
+                .aggregate({
+                    host: { host: keep() },
+                    total: { value: sum() }
+                })
+                .to(EventOut, event => {
+                    result[`${event.get("host")}-${+event.begin()}`] = event;
+                });
+
+            eventsIn.forEach(event => stream.addEvent(event));
+
+            // The first session of each host has closed, as has the second
+            // session of host b, since the last event is more than 10m later
+            expect(Object.keys(result).length).toBe(3);
+            const a1 = result[`a-${t(8, 0)}`];
+            expect(a1 instanceof TimeRangeEvent).toBeTruthy();
+            expect(+a1.end()).toBe(t(8, 5));
+            expect(a1.get("total")).toBe(6);
+            expect(result[`b-${t(8, 1)}`].get("total")).toBe(1);
+            expect(result[`b-${t(8, 20)}`].get("total")).toBe(4);
+
+            // Stopping the stream flushes the open session
+            stream.stop();
+            expect(Object.keys(result).length).toBe(4);
+            expect(+result[`a-${t(8, 30)}`].end()).toBe(t(8, 31));
+            expect(result[`a-${t(8, 30)}`].get("total")).toBe(11);
+        });
+
+        it("can collect sessions into keyed collections", () => {
+            const collections = Pipeline()
+                .from(new Collection(eventsIn))
+                .windowBy({ type: "session", gap: "10m" })
+                .emitOn("discard")
+                .toKeyedCollections();
+
+            // Without grouping, 8:30 is within 10m of 8:20
+            expect(Object.keys(collections).length).toBe(2);
+            expect(collections[`session-${t(8, 0)}`].size()).toBe(4);
+            expect(collections[`session-${t(8, 20)}`].size()).toBe(3);
+        });
+
+        it("can take the first event of each session", () => {
+            const result = [];
+            Pipeline()
+                .from(new Collection(eventsIn))
+                .groupBy("host")
+                .windowBy({ type: "session", gap: "10m" })
+                .take(1)
+                .to(EventOut, e => result.push(e));
+
+            expect(result.length).toBe(4);
+            expect(+result[2].timestamp()).toBe(t(8, 20));
+            expect(+result[3].timestamp()).toBe(t(8, 30));
+        });
+
+        it("should require a gap for session windows", () => {
+            expect(() => {
+                Pipeline().windowBy({ type: "session" });
+            }).toThrow();
+            expect(() => {
+                Pipeline().windowBy({ type: "session", gap: 600000 });
+            }).toThrow();
+            expect(() => {
+                Pipeline().windowBy({ type: "session", gap: "ten minutes" });
+            }).toThrow();
+        });
+    });
+
+    describe("count windows", () => {
+        const eventsIn = [];
+        for (let i = 0; i < 7; i++) {
+            eventsIn.push(new TimeEvent(Date.UTC(2015, 2, 14, 8, i, 0), {
+                value: i + 1
+            }));
+        }
+
+        it("can aggregate every n events", () => {
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .windowBy({ type: "count", count: 3 })
+                .emitOn("discard")
+                .aggregate({ avg: { value: avg() } })
+                .to(EventOut, event => result.push(event));
+
+            eventsIn.forEach(event => stream.addEvent(event));
+
+            expect(result.length).toBe(2);
+            expect(result[0] instanceof TimeRangeEvent).toBeTruthy();
+            expect(result[0].get("avg")).toBe(2);
+            expect(+result[0].begin()).toBe(Date.UTC(2015, 2, 14, 8, 0, 0));
+            expect(+result[0].end()).toBe(Date.UTC(2015, 2, 14, 8, 2, 0));
+            expect(result[1].get("avg")).toBe(5);
+
+            // The partial batch is emitted when the stream is stopped
+            stream.stop();
+            expect(result.length).toBe(3);
+            expect(result[2].get("avg")).toBe(7);
+        });
+
+        it("can aggregate a rolling window of the last n events", () => {
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .windowBy({ type: "rolling", count: 3 })
+                .emitOn("discard")
+                .aggregate({ avg: { value: avg() } })
+                .to(EventOut, event => result.push(event));
+
+            eventsIn.forEach(event => stream.addEvent(event));
+
+            expect(result.length).toBe(5);
+            expect(result.map(e => e.get("avg"))).toEqual([2, 3, 4, 5, 6]);
+            expect(+result[4].begin()).toBe(Date.UTC(2015, 2, 14, 8, 4, 0));
+            expect(+result[4].end()).toBe(Date.UTC(2015, 2, 14, 8, 6, 0));
+        });
+
+        it("can collect every n events into keyed collections", () => {
+            const collections = Pipeline()
+                .from(new Collection(eventsIn))
+                .windowBy({ type: "count", count: 3 })
+                .emitOn("discard")
+                .toKeyedCollections();
+
+            expect(collections["count-0"].size()).toBe(3);
+            expect(collections["count-1"].size()).toBe(3);
+            expect(collections["count-2"].size()).toBe(1);
+        });
+
+        it("can take the first event of every n events", () => {
+            const result = [];
+            Pipeline()
+                .from(new Collection(eventsIn))
+                .windowBy({ type: "count", count: 3 })
+                .take(1)
+                .to(EventOut, e => result.push(e));
+
+            expect(result.map(e => e.value())).toEqual([1, 4, 7]);
+        });
+
+        it("should require a positive integer count", () => {
+            expect(() => {
+                Pipeline().windowBy({ type: "count", count: "10" });
+            }).toThrow();
+            expect(() => {
+                Pipeline().windowBy({ type: "rolling", count: 0 });
+            }).toThrow();
+        });
+    });
+
+    describe("calendar windows", () => {
+        it("can aggregate a stream into days in a time zone", () => {
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .windowBy({ type: "daily", timezone: "America/New_York" })
+                .emitOn("discard")
+                .aggregate({ total: { value: sum() } })
+                .to(EventOut, event => result.push(event));
+
+            stream.addEvent(new TimeEvent(Date.UTC(2017, 3, 3, 3, 0), 1));
+            stream.addEvent(new TimeEvent(Date.UTC(2017, 3, 3, 5, 0), 2));
+            stream.addEvent(new TimeEvent(Date.UTC(2017, 3, 3, 20, 0), 3));
+            stream.addEvent(new TimeEvent(Date.UTC(2017, 3, 4, 5, 0), 4));
+            stream.stop();
+
+            expect(result.map(e => e.indexAsString())).toEqual([
+                "2017-04-02",
+                "2017-04-03",
+                "2017-04-04"
+            ]);
+            expect(result.map(e => e.get("total"))).toEqual([1, 5, 4]);
+            expect(+result[1].begin()).toBe(Date.UTC(2017, 3, 3, 4, 0));
+        });
+    });
+
+    describe("late data", () => {
+        const t = (m, s) => Date.UTC(2015, 2, 14, 8, m, s);
+        const eventsIn = [
+            new TimeEvent(t(0, 0), 1),
+            new TimeEvent(t(0, 40), 2),
+            new TimeEvent(t(1, 10), 3),
+            new TimeEvent(t(0, 50), 4), // out of order, within lateness
+            new TimeEvent(t(1, 35), 5),
+            new TimeEvent(t(0, 55), 6) // late, after the window is emitted
+        ];
+
+        const run = lateness => {
+            const stream = new Stream();
+            const result = [];
+            Pipeline()
+                .from(stream)
+                .windowBy("1m")
+                .emitOn("discard")
+                .allowLateness(lateness)
+                .aggregate({ total: { value: sum() } })
+                .to(EventOut, event => result.push(event));
+            eventsIn.forEach(event => stream.addEvent(event));
+            return result;
+        };
+
+        it("can aggregate out of order events within the lateness", () => {
+            const result = run({ lateness: "30s" });
+            expect(result.length).toBe(1);
+            expect(result[0].indexAsString()).toBe("1m-23772000");
+            expect(result[0].get("total")).toBe(7);
+        });
+
+        it("can re-emit an updated aggregate for late events", () => {
+            const result = run({ lateness: "30s", policy: "update" });
+            expect(result.length).toBe(2);
+            expect(result[0].get("total")).toBe(7);
+            expect(result[1].indexAsString()).toBe("1m-23772000");
+            expect(result[1].get("total")).toBe(13);
+        });
+
+        it("can route late events to a side output", () => {
+            const late = [];
+            const result = run({
+                lateness: "30s",
+                policy: "side",
+                sideOutput: event => late.push(event)
+            });
+            expect(result.length).toBe(1);
+            expect(result[0].get("total")).toBe(7);
+            expect(late.length).toBe(1);
+            expect(late[0].value()).toBe(6);
+        });
+
+        it("should reject an unknown late event policy", () => {
+            expect(() => {
+                Pipeline().allowLateness({ lateness: "30s", policy: "nope" });
+            }).toThrow();
+        });
+
+        it("should reject a lateness that isn't a duration", () => {
+            expect(() => {
+                Pipeline().allowLateness({ lateness: 30000 });
+            }).toThrow();
+            expect(() => {
+                Pipeline().allowLateness({ lateness: "30 s" });
+            }).toThrow();
+            expect(() => {
+                Pipeline().allowLateness({ lateness: "0s" });
+            }).not.toThrow();
+        });
+
+        it("should allow lateness with the default options", () => {
+            const result = run();
+            expect(result.length).toBe(1);
+            expect(result[0].get("total")).toBe(3);
+        });
+
+        it("should reject lateness for session and count windows", () => {
+            const aggregate = w => Pipeline()
+                .from(new Stream())
+                .windowBy(w)
+                .emitOn("discard")
+                .allowLateness({ lateness: "30s" })
+                .aggregate({ total: { value: sum() } });
+            expect(() => aggregate({ type: "session", gap: "1m" })).toThrow();
+            expect(() => aggregate({ type: "count", count: 2 })).toThrow();
+            expect(() => aggregate({ type: "rolling", count: 2 })).toThrow();
+            expect(() => aggregate("1m")).not.toThrow();
+        });
+    });
+
+    describe("timer triggers", () => {
+        const t = (m, s) => Date.UTC(2015, 2, 14, 8, m, s);
+
+        it("can emit a fixed window once the clock passes its end", () => {
+            const clock = new ManualClock(t(0, 0));
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .windowBy("1m")
+                .emitOn("discard")
+                .triggerAfter({ grace: "5s", clock })
+                .aggregate({ total: { value: sum() } })
+                .to(EventOut, event => result.push(event));
+
+            stream.addEvent(new TimeEvent(t(0, 10), 1));
+            stream.addEvent(new TimeEvent(t(0, 30), 2));
+
+            clock.setTime(t(1, 4));
+            expect(result.length).toBe(0);
+
+            clock.advance(1000);
+            expect(result.length).toBe(1);
+            expect(result[0].indexAsString()).toBe("1m-23772000");
+            expect(result[0].get("total")).toBe(3);
+        });
+
+        it("does not emit a window again once closed by an event", () => {
+            const clock = new ManualClock(t(0, 0));
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .windowBy("1m")
+                .emitOn("discard")
+                .triggerAfter({ grace: "5s", clock })
+                .aggregate({ total: { value: sum() } })
+                .to(EventOut, event => result.push(event));
+
+            stream.addEvent(new TimeEvent(t(0, 10), 1));
+            stream.addEvent(new TimeEvent(t(1, 0), 2));
+            expect(result.length).toBe(1);
+
+            clock.setTime(t(1, 30));
+            expect(result.length).toBe(1);
+
+            clock.setTime(t(2, 5));
+            expect(result.length).toBe(2);
+            expect(result[1].get("total")).toBe(2);
+        });
+
+        it("does not open a window again once closed by the timer", () => {
+            const clock = new ManualClock(t(0, 0));
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .windowBy("1m")
+                .emitOn("discard")
+                .triggerAfter({ grace: "5s", clock })
+                .aggregate({ total: { value: sum() } })
+                .to(EventOut, event => result.push(event));
+
+            stream.addEvent(new TimeEvent(t(0, 10), 1));
+            clock.advance(70000);
+            expect(result.length).toBe(1);
+
+            // Too late for the window, which has already been emitted
+            stream.addEvent(new TimeEvent(t(0, 20), 2));
+            clock.advance(1);
+            expect(result.length).toBe(1);
+
+            stream.addEvent(new TimeEvent(t(1, 20), 3));
+            clock.setTime(t(2, 5));
+            expect(result.length).toBe(2);
+            expect(result[1].indexAsString()).toBe("1m-23772001");
+            expect(result[1].get("total")).toBe(3);
+        });
+
+        it("can close a session once the gap has passed", () => {
+            const clock = new ManualClock(t(0, 0));
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .windowBy({ type: "session", gap: "1m" })
+                .emitOn("discard")
+                .triggerAfter({ clock })
+                .aggregate({ total: { value: sum() } })
+                .to(EventOut, event => result.push(event));
+
+            stream.addEvent(new TimeEvent(t(0, 0), 1));
+            clock.setTime(t(0, 30));
+            stream.addEvent(new TimeEvent(t(0, 30), 2));
+
+            // The session timer is reset by the second event
+            clock.setTime(t(1, 10));
+            expect(result.length).toBe(0);
+
+            clock.setTime(t(1, 30));
+            expect(result.length).toBe(1);
+            expect(+result[0].begin()).toBe(t(0, 0));
+            expect(+result[0].end()).toBe(t(0, 30));
+            expect(result[0].get("total")).toBe(3);
+        });
+
+        it("should reject a grace that isn't a duration", () => {
+            expect(() => {
+                Pipeline().triggerAfter({ grace: 5000 });
+            }).toThrow();
+            expect(() => {
+                Pipeline().triggerAfter({ grace: "5 s" });
+            }).toThrow();
+        });
+    });
+
+    describe("union and join", () => {
+        const t = (m, s) => Date.UTC(2015, 2, 14, 8, m, s);
+
+        it("can union two batch sources in time order", () => {
+            const east = new Collection([
+                new TimeEvent(t(0, 0), { east: 1 }),
+                new TimeEvent(t(0, 20), { east: 2 }),
+                new TimeEvent(t(0, 40), { east: 3 })
+            ]);
+            const west = new Collection([
+                new TimeEvent(t(0, 10), { west: 4 }),
+                new TimeEvent(t(0, 30), { west: 5 })
+            ]);
+
+            const events = Pipeline()
+                .from(east)
+                .union(Pipeline().from(west).offsetBy(10, "west"))
+                .toEventList();
+
+            expect(events.length).toBe(5);
+            expect(events.map(e => +e.timestamp())).toEqual([
+                t(0, 0),
+                t(0, 10),
+                t(0, 20),
+                t(0, 30),
+                t(0, 40)
+            ]);
+            expect(events[1].get("west")).toBe(14);
+        });
+
+        it("can union stream sources in time order", () => {
+            const east = new Stream();
+            const west = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(east)
+                .union(west)
+                .to(EventOut, event => result.push(event));
+
+            east.addEvent(new TimeEvent(t(0, 0), 1));
+            east.addEvent(new TimeEvent(t(0, 20), 2));
+            expect(result.length).toBe(0);
+
+            west.addEvent(new TimeEvent(t(0, 10), 3));
+            expect(result.map(e => e.value())).toEqual([1, 3]);
+
+            west.addEvent(new TimeEvent(t(0, 30), 4));
+            expect(result.map(e => e.value())).toEqual([1, 3, 2]);
+
+            east.stop();
+            west.stop();
+            expect(result.map(e => e.value())).toEqual([1, 3, 2, 4]);
+        });
+
+        it("throws when combining batch and stream sources", () => {
+            const stream = new Stream();
+            const collection = new Collection([new TimeEvent(t(0, 0), 1)]);
+            expect(() => Pipeline().from(collection).union(stream)).toThrow();
+        });
+
+        it("can join two batch sources on equal timestamps", () => {
+            const inTraffic = new Collection([
+                new TimeEvent(t(0, 0), { in: 1 }),
+                new TimeEvent(t(0, 30), { in: 2 }),
+                new TimeEvent(t(1, 0), { in: 3 })
+            ]);
+            const outTraffic = new Collection([
+                new TimeEvent(t(0, 0), { out: 4 }),
+                new TimeEvent(t(1, 0), { out: 6 })
+            ]);
+
+            const events = Pipeline()
+                .from(inTraffic)
+                .join(outTraffic)
+                .toEventList();
+
+            expect(events.length).toBe(2);
+            expect(events[0].toJSON().data).toEqual({ in: 1, out: 4 });
+            expect(events[1].toJSON().data).toEqual({ in: 3, out: 6 });
+
+            const all = Pipeline()
+                .from(inTraffic)
+                .join(outTraffic, { keepUnmatched: true })
+                .toEventList();
+
+            expect(all.length).toBe(3);
+            expect(all[1].toJSON().data).toEqual({ in: 2 });
+        });
+
+        it("can join two batch sources on nearest timestamps", () => {
+            const inTraffic = new Collection([
+                new TimeEvent(t(0, 0), { in: 1 }),
+                new TimeEvent(t(0, 30), { in: 2 }),
+                new TimeEvent(t(1, 0), { in: 3 })
+            ]);
+            const outTraffic = new Collection([
+                new TimeEvent(t(0, 2), { out: 4 }),
+                new TimeEvent(t(0, 50), { out: 5 })
+            ]);
+
+            const events = Pipeline()
+                .from(inTraffic)
+                .join(outTraffic, { match: "nearest", tolerance: "15s" })
+                .toEventList();
+
+            expect(events.length).toBe(2);
+            expect(+events[0].timestamp()).toBe(t(0, 0));
+            expect(events[0].get("out")).toBe(4);
+            expect(+events[1].timestamp()).toBe(t(1, 0));
+            expect(events[1].get("out")).toBe(5);
+        });
+
+        it("can join two stream sources", () => {
+            const inStream = new Stream();
+            const outStream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(inStream)
+                .join(outStream, { match: "nearest" })
+                .to(EventOut, event => result.push(event));
+
+            inStream.addEvent(new TimeEvent(t(0, 0), { in: 1 }));
+            expect(result.length).toBe(0);
+
+            outStream.addEvent(new TimeEvent(t(0, 5), { out: 2 }));
+            expect(result.length).toBe(1);
+            expect(result[0].toJSON().data).toEqual({ in: 1, out: 2 });
+
+            inStream.addEvent(new TimeEvent(t(0, 30), { in: 3 }));
+            outStream.addEvent(new TimeEvent(t(0, 20), { out: 4 }));
+            expect(result.length).toBe(1);
+
+            outStream.stop();
+            expect(result.length).toBe(2);
+            expect(result[1].toJSON().data).toEqual({ in: 3, out: 4 });
+        });
+    });
+
+    describe("fan out", () => {
+        const t = (m, s) => Date.UTC(2015, 2, 14, 8, m, s);
+        const collection = new Collection([
+            new TimeEvent(t(0, 0), 1),
+            new TimeEvent(t(0, 30), 2),
+            new TimeEvent(t(1, 0), 3),
+            new TimeEvent(t(1, 30), 4)
+        ]);
+
+        it("can run several outputs in a single pass over the input", () => {
+            let processed = 0;
+            const sums = [];
+
+            const results = Pipeline()
+                .from(collection)
+                .map(e => {
+                    processed++;
+                    return e;
+                })
+                .fanOut({
+                    all: p => p.toEventList(),
+                    big: p => p.filter(e => e.value() > 2).toEventList(),
+                    minutes: p =>
+                        p
+                            .windowBy("1m")
+                            .emitOn("discard")
+                            .aggregate({ total: { value: sum() } })
+                            .to(EventOut, event => sums.push(event))
+                });
+
+            expect(processed).toBe(4);
+            expect(results.all.length).toBe(4);
+            expect(results.big.map(e => e.value())).toEqual([3, 4]);
+            expect(results.minutes).toBeUndefined();
+            expect(sums.map(e => e.get("total"))).toEqual([3, 7]);
+        });
+
+        it("can fan out a stream", () => {
+            const stream = new Stream();
+            let processed = 0;
+            const all = [];
+            const big = [];
+
+            Pipeline()
+                .from(stream)
+                .map(e => {
+                    processed++;
+                    return e;
+                })
+                .fanOut({
+                    all: p => p.to(EventOut, e => all.push(e)),
+                    big: p =>
+                        p.filter(e => e.value() > 2).to(EventOut, e => big.push(e))
+                });
+
+            for (const event of collection.events()) {
+                stream.addEvent(event);
+            }
+
+            expect(processed).toBe(4);
+            expect(all.length).toBe(4);
+            expect(big.length).toBe(2);
+        });
+
+        it("should not add outputs to a branch after it has run", () => {
+            let branch;
+            Pipeline().from(collection).fanOut({
+                all: p => {
+                    branch = p;
+                    p.toEventList();
+                }
+            });
+            expect(() => branch.toEventList()).toThrow();
+            expect(() => branch.filter(e => e.value() > 2).toEventList()).toThrow();
+        });
+
+        it("can roll up a stream at several resolutions", () => {
+            const stream = new Stream();
+            const rollups = { "1m": [], "2m": [] };
+
+            Pipeline()
+                .from(stream)
+                .rollups(
+                    {
+                        "1m": { aggregation: { total: { value: sum() } } },
+                        "2m": {
+                            aggregation: { total: { value: sum() } },
+                            toTimeEvents: true
+                        }
+                    },
+                    (event, window) => rollups[window].push(event)
+                );
+
+            for (const event of collection.events()) {
+                stream.addEvent(event);
+            }
+            stream.addEvent(new TimeEvent(t(2, 0), 5));
+
+            expect(rollups["1m"].map(e => e.index().toString())).toEqual([
+                "1m-23772000",
+                "1m-23772001"
+            ]);
+            expect(rollups["1m"].map(e => e.get("total"))).toEqual([3, 7]);
+            expect(rollups["2m"].length).toBe(1);
+            expect(rollups["2m"][0] instanceof TimeEvent).toBe(true);
+            expect(rollups["2m"][0].get("total")).toBe(10);
+
+            expect(() => Pipeline().from(new Stream()).rollups({
+                "1m": { aggregation: { total: { value: sum() } } }
+            })).toThrow();
+        });
+    });
+
+    describe("async adapters", () => {
+        const { Readable, Writable } = require("stream");
+        const t = (m, s) => Date.UTC(2015, 2, 14, 8, m, s);
+        const makeEvents = () => [
+            new TimeEvent(t(0, 0), 1),
+            new TimeEvent(t(0, 30), 2),
+            new TimeEvent(t(1, 0), 3),
+            new TimeEvent(t(1, 30), 4),
+            new TimeEvent(t(2, 0), 5)
+        ];
+
+        // Read everything from an async iterator into a list
+        const readAll = (iterator, list = []) =>
+            iterator.next().then(({ value, done }) => {
+                if (done) {
+                    return list;
+                }
+                list.push(value);
+                return readAll(iterator, list);
+            });
+
+        it("can feed a stream from a Node Readable", done => {
+            const stream = new Stream();
+            const result = [];
+
+            Pipeline()
+                .from(stream)
+                .to(EventOut, event => result.push(event));
+
+            stream.feed(Readable.from(makeEvents())).then(() => {
+                expect(result.map(e => e.value())).toEqual([1, 2, 3, 4, 5]);
+                done();
+            });
+        });
+
+        it("can read a pipeline output as an async iterator", done => {
+            const stream = new Stream();
+
+            const iterator = Pipeline()
+                .from(stream)
+                .windowBy("1m")
+                .emitOn("discard")
+                .aggregate({ total: { value: sum() } })
+                .toAsyncIterator();
+
+            stream.feed(makeEvents());
+
+            readAll(iterator).then(events => {
+                expect(events.map(e => e.get("total"))).toEqual([3, 7, 5]);
+                done();
+            });
+        });
+
+        it("can feed a stream from a large generator", done => {
+            const stream = new Stream();
+            const n = 100000;
+            let count = 0;
+            let total = 0;
+
+            function* generate() {
+                for (let i = 0; i < n; i++) {
+                    yield new TimeEvent(Date.UTC(2015, 2, 14) + i * 1000, 1);
+                }
+            }
+
+            Pipeline()
+                .from(stream)
+                .windowBy("1h")
+                .emitOn("discard")
+                .aggregate({ total: { value: sum() } })
+                .to(EventOut, event => {
+                    count++;
+                    total += event.get("total");
+                });
+
+            stream.feed(generate()).then(() => {
+                expect(count).toBe(Math.ceil(n / 3600));
+                expect(total).toBe(n);
+                done();
+            });
+        });
+
+        it("can read collections as an async iterator", done => {
+            const collection = new Collection(makeEvents());
+
+            const iterator = Pipeline()
+                .from(collection)
+                .windowBy("1m")
+                .emitOn("discard")
+                .toAsyncIterator(CollectionOut);
+
+            readAll(iterator).then(items => {
+                expect(items.length).toBe(3);
+                expect(items[0].windowKey).toBe("1m-23772000");
+                expect(items[0].collection.size()).toBe(2);
+                done();
+            });
+        });
+
+        it("holds back the input until the iterator is read", done => {
+            const stream = new Stream();
+            let processed = 0;
+
+            const iterator = Pipeline()
+                .from(stream)
+                .map(e => {
+                    processed++;
+                    return e;
+                })
+                .toAsyncIterator(EventOut, { highWaterMark: 2 });
+
+            const fed = stream.feed(makeEvents());
+
+            setTimeout(() => {
+                expect(processed).toBe(2);
+                readAll(iterator).then(events => {
+                    expect(events.length).toBe(5);
+                    fed.then(() => {
+                        expect(processed).toBe(5);
+                        done();
+                    });
+                });
+            }, 10);
+        });
+
+        it("holds back the streams feeding a union", done => {
+            const east = new Stream();
+            const west = new Stream();
+            const westEvents = makeEvents().map(
+                e => new TimeEvent(+e.timestamp() + 15000, e.value())
+            );
+            let processed = 0;
+
+            const iterator = Pipeline()
+                .from(east)
+                .union(west)
+                .map(e => {
+                    processed++;
+                    return e;
+                })
+                .toAsyncIterator(EventOut, { highWaterMark: 2 });
+
+            const fed = Promise.all([
+                east.feed(makeEvents()),
+                west.feed(westEvents)
+            ]);
+
+            setTimeout(() => {
+                expect(processed).toBeLessThan(10);
+                readAll(iterator).then(events => {
+                    expect(events.length).toBe(10);
+                    fed.then(() => {
+                        expect(processed).toBe(10);
+                        done();
+                    });
+                });
+            }, 10);
+        });
+
+        it("can write the output of a pipeline to a Node Writable", done => {
+            const stream = new Stream();
+            const written = [];
+
+            const writable = new Writable({
+                objectMode: true,
+                highWaterMark: 1,
+                write(event, encoding, callback) {
+                    written.push(event);
+                    setTimeout(callback, 1);
+                }
+            });
+
+            writable.on("finish", () => {
+                expect(written.map(e => e.value())).toEqual([1, 2, 3, 4, 5]);
+                done();
+            });
+
+            Pipeline().from(stream).toWritable(writable);
+
+            stream.feed(Readable.from(makeEvents()));
+        });
+    });
+
     describe("Pipeline event conversion", () => {
         const timestamp = new Date(1426316400000);
         const e = new TimeEvent(timestamp, 3);
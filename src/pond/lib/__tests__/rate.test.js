@@ -10,6 +10,7 @@
 
 /* eslint-disable */
 
+import TimeEvent from "../timeevent";
 import TimeSeries from "../timeseries";
 
 const RATE = {
@@ -93,3 +94,82 @@ it("can output nulls for negative values", done => {
 
     done();
 });
+
+it("can calculate the rate of a counter that wraps", () => {
+    const ts = new TimeSeries({
+        name: "traffic",
+        columns: ["time", "in"],
+        points: [[0, 4294966000], [10000, 4294967000], [20000, 704]]
+    });
+
+    const naive = ts.rate({ fieldSpec: "in" });
+    expect(naive.at(1).get("in_rate")).toBeLessThan(0);
+
+    const rates = ts.rate({ fieldSpec: "in", wrap: 32 });
+    expect(rates.at(0).get("in_rate")).toEqual(100);
+    expect(rates.at(1).get("in_rate")).toEqual(100);
+});
+
+it("can calculate the rate of a counter that resets", () => {
+    const ts = new TimeSeries({
+        name: "traffic",
+        columns: ["time", "in"],
+        points: [[0, 1000], [10000, 2000], [20000, 500], [30000, 1500]]
+    });
+
+    const rates = ts.rate({ fieldSpec: "in", resets: true });
+    expect(rates.at(0).get("in_rate")).toEqual(100);
+    expect(rates.at(1).get("in_rate")).toEqual(50);
+    expect(rates.at(2).get("in_rate")).toEqual(100);
+
+    // Without a maxRate the drop is taken as a wrap
+    const wrapped = ts.rate({ fieldSpec: "in", wrap: 32, resets: true });
+    expect(wrapped.at(1).get("in_rate")).toEqual(
+        (Math.pow(2, 32) - 2000 + 500) / 10
+    );
+
+    // But a wrap that's too fast to be plausible is a reset
+    const reset = ts.rate({
+        fieldSpec: "in",
+        wrap: 32,
+        resets: true,
+        maxRate: 1000
+    });
+    expect(reset.at(1).get("in_rate")).toEqual(50);
+});
+
+it("can output nulls for implausible rates", () => {
+    const ts = new TimeSeries({
+        name: "traffic",
+        columns: ["time", "in"],
+        points: [[0, 1000], [10000, 2000], [20000, 900000], [30000, 901000]]
+    });
+
+    const rates = ts.rate({ fieldSpec: "in", maxRate: 1000 });
+    expect(rates.at(0).get("in_rate")).toEqual(100);
+    expect(rates.at(1).get("in_rate")).toBeNull();
+    expect(rates.at(2).get("in_rate")).toEqual(100);
+});
+
+it("can output the rate as TimeEvents", () => {
+    const ts = new TimeSeries({
+        name: "traffic",
+        columns: ["time", "in"],
+        points: [[0, 1000], [10000, 2000], [20000, 4000]]
+    });
+
+    const lead = ts.rate({ fieldSpec: "in", alignment: "lead" });
+    expect(lead.at(0) instanceof TimeEvent).toBeTruthy();
+    expect(lead.at(0).timestamp().getTime()).toEqual(10000);
+    expect(lead.at(1).timestamp().getTime()).toEqual(20000);
+    expect(lead.at(1).get("in_rate")).toEqual(200);
+
+    const center = ts.rate({ fieldSpec: "in", alignment: "center" });
+    expect(center.at(0).timestamp().getTime()).toEqual(5000);
+
+    const lag = ts.rate({ fieldSpec: "in", alignment: "lag" });
+    expect(lag.at(0).timestamp().getTime()).toEqual(0);
+
+    expect(() => ts.rate({ fieldSpec: "in", alignment: "middle" })).toThrow();
+    expect(() => ts.rate({ fieldSpec: "in", wrap: "32" })).toThrow();
+});
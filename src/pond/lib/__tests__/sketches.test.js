@@ -0,0 +1,191 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable */
+
+import _ from "underscore";
+
+import Collection from "../collection";
+import TimeEvent from "../timeevent";
+import TimeSeries from "../timeseries";
+import { HyperLogLog, TDigest } from "../base/sketches";
+import {
+    approxDistinct,
+    approxMedian,
+    approxPercentile,
+    hyperloglog,
+    percentile,
+    tdigest
+} from "../base/functions";
+
+const HOUR = 1400425200000; // Sun, 18 May 2014 15:00:00 GMT
+
+// 1 to n in a scrambled order
+function scrambled(n) {
+    const values = [];
+    for (let i = 0; i < n; i++) {
+        values.push(i * 7919 % n + 1);
+    }
+    return values;
+}
+
+describe("TDigest", () => {
+    it("can estimate quantiles", () => {
+        const digest = new TDigest();
+        scrambled(10000).forEach(v => digest.add(v));
+
+        expect(digest.count()).toEqual(10000);
+        expect(digest.quantile(0)).toEqual(1);
+        expect(digest.quantile(1)).toEqual(10000);
+        expect(Math.abs(digest.quantile(0.5) - 5000)).toBeLessThan(50);
+        expect(Math.abs(digest.quantile(0.99) - 9900)).toBeLessThan(10);
+        expect(Math.abs(digest.quantile(0.01) - 100)).toBeLessThan(10);
+        expect(new TDigest().quantile(0.5)).toBeNull();
+        expect(() => digest.quantile(1.5)).toThrow();
+    });
+
+    it("can merge digests", () => {
+        const values = scrambled(10000);
+        const a = new TDigest();
+        const b = new TDigest();
+        values.slice(0, 3000).forEach(v => a.add(v));
+        values.slice(3000).forEach(v => b.add(v));
+        a.merge(b);
+
+        expect(a.count()).toEqual(10000);
+        expect(Math.abs(a.quantile(0.5) - 5000)).toBeLessThan(50);
+        expect(Math.abs(a.quantile(0.95) - 9500)).toBeLessThan(20);
+    });
+
+    it("can be converted to and from JSON", () => {
+        const digest = new TDigest(50);
+        scrambled(1000).forEach(v => digest.add(v));
+        const copy = TDigest.fromJSON(JSON.parse(JSON.stringify(digest)));
+        expect(copy.count()).toEqual(1000);
+        expect(copy.quantile(0.9)).toEqual(digest.quantile(0.9));
+    });
+});
+
+describe("HyperLogLog", () => {
+    it("can estimate the number of distinct values", () => {
+        const hll = new HyperLogLog();
+        scrambled(20000).forEach(v => hll.add(v % 10000));
+        expect(Math.abs(hll.count() - 10000)).toBeLessThan(500);
+
+        const small = new HyperLogLog();
+        ["a", "b", "c", "a", "b", 1, "1"].forEach(v => small.add(v));
+        expect(small.count()).toEqual(5);
+    });
+
+    it("can merge HyperLogLogs", () => {
+        const a = new HyperLogLog();
+        const b = new HyperLogLog();
+        for (let i = 0; i < 6000; i++) {
+            a.add(`user-${i}`);
+            b.add(`user-${i + 4000}`);
+        }
+        a.merge(b);
+        expect(Math.abs(a.count() - 10000)).toBeLessThan(500);
+        expect(() => a.merge(new HyperLogLog(10))).toThrow();
+        expect(() => new HyperLogLog(20)).toThrow();
+    });
+});
+
+describe("Sketch reducers", () => {
+    it("can aggregate a Collection with sketches", () => {
+        const values = scrambled(1000);
+        const collection = new Collection(
+            values.map((v, i) => new TimeEvent(i * 1000, { value: v }))
+        );
+
+        const p95 = collection.aggregate(approxPercentile(95), "value");
+        expect(Math.abs(p95 - percentile(95)(values))).toBeLessThan(5);
+
+        const median = collection.aggregate(approxMedian(), "value");
+        expect(Math.abs(median - 500)).toBeLessThan(10);
+
+        expect(collection.aggregate(approxDistinct(), "value")).toBeGreaterThan(
+            950
+        );
+        expect(approxDistinct()([1, 2, null, 2])).toEqual(2);
+    });
+
+    it("can roll up sketches of smaller windows", () => {
+        const values = scrambled(360);
+        const ts = new TimeSeries({
+            name: "requests",
+            columns: ["time", "value", "user"],
+            points: values.map((v, i) => [
+                HOUR + i * 10000,
+                v,
+                `user-${v % 50}`
+            ])
+        });
+
+        const fiveMinute = ts.fixedWindowRollup({
+            windowSize: "5m",
+            aggregation: {
+                digest: { value: tdigest() },
+                users: { user: hyperloglog() }
+            }
+        });
+        expect(fiveMinute.size()).toEqual(12);
+        expect(fiveMinute.at(0).get("digest") instanceof TDigest).toBeTruthy();
+        expect(fiveMinute.at(0).get("digest").count()).toEqual(30);
+
+        const hourly = fiveMinute.fixedWindowRollup({
+            windowSize: "1h",
+            aggregation: {
+                p90: { digest: approxPercentile(90) },
+                users: { users: approxDistinct() }
+            }
+        });
+        expect(hourly.size()).toEqual(1);
+        expect(Math.abs(hourly.at(0).get("p90") - 324)).toBeLessThan(5);
+        expect(Math.abs(hourly.at(0).get("users") - 50)).toBeLessThan(2);
+    });
+
+    it("can roll up partial sketches stored as JSON", () => {
+        const ts = new TimeSeries({
+            name: "latency",
+            columns: ["time", "value", "user"],
+            points: _.range(120).map(i => [
+                HOUR + i * 30000,
+                i + 1,
+                `user-${i % 40}`
+            ])
+        });
+        const aggregation = {
+            p50: { value: approxPercentile(50) },
+            users: { user: approxDistinct() }
+        };
+        const fiveMinute = ts.fixedWindowRollup({
+            windowSize: "5m",
+            aggregation,
+            partial: true
+        });
+
+        const stored = new TimeSeries(
+            JSON.parse(JSON.stringify(fiveMinute.toJSON()))
+        );
+        const hourlyAggregation = {
+            p50: { p50: approxPercentile(50) },
+            users: { users: approxDistinct() }
+        };
+        const hourly = stored.hourlyRollup({ aggregation: hourlyAggregation });
+        const expected = fiveMinute.hourlyRollup({
+            aggregation: hourlyAggregation
+        });
+        expect(hourly.at(0).get("p50")).toEqual(expected.at(0).get("p50"));
+        expect(Math.abs(hourly.at(0).get("p50") - 60)).toBeLessThan(2);
+        expect(hourly.at(0).get("users")).toEqual(expected.at(0).get("users"));
+        expect(Math.abs(hourly.at(0).get("users") - 40)).toBeLessThan(2);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable */
+
+import TimeSeries from "../timeseries";
+
+const TRAFFIC_DATA = {
+    name: "traffic",
+    columns: ["time", "in", "out"],
+    points: [
+        [1400425947000, 52, 41],
+        [1400425948000, 18, null],
+        [1400425949000, 26, 60]
+    ]
+};
+
+const NESTED_DATA = {
+    name: "Map Traffic",
+    columns: ["time", "NASA_north", "NASA_south"],
+    points: [
+        [1400425951000, { in: 100, out: 200 }, { in: 145, out: 135 }],
+        [1400425952000, { in: 200, out: 400 }, { in: 146, out: 142 }]
+    ]
+};
+
+const TICKET_RANGE = {
+    name: "outages",
+    columns: ["timerange", "title", "esnet_ticket"],
+    points: [
+        [[1429673400000, 1429707600000], "BOOM, BAM", "ESNET-20080101-001"],
+        [[1429707600000, 1429709400000], 'Said "BOOM"', "ESNET-20080101-002"]
+    ]
+};
+
+const AVAILABILITY_DATA = {
+    name: "availability",
+    columns: ["index", "uptime"],
+    points: [["2014-07", 100], ["2014-08", 88], ["2014-09", 95]]
+};
+
+describe("CSV import", () => {
+    it("can read a CSV with a header", () => {
+        const csv = "time,in,out\n1400425947000,52,41\n1400425948000,18,22\n";
+        const series = TimeSeries.fromCSV(csv, { name: "traffic" });
+        expect(series.name()).toBe("traffic");
+        expect(series.size()).toBe(2);
+        expect(series.at(1).timestamp().getTime()).toBe(1400425948000);
+        expect(series.at(1).get("in")).toBe(18);
+        expect(series.at(1).get("out")).toBe(22);
+    });
+
+    it("can read a CSV with a different time column and units", () => {
+        const csv = "ts;value\n1400425947;1.5\n1400425948;2.5";
+        const series = TimeSeries.fromCSV(csv, {
+            timeColumn: "ts",
+            timeFormat: "s",
+            delimiter: ";"
+        });
+        expect(series.at(0).timestamp().getTime()).toBe(1400425947000);
+        expect(series.at(1).value()).toBe(2.5);
+        expect(series.columns()).toEqual(["value"]);
+    });
+
+    it("can read ISO and formatted times", () => {
+        const iso = "time,value\n2014-05-18T15:12:27Z,1\n2014-05-18T08:12:28-07:00,2";
+        const isoSeries = TimeSeries.fromCSV(iso, { timeFormat: "iso" });
+        expect(isoSeries.at(0).timestamp().getTime()).toBe(1400425947000);
+        expect(isoSeries.at(1).timestamp().getTime()).toBe(1400425948000);
+
+        const formatted = "time,value\n18/05/2014 15:12:27,1";
+        const formattedSeries = TimeSeries.fromCSV(formatted, {
+            timeFormat: "DD/MM/YYYY HH:mm:ss"
+        });
+        expect(formattedSeries.at(0).timestamp().getTime()).toBe(1400425947000);
+    });
+
+    it("can read a CSV without a header row", () => {
+        const csv = "1400425947000,52,41\n1400425948000,18,22";
+        const series = TimeSeries.fromCSV(csv, {
+            header: ["time", "in", "out"]
+        });
+        expect(series.size()).toBe(2);
+        expect(series.at(0).get("out")).toBe(41);
+    });
+
+    it("can read missing values and quoted fields", () => {
+        const csv = [
+            "time,value,status",
+            '1400425947000,,"ok, mostly"',
+            '1400425948000,NaN,"said ""hi"""',
+            "1400425949000,n/a,up"
+        ].join("\r\n");
+        const series = TimeSeries.fromCSV(csv, {
+            missing: ["", "NaN", "n/a"]
+        });
+        expect(series.size()).toBe(3);
+        expect(series.at(0).value()).toBeNull();
+        expect(series.at(0).get("status")).toBe("ok, mostly");
+        expect(series.at(1).value()).toBeNull();
+        expect(series.at(1).get("status")).toBe('said "hi"');
+        expect(series.at(2).value()).toBeNull();
+    });
+
+    it("can read nested columns using dot notation", () => {
+        const csv = "time,NASA_north.in,NASA_north.out\n1400425951000,100,200";
+        const series = TimeSeries.fromCSV(csv);
+        expect(series.at(0).get("NASA_north")).toEqual({ in: 100, out: 200 });
+        expect(series.at(0).get("NASA_north.in")).toBe(100);
+    });
+
+    it("can read timerange and index CSVs", () => {
+        const ranges = TimeSeries.fromCSV(
+            "begin,end,title\n1429673400000,1429707600000,BOOM"
+        );
+        expect(ranges.at(0).timerange().duration()).toBe(34200000);
+
+        const indexed = TimeSeries.fromCSV("index,uptime\n2014-07,100");
+        expect(indexed.at(0).indexAsString()).toBe("2014-07");
+        expect(indexed.at(0).get("uptime")).toBe(100);
+    });
+
+    it("throws when the time column is missing", () => {
+        expect(() => TimeSeries.fromCSV("when,value\n1,2")).toThrow();
+    });
+
+    it("throws for an unknown event type", () => {
+        expect(() => {
+            TimeSeries.fromCSV("time,value\n1,2", { type: "timestamp" });
+        }).toThrow("Unknown event type: timestamp");
+    });
+});
+
+describe("CSV export", () => {
+    it("can write a CSV", () => {
+        const series = new TimeSeries(TRAFFIC_DATA);
+        expect(series.toCSV()).toBe(
+            "time,in,out\n1400425947000,52,41\n1400425948000,18,\n1400425949000,26,60"
+        );
+        expect(series.toCSV({ timeFormat: "iso", header: false, missing: "NA" }))
+            .toBe(
+                "2014-05-18T15:12:27.000Z,52,41\n2014-05-18T15:12:28.000Z,18,NA\n2014-05-18T15:12:29.000Z,26,60"
+            );
+    });
+
+    it("can round-trip a time series", () => {
+        const series = new TimeSeries(TRAFFIC_DATA);
+        const csv = series.toCSV({ timeFormat: "s", delimiter: "\t" });
+        const result = TimeSeries.fromCSV(csv, {
+            name: "traffic",
+            timeFormat: "s",
+            delimiter: "\t"
+        });
+        expect(result.toJSON()).toEqual(series.toJSON());
+    });
+
+    it("can round-trip nested data", () => {
+        const series = new TimeSeries(NESTED_DATA);
+        const csv = series.toCSV();
+        expect(csv.split("\n")[0]).toBe(
+            "time,NASA_north.in,NASA_north.out,NASA_south.in,NASA_south.out"
+        );
+        const result = TimeSeries.fromCSV(csv, { name: "Map Traffic" });
+        expect(result.toJSON()).toEqual(series.toJSON());
+    });
+
+    it("can round-trip a timerange series", () => {
+        const series = new TimeSeries(TICKET_RANGE);
+        const csv = series.toCSV();
+        const result = TimeSeries.fromCSV(csv, { name: "outages" });
+        expect(result.toJSON()).toEqual(series.toJSON());
+    });
+
+    it("can round-trip an index series", () => {
+        const series = new TimeSeries(AVAILABILITY_DATA);
+        const csv = series.toCSV();
+        expect(csv).toBe("index,uptime\n2014-07,100\n2014-08,88\n2014-09,95");
+        const result = TimeSeries.fromCSV(csv, { name: "availability" });
+        expect(result.toJSON()).toEqual(series.toJSON());
+    });
+});
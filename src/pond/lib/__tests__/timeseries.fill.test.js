@@ -12,6 +12,7 @@
 
 import Collection from "../collection";
 import CollectionOut from "../io/collectionout";
+import EventOut from "../io/eventout";
 import TimeEvent from "../timeevent";
 import TimeSeries from "../timeseries";
 import Stream from "../io/stream";
@@ -516,6 +517,247 @@ it("can do streaming fill with limit (test_linear_stream_limit/2)", () => {
     // Because of the limit, all events should be captured in the collection
     expect(results.size()).toBe(8);
 });
+const GAP_DATA = {
+    name: "traffic",
+    columns: ["time", "in", "out"],
+    points: [
+        [1400425947000, 1, 10],
+        [1400425948000, null, null],
+        [1400425949000, null, 20],
+        [1400425951000, 4, null],
+        [1400425952000, 5, 30]
+    ]
+};
+
+it("can backfill, nearest and mean fill across columns", () => {
+    const ts = new TimeSeries(GAP_DATA);
+    const fieldSpec = ["in", "out"];
+
+    const backfill = ts.fill({ fieldSpec, method: "backfill" });
+    expect(backfill.at(1).get("in")).toBe(4);
+    expect(backfill.at(2).get("in")).toBe(4);
+    expect(backfill.at(1).get("out")).toBe(20);
+    expect(backfill.at(3).get("out")).toBe(30);
+
+    // Ties go to the previous value
+    const nearest = ts.fill({ fieldSpec, method: "nearest" });
+    expect(nearest.at(1).get("in")).toBe(1);
+    expect(nearest.at(2).get("in")).toBe(1);
+    expect(nearest.at(1).get("out")).toBe(10);
+    expect(nearest.at(3).get("out")).toBe(30);
+
+    const mean = ts.fill({ fieldSpec, method: "mean" });
+    expect(mean.at(1).get("in")).toBe(2.5);
+    expect(mean.at(2).get("in")).toBe(2.5);
+    expect(mean.at(1).get("out")).toBe(15);
+    expect(mean.at(3).get("out")).toBe(25);
+});
+
+it("can do a monotone spline fill", () => {
+    const linear = new TimeSeries({
+        name: "linear",
+        columns: ["time", "value"],
+        points: [
+            [1400425940000, 0],
+            [1400425941000, null],
+            [1400425942000, 2],
+            [1400425943000, null],
+            [1400425944000, 4]
+        ]
+    });
+    const filledLinear = linear.fill({ fieldSpec: "value", method: "spline" });
+    expect(filledLinear.at(1).value()).toBeCloseTo(1, 6);
+    expect(filledLinear.at(3).value()).toBeCloseTo(3, 6);
+
+    // Between increasing points the spline never overshoots
+    const filled = new TimeSeries(GAP_DATA).fill({
+        fieldSpec: "in",
+        method: "spline"
+    });
+    const first = filled.at(1).get("in");
+    const second = filled.at(2).get("in");
+    expect(first).toBeGreaterThan(1);
+    expect(second).toBeGreaterThan(first);
+    expect(second).toBeLessThan(4);
+});
+
+it("can stream a backfill, holding events until the next value", () => {
+    const stream = new Stream();
+    const results = [];
+
+    Pipeline()
+        .from(stream)
+        .fill({ fieldSpec: "value", method: "backfill", limit: 2 })
+        .to(EventOut, e => results.push(e));
+
+    stream.addEvent(new TimeEvent(1400425947000, 1));
+    stream.addEvent(new TimeEvent(1400425948000, { value: null }));
+    stream.addEvent(new TimeEvent(1400425949000, { value: null }));
+    expect(results.length).toBe(1);
+
+    stream.addEvent(new TimeEvent(1400425950000, 3));
+    expect(results.map(e => e.value())).toEqual([1, 3, 3, 3]);
+
+    // Gaps over the limit are left unfilled
+    stream.addEvent(new TimeEvent(1400425951000, { value: null }));
+    stream.addEvent(new TimeEvent(1400425952000, { value: null }));
+    stream.addEvent(new TimeEvent(1400425953000, { value: null }));
+    stream.addEvent(new TimeEvent(1400425954000, 7));
+    stream.stop();
+    expect(results.map(e => e.value())).toEqual([
+        1,
+        3,
+        3,
+        3,
+        null,
+        null,
+        null,
+        7
+    ]);
+});
+
+const OUTAGE_DATA = {
+    name: "sensor",
+    columns: ["time", "value"],
+    points: [
+        [1400425940000, 1],
+        [1400425950000, null],
+        [1400425960000, 3],
+        [1400425970000, null],
+        [1400426140000, null],
+        [1400426240000, 10],
+        [1400426250000, null],
+        [1400426260000, 12]
+    ]
+};
+
+it("can limit fill to gaps shorter than a maxGap", () => {
+    const ts = new TimeSeries(OUTAGE_DATA);
+
+    const linear = ts.fill({ method: "linear", maxGap: "1m" });
+    expect(linear.at(1).value()).toBe(2);
+    expect(linear.at(3).value()).toBeNull();
+    expect(linear.at(4).value()).toBeNull();
+    expect(linear.at(6).value()).toBe(11);
+
+    const pad = ts.fill({ method: "pad", maxGap: "1m" });
+    expect(pad.at(1).value()).toBe(1);
+    expect(pad.at(3).value()).toBe(3);
+    expect(pad.at(4).value()).toBeNull();
+    expect(pad.at(6).value()).toBe(10);
+
+    expect(() => ts.fill({ method: "pad", maxGap: "a while" })).toThrow();
+});
+
+it("can stream a fill with a maxGap, releasing long outages", () => {
+    const stream = new Stream();
+    const results = [];
+
+    Pipeline()
+        .from(stream)
+        .fill({ fieldSpec: "value", method: "linear", maxGap: "1m" })
+        .to(EventOut, e => results.push(e));
+
+    const events = [];
+    for (const event of new TimeSeries(OUTAGE_DATA).events()) {
+        events.push(event);
+    }
+    events.slice(0, 4).forEach(e => stream.addEvent(e));
+    expect(results.length).toBe(3);
+
+    // The outage is now longer than the maxGap, so it won't be filled
+    stream.addEvent(events[4]);
+    expect(results.length).toBe(5);
+    expect(results[4].value()).toBeNull();
+
+    events.slice(5).forEach(e => stream.addEvent(e));
+    stream.stop();
+    expect(results.map(e => e.value())).toEqual([
+        1,
+        2,
+        3,
+        null,
+        null,
+        10,
+        11,
+        12
+    ]);
+});
+
+it("can reindex a TimeSeries to insert missing timestamps", () => {
+    const ts = new TimeSeries({
+        name: "traffic",
+        columns: ["time", "value"],
+        points: [
+            [1400425950000, 1],
+            [1400425980000, 2],
+            [1400426070000, 5]
+        ]
+    });
+
+    const reindexed = ts.reindex({ period: "30s" });
+    expect(reindexed.size()).toBe(5);
+    expect(reindexed.at(2).timestamp().getTime()).toBe(1400426010000);
+    expect(reindexed.at(2).value()).toBeNull();
+    expect(reindexed.at(3).timestamp().getTime()).toBe(1400426040000);
+
+    const filled = reindexed.fill({ method: "linear" });
+    expect(filled.at(2).value()).toBe(3);
+    expect(filled.at(3).value()).toBe(4);
+
+    // Events off the cadence are kept, and only empty periods are added
+    const irregular = new TimeSeries({
+        name: "traffic",
+        columns: ["time", "direction"],
+        points: [
+            [1400425951000, { in: 1, out: 2 }],
+            [1400425981000, { in: 2, out: 3 }],
+            [1400426041000, { in: 3, out: 4 }]
+        ]
+    }).reindex({ period: "30s" });
+    expect(irregular.size()).toBe(4);
+    expect(irregular.at(2).timestamp().getTime()).toBe(1400426010000);
+    expect(irregular.at(2).get("direction")).toEqual({
+        in: null,
+        out: null
+    });
+
+    expect(() => ts.reindex({ period: "often" })).toThrow();
+});
+
+it("can reindex a stream", () => {
+    const stream = new Stream();
+    const results = [];
+
+    Pipeline()
+        .from(stream)
+        .reindex({ period: "1m", fieldSpec: "in" })
+        .to(EventOut, e => results.push(e));
+
+    stream.addEvent(new TimeEvent(1400425920000, { in: 1, out: 2 }));
+    stream.addEvent(new TimeEvent(1400426100000, { in: 4, out: 5 }));
+
+    expect(results.length).toBe(4);
+    expect(results[1].timestamp().getTime()).toBe(1400425980000);
+    expect(results[1].data().toJS()).toEqual({ in: null });
+});
+
+it("can report the gaps in a TimeSeries", () => {
+    const ts = new TimeSeries(OUTAGE_DATA);
+
+    const gaps = ts.gaps({ threshold: "1m" });
+    expect(gaps.length).toBe(2);
+    expect(gaps[0].toJSON()).toEqual([1400425970000, 1400426140000]);
+    expect(gaps[1].toJSON()).toEqual([1400426140000, 1400426240000]);
+
+    // Counting events with missing values as absent
+    const valueGaps = ts.gaps({ threshold: "1m", fieldSpec: "value" });
+    expect(valueGaps.length).toBe(1);
+    expect(valueGaps[0].toJSON()).toEqual([1400425960000, 1400426240000]);
+
+    expect(ts.gaps({ threshold: "5m" })).toEqual([]);
+});
+
 //TODO
 /*
 it("can throw on bad args", () => {
@@ -0,0 +1,167 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable */
+
+import EventOut from "../io/eventout";
+import Stream from "../io/stream";
+import TimeEvent from "../timeevent";
+import TimeSeries from "../timeseries";
+import { Pipeline } from "../pipeline";
+import { avg, max } from "../base/functions";
+
+const T = 1400425800000; // Sun, 18 May 2014 15:10:00 GMT
+const MINUTE = 60 * 1000;
+
+function series(points) {
+    return new TimeSeries({
+        name: "traffic",
+        columns: ["time", "value"],
+        points
+    });
+}
+
+function times(ts) {
+    const result = [];
+    for (const event of ts.events()) {
+        result.push(event.timestamp().getTime());
+    }
+    return result;
+}
+
+function values(ts, name = "value") {
+    const result = [];
+    for (const event of ts.events()) {
+        result.push(event.get(name));
+    }
+    return result;
+}
+
+const AVG = { value: { value: avg() } };
+
+describe("Resample", () => {
+    it("can downsample by aggregating each period", () => {
+        const points = [];
+        for (let i = 0; i < 10; i++) {
+            points.push([T + i * MINUTE, i + 1]);
+        }
+        const ts = series(points);
+
+        const resampled = ts.resample({
+            period: "5m",
+            aggregation: { value: { value: avg() }, peak: { value: max() } }
+        });
+        expect(times(resampled)).toEqual([T, T + 5 * MINUTE]);
+        expect(values(resampled)).toEqual([3, 8]);
+        expect(values(resampled, "peak")).toEqual([5, 10]);
+        expect(resampled.at(0) instanceof TimeEvent).toBeTruthy();
+    });
+
+    it("can label the events at the center or end of each period", () => {
+        const ts = series([[T, 1], [T + MINUTE, 3], [T + 5 * MINUTE, 5]]);
+
+        const center = ts.resample({
+            period: "5m",
+            aggregation: AVG,
+            label: "center"
+        });
+        expect(times(center)).toEqual([T + 150000, T + 450000]);
+
+        const end = ts.resample({ period: "5m", aggregation: AVG, label: "end" });
+        expect(times(end)).toEqual([T + 5 * MINUTE, T + 10 * MINUTE]);
+        expect(values(end)).toEqual([2, 5]);
+    });
+
+    it("can upsample by interpolating the empty periods", () => {
+        const ts = series([[T, 0], [T + 3 * MINUTE, 30]]);
+
+        const linear = ts.resample({ period: "1m", aggregation: AVG });
+        expect(times(linear)).toEqual([
+            T,
+            T + MINUTE,
+            T + 2 * MINUTE,
+            T + 3 * MINUTE
+        ]);
+        expect(values(linear)).toEqual([0, 10, 20, 30]);
+
+        const hold = ts.resample({
+            period: "1m",
+            aggregation: AVG,
+            interpolation: "hold"
+        });
+        expect(values(hold)).toEqual([0, 0, 0, 30]);
+
+        const none = ts.resample({
+            period: "1m",
+            aggregation: AVG,
+            interpolation: null
+        });
+        expect(values(none)).toEqual([0, null, null, 30]);
+    });
+
+    it("can both aggregate and interpolate in the same series", () => {
+        const ts = series([
+            [T, 10],
+            [T + 20000, 20],
+            [T + 2 * MINUTE, 35],
+            [T + 2 * MINUTE + 30000, 35]
+        ]);
+        const resampled = ts.resample({ period: "1m", aggregation: AVG });
+        expect(values(resampled)).toEqual([15, 25, 35]);
+    });
+
+    it("can upsample with a spline", () => {
+        const ts = series([
+            [T, 0],
+            [T + MINUTE, 10],
+            [T + 3 * MINUTE, 30],
+            [T + 4 * MINUTE, 40]
+        ]);
+        const resampled = ts.resample({
+            period: "1m",
+            aggregation: AVG,
+            interpolation: "spline"
+        });
+        expect(values(resampled)).toEqual([0, 10, 20, 30, 40]);
+    });
+
+    it("can resample a stream", () => {
+        const stream = new Stream();
+        const results = [];
+
+        Pipeline()
+            .from(stream)
+            .resample({ period: "1m", aggregation: AVG, interpolation: "hold" })
+            .to(EventOut, e => results.push(e));
+
+        stream.addEvent(new TimeEvent(T, { value: 1 }));
+        stream.addEvent(new TimeEvent(T + 30000, { value: 3 }));
+        expect(results.length).toBe(0);
+
+        stream.addEvent(new TimeEvent(T + 3 * MINUTE, { value: 5 }));
+        expect(results.length).toBe(3);
+        expect(results.map(e => e.get("value"))).toEqual([2, 2, 2]);
+        expect(results[2].timestamp().getTime()).toBe(T + 2 * MINUTE);
+    });
+
+    it("throws on bad options", () => {
+        const ts = series([[T, 0], [T + 3 * MINUTE, 30]]);
+        expect(() => ts.resample({ period: "1m" })).toThrow();
+        expect(() => ts.resample({ period: "later", aggregation: AVG })).toThrow();
+        expect(() =>
+            ts.resample({
+                period: "1m",
+                aggregation: AVG,
+                interpolation: "magic"
+            })).toThrow();
+        expect(() =>
+            ts.resample({ period: "1m", aggregation: AVG, label: "middle" })).toThrow();
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-disable */
+
+import EventOut from "../io/eventout";
+import Stream from "../io/stream";
+import TimeEvent from "../timeevent";
+import TimeSeries from "../timeseries";
+import { Pipeline } from "../pipeline";
+import { avg, max, stdev, sum } from "../base/functions";
+
+const REGULAR_DATA = {
+    name: "traffic",
+    columns: ["time", "value"],
+    points: [
+        [1400425940000, 1],
+        [1400425950000, 2],
+        [1400425960000, 3],
+        [1400425970000, 4],
+        [1400425980000, 5]
+    ]
+};
+
+const IRREGULAR_DATA = {
+    name: "traffic",
+    columns: ["time", "value"],
+    points: [
+        [1400425800000, 1],
+        [1400425860000, 2],
+        [1400425950000, 3],
+        [1400425980000, 4]
+    ]
+};
+
+function values(series, column = "value") {
+    const result = [];
+    for (const event of series.events()) {
+        result.push(event.get(column));
+    }
+    return result;
+}
+
+describe("Rolling aggregations", () => {
+    it("can roll over a number of events", () => {
+        const series = new TimeSeries(REGULAR_DATA);
+        const rolling = series.rolling({
+            window: 3,
+            aggregation: {
+                value_avg: { value: avg() },
+                value_sum: { value: sum() }
+            }
+        });
+
+        expect(rolling.size()).toBe(5);
+        expect(values(rolling, "value_avg")).toEqual([1, 1.5, 2, 3, 4]);
+        expect(values(rolling, "value_sum")).toEqual([1, 3, 6, 9, 12]);
+        expect(rolling.at(4).timestamp().getTime()).toBe(1400425980000);
+    });
+
+    it("can roll over a duration", () => {
+        const series = new TimeSeries(IRREGULAR_DATA);
+        const rolling = series.rolling({
+            window: "2m",
+            aggregation: { value: { value: avg() } }
+        });
+
+        expect(values(rolling)).toEqual([1, 1.5, 2.5, 3.5]);
+        expect(rolling.at(2).timestamp().getTime()).toBe(1400425950000);
+    });
+
+    it("can calculate a rolling standard deviation", () => {
+        const series = new TimeSeries(REGULAR_DATA);
+        const rolling = series.rolling({
+            window: 2,
+            aggregation: { value: { value: stdev() } }
+        });
+        expect(values(rolling)).toEqual([0, 0.5, 0.5, 0.5, 0.5]);
+    });
+
+    it("can roll over a stream", () => {
+        const stream = new Stream();
+        const results = [];
+
+        Pipeline()
+            .from(stream)
+            .rolling({ window: "30s", aggregation: { peak: { value: max() } } })
+            .to(EventOut, e => results.push(e));
+
+        stream.addEvent(new TimeEvent(1400425940000, 5));
+        stream.addEvent(new TimeEvent(1400425950000, 1));
+        stream.addEvent(new TimeEvent(1400425970000, 2));
+
+        expect(results.map(e => e.get("peak"))).toEqual([5, 5, 2]);
+    });
+
+    it("throws on a bad window", () => {
+        const series = new TimeSeries(REGULAR_DATA);
+        const aggregation = { value: { value: avg() } };
+        expect(() => series.rolling({ window: "soon", aggregation })).toThrow();
+        expect(() => series.rolling({ window: 0, aggregation })).toThrow();
+        expect(() => series.rolling({ window: 3 })).toThrow();
+    });
+
+    it("throws on a bad aggregation before any events", () => {
+        const stream = new Stream();
+        expect(() => {
+            Pipeline().from(stream).rolling({
+                window: 3,
+                aggregation: { value: { value: avg(), peak: max() } }
+            });
+        }).toThrow();
+    });
+});
+
+describe("Exponentially weighted moving averages", () => {
+    it("can smooth with an alpha", () => {
+        const series = new TimeSeries({
+            name: "traffic",
+            columns: ["time", "value", "other"],
+            points: [
+                [1400425940000, 1, 10],
+                [1400425950000, 3, 20],
+                [1400425960000, null, 30],
+                [1400425970000, 5, 40]
+            ]
+        });
+        const smoothed = series.ewma({ alpha: 0.5 });
+
+        expect(values(smoothed)).toEqual([1, 2, null, 3.5]);
+        expect(values(smoothed, "other")).toEqual([10, 20, 30, 40]);
+    });
+
+    it("can smooth irregular data with a half life", () => {
+        const series = new TimeSeries({
+            name: "traffic",
+            columns: ["time", "in"],
+            points: [
+                [1400425800000, 0],
+                [1400425860000, 10],
+                [1400425980000, 10]
+            ]
+        });
+        const smoothed = series.ewma({ fieldSpec: "in", halfLife: "1m" });
+
+        expect(values(smoothed, "in")).toEqual([0, 5, 8.75]);
+    });
+
+    it("needs either an alpha or a half life", () => {
+        const series = new TimeSeries(REGULAR_DATA);
+        expect(() => series.ewma({})).toThrow();
+        expect(() => series.ewma({ alpha: 0.5, halfLife: "1m" })).toThrow();
+        expect(() => series.ewma({ alpha: 2 })).toThrow();
+    });
+});
@@ -10,6 +10,7 @@
 
 /* eslint-disable */
 
+import _ from "underscore";
 import moment from "moment";
 
 import Collection from "../collection";
@@ -17,7 +18,15 @@ import TimeEvent from "../timeevent";
 import TimeRange from "../timerange";
 import TimeRangeEvent from "../timerangeevent";
 import TimeSeries from "../timeseries";
-import { sum, max, avg } from "../base/functions";
+import {
+    sum,
+    max,
+    min,
+    avg,
+    count,
+    stdev,
+    median
+} from "../base/functions";
 
 const TIMESERIES_TEST_DATA = {
     name: "traffic",
@@ -874,6 +883,276 @@ it("can generate 1 day fixed window averages over a TimeSeries", () => {
     expect(dailyAvg.at(4).value()).toBe(51.85);
 });
 
+it("can generate weekly and quarterly rollups in a time zone", () => {
+    const timeseries = new TimeSeries({
+        name: "weekly",
+        columns: ["time", "value"],
+        points: [
+            [1491220800000, 4], // Mon 3rd Apr 2017, 12:00 UTC
+            [1491795000000, 1], // Sun 9th Apr 2017, 23:30 New York
+            [1491825600000, 2] // Mon 10th Apr 2017, 12:00 UTC
+        ]
+    });
+    const aggregation = { value: { value: sum() } };
+
+    const newYork = timeseries.weeklyRollup({
+        aggregation,
+        timezone: "America/New_York"
+    });
+    expect(newYork.size()).toBe(2);
+    expect(newYork.at(0).indexAsString()).toBe("2017-W14");
+    expect(newYork.at(0).value()).toBe(5);
+    expect(newYork.at(0).begin().getTime()).toBe(1491192000000);
+    expect(newYork.at(1).value()).toBe(2);
+
+    const utc = timeseries.weeklyRollup({ aggregation, timezone: "UTC" });
+    expect(utc.at(0).value()).toBe(4);
+    expect(utc.at(1).value()).toBe(3);
+
+    const quarterly = timeseries.quarterlyRollup({
+        aggregation,
+        timezone: "UTC"
+    });
+    expect(quarterly.size()).toBe(1);
+    expect(quarterly.at(0).indexAsString()).toBe("2017-Q2");
+    expect(quarterly.at(0).value()).toBe(7);
+});
+
+it("can generate sub-second fixed window rollups", () => {
+    const timeseries = new TimeSeries({
+        name: "sensor",
+        columns: ["time", "value"],
+        points: [
+            [1400425947000, 1],
+            [1400425947200, 2],
+            [1400425947600, 4],
+            [1400425948100, 8]
+        ]
+    });
+    const rollup = timeseries.fixedWindowRollup({
+        windowSize: "500ms",
+        aggregation: { value: { value: sum() } }
+    });
+
+    expect(rollup.size()).toBe(3);
+    expect(rollup.at(0).indexAsString()).toBe("500ms-2800851894");
+    expect(rollup.at(0).value()).toBe(3);
+    expect(rollup.at(1).value()).toBe(4);
+    expect(rollup.at(2).value()).toBe(8);
+
+    expect(() => timeseries.fixedWindowRollup({
+        windowSize: "half a second",
+        aggregation: { value: { value: sum() } }
+    })).toThrow();
+});
+
+it("can roll up partial aggregates with the same result as the raw data", () => {
+    // two days of irregular points, so each 5m window has a different
+    // number of points
+    const points = [];
+    let t = Date.UTC(2017, 3, 10);
+    for (let i = 0; t < Date.UTC(2017, 3, 12); i++) {
+        points.push([t, i % 7 * 3 + i % 11]);
+        t += (i % 5 + 1) * 37000;
+    }
+    const timeseries = new TimeSeries({
+        name: "irregular",
+        columns: ["time", "value"],
+        points
+    });
+    const aggregation = {
+        avg: { value: avg() },
+        total: { value: sum() },
+        n: { value: count() },
+        low: { value: min() },
+        high: { value: max() },
+        sd: { value: stdev() }
+    };
+
+    const raw = timeseries.dailyRollup({ aggregation, timezone: "UTC" });
+
+    const fiveMinute = timeseries.fixedWindowRollup({
+        windowSize: "5m",
+        aggregation,
+        partial: true
+    });
+    const hourly = fiveMinute.hourlyRollup({
+        aggregation: _.mapObject(aggregation, (f, name) => ({
+            [name]: f.value
+        })),
+        partial: true
+    });
+    const daily = hourly.dailyRollup({
+        aggregation: _.mapObject(aggregation, (f, name) => ({
+            [name]: f.value
+        })),
+        timezone: "UTC"
+    });
+
+    expect(daily.size()).toBe(2);
+    for (let i = 0; i < 2; i++) {
+        const expected = raw.at(i);
+        const actual = daily.at(i);
+        expect(actual.indexAsString()).toBe(expected.indexAsString());
+        expect(actual.get("n")).toBe(expected.get("n"));
+        expect(actual.get("total")).toBe(expected.get("total"));
+        expect(actual.get("low")).toBe(expected.get("low"));
+        expect(actual.get("high")).toBe(expected.get("high"));
+        expect(actual.get("avg")).toBeCloseTo(expected.get("avg"), 10);
+        expect(actual.get("sd")).toBeCloseTo(expected.get("sd"), 10);
+    }
+
+    // the partial aggregates can still be read as values
+    const first = fiveMinute.at(0);
+    const begin = first.begin().getTime();
+    const end = first.end().getTime();
+    expect(first.get("n").result()).toBe(
+        points.filter(([time]) => time >= begin && time < end).length
+    );
+    expect(+first.get("avg")).toBe(first.get("avg").result());
+});
+
+it("can roll up partial aggregates that have been stored as JSON", () => {
+    const timeseries = new TimeSeries({
+        name: "sensor",
+        columns: ["time", "value"],
+        points: [
+            [Date.UTC(2017, 3, 10, 0, 1), 100],
+            [Date.UTC(2017, 3, 10, 0, 6), 10],
+            [Date.UTC(2017, 3, 10, 0, 7), 20],
+            [Date.UTC(2017, 3, 10, 0, 8), 30],
+            [Date.UTC(2017, 3, 10, 0, 9), null]
+        ]
+    });
+    const aggregation = {
+        avg: { value: avg() },
+        low: { value: min() },
+        sd: { value: stdev() }
+    };
+    const fiveMinute = timeseries.fixedWindowRollup({
+        windowSize: "5m",
+        aggregation,
+        partial: true
+    });
+
+    const json = JSON.parse(JSON.stringify(fiveMinute.toJSON()));
+    expect(json.points[0][1]).toEqual({
+        partial: "avg",
+        args: [],
+        clean: "ignoreMissing",
+        count: 1,
+        missing: false,
+        state: { total: 100, n: 1 }
+    });
+
+    const stored = new TimeSeries(json);
+    expect(stored.at(1).get("avg").result()).toBe(20);
+
+    const hourly = stored.hourlyRollup({
+        aggregation: {
+            avg: { avg: avg() },
+            low: { low: min() },
+            sd: { sd: stdev() }
+        }
+    });
+    const expected = timeseries.hourlyRollup({ aggregation });
+    expect(hourly.at(0).get("avg")).toBe(40);
+    expect(hourly.at(0).get("avg")).toBe(expected.at(0).get("avg"));
+    expect(hourly.at(0).get("low")).toBe(expected.at(0).get("low"));
+    expect(hourly.at(0).get("sd")).toBeCloseTo(expected.at(0).get("sd"), 10);
+});
+
+it("can roll up partial aggregates alongside other reducers", () => {
+    const timeseries = new TimeSeries({
+        name: "sensor",
+        columns: ["time", "value"],
+        points: [
+            [Date.UTC(2017, 3, 10, 0, 1), 1],
+            [Date.UTC(2017, 3, 10, 0, 2), 2],
+            [Date.UTC(2017, 3, 10, 0, 3), 9],
+            [Date.UTC(2017, 3, 10, 0, 7), 4]
+        ]
+    });
+
+    // median() can't be accumulated, so the partial avg is built from
+    // the events of each window
+    const fiveMinute = timeseries.fixedWindowRollup({
+        windowSize: "5m",
+        aggregation: {
+            avg: { value: avg() },
+            median: { value: median() }
+        },
+        partial: true
+    });
+    expect(fiveMinute.at(0).get("median")).toBe(2);
+    expect(fiveMinute.at(0).get("avg").result()).toBe(4);
+
+    const hourly = fiveMinute.hourlyRollup({
+        aggregation: {
+            avg: { avg: avg() },
+            median: { median: median() }
+        }
+    });
+    expect(hourly.at(0).get("avg")).toBe(4);
+    expect(hourly.at(0).get("median")).toBe(3);
+});
+
+it("can generate rollups at several resolutions in one pass", () => {
+    const timeseries = new TimeSeries(sept2014Data);
+    const aggregation = { value: { value: avg() } };
+
+    const rollups = timeseries.rollups({
+        "6h": { aggregation },
+        "1d": { aggregation: { value: { value: max() } } },
+        daily: { aggregation, timezone: "UTC", toTimeEvents: true }
+    });
+
+    expect(_.keys(rollups)).toEqual(["6h", "1d", "daily"]);
+    expect(rollups["6h"].toJSON()).toEqual(
+        timeseries.fixedWindowRollup({ windowSize: "6h", aggregation }).toJSON()
+    );
+    expect(rollups["1d"].toJSON()).toEqual(
+        timeseries
+            .fixedWindowRollup({
+                windowSize: "1d",
+                aggregation: { value: { value: max() } }
+            })
+            .toJSON()
+    );
+    expect(rollups.daily.toJSON()).toEqual(
+        timeseries
+            .dailyRollup({ aggregation, timezone: "UTC", toTimeEvents: true })
+            .toJSON()
+    );
+
+    expect(() => timeseries.rollups({ "1h": null })).toThrow();
+    expect(() => timeseries.rollups({ "1h": aggregation })).toThrow();
+
+    // an output column may be called "aggregation"
+    const named = timeseries.rollups({
+        "1d": { aggregation: { aggregation: { value: avg() } } }
+    });
+    expect(named["1d"].at(0).get("aggregation")).toBe(46.875);
+});
+
+it("can generate rollups of an empty TimeSeries", () => {
+    const timeseries = new TimeSeries({
+        name: "empty",
+        columns: ["time", "value"],
+        points: []
+    });
+    const aggregation = { value: { value: avg() } };
+
+    const rollups = timeseries.rollups({
+        "1h": { aggregation },
+        daily: { aggregation }
+    });
+    expect(_.keys(rollups)).toEqual(["1h", "daily"]);
+    expect(rollups["1h"].size()).toBe(0);
+    expect(rollups.daily.size()).toBe(0);
+    expect(timeseries.hourlyRollup({ aggregation }).size()).toBe(0);
+});
+
 it("can make Collections for each day in the TimeSeries", () => {
     const timeseries = new TimeSeries(sept2014Data);
     const collections = timeseries.collectByFixedWindow({ windowSize: "1d" });
@@ -0,0 +1,377 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import avro from "avsc/etc/browser/avsc-types";
+
+import TimeEvent from "../timeevent";
+import TimeRangeEvent from "../timerangeevent";
+import IndexedEvent from "../indexedevent";
+
+//
+// A stream of Avro encoded events is made up of frames. Each frame is a
+// one byte tag, followed by the length of the payload as a 32 bit
+// unsigned int (big endian), followed by the payload itself:
+//
+//  - A schema frame (tag 0) contains the JSON Avro schema of the events
+//    that follow it. This is a record with the event key (time, timerange
+//    or index) and the data, the same as each point of TimeSeries.schema().
+//  - An event frame (tag 1) contains a single event, Avro encoded using
+//    the most recent schema.
+//
+// A new schema frame is written whenever the schema changes, for example
+// when columns are added, so that the reader can resolve events encoded
+// with the old and new schemas.
+//
+
+const SCHEMA_FRAME = 0;
+const EVENT_FRAME = 1;
+const HEADER_LENGTH = 5;
+
+function frame(tag, payload) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt8(tag, 0);
+    header.writeUInt32BE(payload.length, 1);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Returns the record type within a field type, which may be a union
+ */
+function recordBranch(type) {
+    if (_.isArray(type)) {
+        return _.find(type, b => _.isObject(b) && b.type === "record");
+    }
+    return _.isObject(type) && type.type === "record" ? type : null;
+}
+
+/**
+ * Resolves data read with the writer's schema to the reader's record
+ * schema. Fields the writer didn't have are given their default value,
+ * while fields the reader doesn't have are dropped.
+ */
+function resolveRecord(data, schema) {
+    const result = {};
+    schema.fields.forEach(field => {
+        const value = data[field.name];
+        if (!_.isUndefined(value)) {
+            const record = recordBranch(field.type);
+            result[field.name] = record && _.isObject(value) && !_.isArray(value)
+                ? resolveRecord(value, record)
+                : value;
+        } else if (_.has(field, "default")) {
+            result[field.name] = field.default;
+        } else {
+            throw new Error(
+                `Unable to resolve the "${field.name}" field, which has no default`
+            );
+        }
+    });
+    return result;
+}
+
+/**
+ * Returns the Avro type of a value, as a union with "null" so that the
+ * value may be missing. The union is extended from the `previous` type,
+ * so that the schema only grows as different values are seen.
+ */
+function unionSchema(value, name, previous = ["null"]) {
+    const branches = previous.slice();
+    if (_.isNull(value) || _.isUndefined(value)) {
+        return branches;
+    }
+
+    const extend = (type, build) => {
+        const i = _.findIndex(branches, b => _.isObject(b) && b.type === type);
+        const schema = build(i >= 0 ? branches[i] : null);
+        if (i >= 0) {
+            branches[i] = schema;
+        } else {
+            branches.push(schema);
+        }
+        return branches;
+    };
+
+    if (_.isArray(value)) {
+        return extend("array", prev => {
+            let items = prev ? prev.items : ["null"];
+            value.forEach(v => {
+                items = unionSchema(v, `${name}_item`, items);
+            });
+            return { type: "array", items };
+        });
+    } else if (_.isObject(value)) {
+        return extend("record", prev => recordSchema(value, name, prev));
+    }
+
+    let primitive;
+    if (_.isNumber(value)) {
+        primitive = "double";
+    } else if (_.isString(value)) {
+        primitive = "string";
+    } else if (_.isBoolean(value)) {
+        primitive = "boolean";
+    } else {
+        throw new Error(`Unable to encode ${value} as Avro`);
+    }
+    if (!_.contains(branches, primitive)) {
+        branches.push(primitive);
+    }
+    return branches;
+}
+
+/**
+ * Returns the Avro record type of some data, extending the `previous`
+ * record type. Every field is optional, with a default of null, so data
+ * encoded with an older schema can be read with a newer one.
+ */
+function recordSchema(data, name, previous) {
+    const fields = previous ? previous.fields.map(f => ({ ...f })) : [];
+    _.each(data, (value, key) => {
+        const field = _.findWhere(fields, { name: key });
+        const type = unionSchema(value, `${name}_${key}`, field && field.type);
+        if (field) {
+            field.type = type;
+        } else {
+            fields.push({ name: key, type, default: null });
+        }
+    });
+    return { type: "record", name, fields };
+}
+
+/**
+ * Converts decoded Avro records into plain objects
+ */
+function toPlain(value) {
+    if (_.isArray(value)) {
+        return value.map(toPlain);
+    } else if (_.isObject(value)) {
+        return _.mapObject(value, toPlain);
+    }
+    return value;
+}
+
+/**
+ * Encodes events, one at a time, into the frames of an Avro event stream.
+ *
+ * If a schema isn't supplied, one is taken from the event type if it has
+ * a `dataSchema()`, otherwise the schema is inferred from the data of the
+ * events. An inferred schema is extended, and written again to the stream,
+ * whenever an event has new columns or values of a new type.
+ *
+ * @example
+ * ```
+ * const encoder = new AvroEncoder();
+ * socket.write(encoder.encode(event));
+ * ```
+ */
+export class AvroEncoder {
+    /**
+     * Create a new encoder. The schema may be supplied as a JSON Avro
+     * schema, such as returned by `TimeSeries.eventSchema()`.
+     */
+    constructor({ schema = null } = {}) {
+        this._schema = null;
+        this._type = null;
+        this._fixed = false;
+        this._schemaSent = false;
+        if (schema) {
+            this.setSchema(schema);
+        }
+    }
+
+    /**
+     * Change the schema used to encode events. The new schema will be
+     * written to the stream before the next event.
+     */
+    setSchema(schema) {
+        this._schema = schema;
+        this._type = avro.parse(schema);
+        this._fixed = true;
+        this._schemaSent = false;
+    }
+
+    /**
+     * Encode an event, returning a Buffer of the frames to write to
+     * the stream. This will include a schema frame if the schema has
+     * changed.
+     */
+    encode(event) {
+        const value = event.toJSON();
+
+        if (!this._type && event.type().dataSchema) {
+            this.setSchema({
+                type: "record",
+                name: "Event",
+                fields: [
+                    event.keySchema(),
+                    { name: "data", type: event.dataSchema() }
+                ]
+            });
+        }
+
+        if (this._fixed) {
+            if (!this._type.isValid(value)) {
+                throw new Error(
+                    `Event ${event.toString()} does not match the Avro schema`
+                );
+            }
+        } else {
+            const previous = this._schema ? this._schema.fields[1].type : null;
+            const dataSchema = recordSchema(value.data, "Data", previous);
+            if (!_.isEqual(dataSchema, previous)) {
+                this._schema = {
+                    type: "record",
+                    name: "Event",
+                    fields: [
+                        event.keySchema(),
+                        { name: "data", type: dataSchema }
+                    ]
+                };
+                this._type = avro.parse(this._schema);
+                this._schemaSent = false;
+            }
+        }
+
+        const frames = [];
+        if (!this._schemaSent) {
+            const schema = JSON.stringify(this._schema);
+            frames.push(frame(SCHEMA_FRAME, Buffer.from(schema)));
+            this._schemaSent = true;
+        }
+        frames.push(frame(EVENT_FRAME, this._type.toBuffer(value)));
+        return Buffer.concat(frames);
+    }
+}
+
+/**
+ * Decodes events from the frames of an Avro event stream. Chunks of the
+ * stream may be supplied as they arrive, they don't need to line up with
+ * the frames.
+ *
+ * If a reader schema is supplied, the data of each event is resolved from
+ * the schema it was written with to the reader schema: data fields the
+ * writer didn't have (e.g. columns added since) are given their default
+ * value, and fields the reader doesn't have are dropped. Otherwise events
+ * are read with the schema they were written with. Events are built as
+ * TimeEvents, TimeRangeEvents or IndexedEvents, depending on the schema's
+ * key, unless an event type is supplied.
+ *
+ * @example
+ * ```
+ * const decoder = new AvroDecoder();
+ * socket.on("data", chunk => {
+ *     decoder.decode(chunk).forEach(event => ...);
+ * });
+ * ```
+ */
+export class AvroDecoder {
+    /**
+     * Create a new decoder, optionally with a reader `schema` and an
+     * event `type`.
+     */
+    constructor({ schema = null, type = null } = {}) {
+        this._readerSchema = schema;
+        this._eventType = type;
+        this._writerType = null;
+        this._key = null;
+
+        // Chunks received since the last complete frame, which are only
+        // joined together once the next frame is complete
+        this._chunks = [];
+        this._pending = 0;
+        this._needed = HEADER_LENGTH;
+    }
+
+    /**
+     * Decode a chunk of the stream, returning the list of events
+     * completed by the chunk.
+     */
+    decode(chunk) {
+        this._chunks.push(chunk);
+        this._pending += chunk.length;
+        if (this._pending < this._needed) {
+            return [];
+        }
+
+        const buffer = Buffer.concat(this._chunks, this._pending);
+        const frames = [];
+        let offset = 0;
+        this._needed = HEADER_LENGTH;
+        while (buffer.length - offset >= HEADER_LENGTH) {
+            const tag = buffer.readUInt8(offset);
+            const length = buffer.readUInt32BE(offset + 1);
+            if (buffer.length - offset < HEADER_LENGTH + length) {
+                this._needed = HEADER_LENGTH + length;
+                break;
+            }
+            const payload = buffer.slice(
+                offset + HEADER_LENGTH,
+                offset + HEADER_LENGTH + length
+            );
+            frames.push({ tag, payload });
+            offset += HEADER_LENGTH + length;
+        }
+
+        // Keep the start of the next frame
+        const rest = buffer.slice(offset);
+        this._chunks = rest.length > 0 ? [rest] : [];
+        this._pending = rest.length;
+
+        const events = [];
+        frames.forEach(({ tag, payload }) => {
+            if (tag === SCHEMA_FRAME) {
+                this._setWriterSchema(JSON.parse(payload.toString()));
+            } else if (tag === EVENT_FRAME) {
+                events.push(this._decodeEvent(payload));
+            } else {
+                throw new Error(`Unknown Avro stream frame: ${tag}`);
+            }
+        });
+        return events;
+    }
+
+    /**
+     * @private
+     */
+    _setWriterSchema(schema) {
+        this._writerType = avro.parse(schema);
+        this._key = schema.fields[0].name;
+    }
+
+    /**
+     * @private
+     */
+    _decodeEvent(payload) {
+        if (!this._writerType) {
+            throw new Error("Avro stream event found before its schema");
+        }
+        const value = this._writerType.fromBuffer(payload);
+        let data = toPlain(value.data);
+        if (this._readerSchema) {
+            data = resolveRecord(data, recordBranch(this._readerSchema.fields[1].type));
+        }
+
+        let Event = this._eventType;
+        if (!Event) {
+            switch (this._key) {
+                case "timerange":
+                    Event = TimeRangeEvent;
+                    break;
+                case "index":
+                    Event = IndexedEvent;
+                    break;
+                default:
+                    Event = TimeEvent;
+            }
+        }
+        return new Event(value[this._key], data);
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+//
+// A clock provides the current time, along with the ability to set
+// and clear timers relative to that time. Clocks are used to trigger
+// the emission of windows in stream pipelines, see Pipeline.triggerAfter().
+//
+
+/**
+ * The default clock, which uses the system time and timers.
+ */
+export const systemClock = {
+    now() {
+        return Date.now();
+    },
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay);
+    },
+    clearTimeout(id) {
+        clearTimeout(id);
+    }
+};
+
+/**
+ * A clock that only moves forward when told to, using `advance()` or
+ * `setTime()`. Any timers that become due are called synchronously
+ * as the clock moves forward, in time order. This is useful for
+ * testing timer based pipelines deterministically.
+ */
+export class ManualClock {
+    /**
+     * Create a new clock, set to the supplied time (a Date or
+     * ms since the epoch).
+     */
+    constructor(now = 0) {
+        this._now = +now;
+        this._timers = {};
+    }
+
+    now() {
+        return this._now;
+    }
+
+    setTimeout(callback, delay) {
+        const id = _.uniqueId("timer-");
+        const time = this._now + Math.max(delay, 0);
+        this._timers[id] = { callback, time };
+        return id;
+    }
+
+    clearTimeout(id) {
+        delete this._timers[id];
+    }
+
+    /**
+     * Move the clock forward by the supplied number of ms.
+     */
+    advance(ms) {
+        this.setTime(this._now + ms);
+    }
+
+    /**
+     * Move the clock forward to the supplied time (a Date or ms since
+     * the epoch), firing any timers that are due along the way.
+     */
+    setTime(t) {
+        const time = +t;
+        let next = this._nextTimer(time);
+        while (next) {
+            const { id, timer } = next;
+            delete this._timers[id];
+            this._now = timer.time;
+            timer.callback();
+            next = this._nextTimer(time);
+        }
+        this._now = Math.max(this._now, time);
+    }
+
+    /**
+     * @private
+     *
+     * Returns the earliest timer due at or before the time, if any.
+     */
+    _nextTimer(time) {
+        let next = null;
+        _.each(this._timers, (timer, id) => {
+            if (timer.time <= time && (!next || timer.time < next.timer.time)) {
+                next = { id, timer };
+            }
+        });
+        return next;
+    }
+}
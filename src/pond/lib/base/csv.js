@@ -0,0 +1,190 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import moment from "moment";
+
+//
+// Helpers for reading and writing CSV, used by TimeSeries.fromCSV()
+// and TimeSeries.toCSV().
+//
+
+/**
+ * Number of ms in each of the epoch time units
+ */
+const epochUnits = {
+    s: 1000,
+    ms: 1,
+    us: 1 / 1000,
+    ns: 1 / 1000000
+};
+
+const numberRegex = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Splits CSV text into an array of rows, each an array of string fields.
+ * Fields may be quoted with double quotes, in which case they may
+ * contain the delimiter, newlines, or quotes (escaped as ""). Blank
+ * lines are skipped.
+ */
+export function parseRows(text, delimiter = ",") {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let i = 0;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== "") {
+            rows.push(row);
+        }
+        row = [];
+        field = "";
+    };
+
+    while (i < text.length) {
+        const c = text[i];
+        if (quoted) {
+            if (c === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (c === "\"") {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === "\"") {
+            quoted = true;
+        } else if (text.startsWith(delimiter, i)) {
+            row.push(field);
+            field = "";
+            i += delimiter.length - 1;
+        } else if (c === "\r" && text[i + 1] === "\n") {
+            endRow();
+            i++;
+        } else if (c === "\n" || c === "\r") {
+            endRow();
+        } else {
+            field += c;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        throw new Error("Unterminated quoted field in CSV");
+    }
+    endRow();
+
+    return rows;
+}
+
+/**
+ * Joins an array of rows, each an array of fields, into CSV text.
+ * Fields containing the delimiter, quotes or newlines are quoted.
+ */
+export function formatRows(rows, delimiter = ",") {
+    const formatField = value => {
+        const s = String(value);
+        if (
+            s.indexOf(delimiter) >= 0 ||
+                s.indexOf("\"") >= 0 ||
+                s.indexOf("\n") >= 0 ||
+                s.indexOf("\r") >= 0
+        ) {
+            return `"${s.replace(/"/g, "\"\"")}"`;
+        }
+        return s;
+    };
+    return rows.map(row => row.map(formatField).join(delimiter)).join("\n");
+}
+
+/**
+ * Parses a time field, returning ms since the epoch. The format may be
+ * an epoch unit ("s", "ms", "us" or "ns"), "iso" for ISO 8601, or
+ * otherwise a moment.js format string. Times without a timezone are
+ * parsed as UTC, unless `utc` is false.
+ */
+export function parseTime(value, format = "ms", utc = true) {
+    if (_.has(epochUnits, format)) {
+        if (!numberRegex.test(value)) {
+            throw new Error(`Unable to parse ${format} time from "${value}"`);
+        }
+        return Math.round(parseFloat(value) * epochUnits[format]);
+    }
+    const f = format === "iso" ? moment.ISO_8601 : format;
+    const m = utc ? moment.utc(value, f, true) : moment(value, f, true);
+    if (!m.isValid()) {
+        throw new Error(`Unable to parse time from "${value}" as ${format}`);
+    }
+    return m.valueOf();
+}
+
+/**
+ * Formats ms since the epoch as a time field. The format is the same
+ * as parseTime().
+ */
+export function formatTime(ms, format = "ms", utc = true) {
+    if (_.has(epochUnits, format)) {
+        return ms / epochUnits[format];
+    }
+    if (format === "iso") {
+        return utc ? new Date(ms).toISOString() : moment(ms).format();
+    }
+    return utc ? moment.utc(ms).format(format) : moment(ms).format(format);
+}
+
+/**
+ * Parses a data field. Missing value tokens become null and numbers
+ * are converted. Anything else is left as a string.
+ */
+export function parseValue(value, missing) {
+    if (_.contains(missing, value)) {
+        return null;
+    }
+    if (numberRegex.test(value)) {
+        return parseFloat(value);
+    }
+    return value;
+}
+
+/**
+ * Sets a value within nested data given a dot separated path,
+ * e.g. "NASA_north.in"
+ */
+export function setPath(data, path, value) {
+    const parts = path.split(".");
+    const last = parts.pop();
+    let d = data;
+    parts.forEach(part => {
+        if (!_.isObject(d[part])) {
+            d[part] = {};
+        }
+        d = d[part];
+    });
+    d[last] = value;
+}
+
+/**
+ * Flattens nested data into a list of [path, value] pairs, where the
+ * path is dot separated.
+ */
+export function flattenPaths(data, prefix = "") {
+    let pairs = [];
+    _.each(data, (value, key) => {
+        const path = `${prefix}${key}`;
+        if (_.isObject(value) && !_.isArray(value)) {
+            pairs = pairs.concat(flattenPaths(value, `${path}.`));
+        } else {
+            pairs.push([path, value]);
+        }
+    });
+    return pairs;
+}
@@ -10,6 +10,8 @@
 
 import _ from "underscore";
 
+import { HyperLogLog, TDigest } from "./sketches";
+
 function isValid(v) {
     return !(_.isUndefined(v) || _.isNaN(v) || _.isNull(v));
 }
@@ -32,6 +34,197 @@ export const filter = {
     noneIfEmpty
 };
 
+//
+// Incremental accumulators
+//
+// Some reducers can also be computed one value at a time, so that a
+// window of events doesn't need to be kept around and reduced again
+// each time it is emitted. These reducers have an accumulator() which
+// returns a new Accumulator, with add(value), merge(other) and result().
+//
+// An Accumulator is built from a spec of the `kind` of state, how to
+// init() its state, add() a value to the state, merge() two states and
+// get the result() from a state, while the Accumulator itself handles
+// cleaning the values.
+//
+// Accumulators are also partial aggregates: an aggregation may output
+// the Accumulator of each window rather than its result, and these can
+// then be aggregated again, e.g. rolling up 5 minute windows into hourly
+// ones, with the same result as aggregating the original values.
+//
+// So that stored partial aggregates can be rolled up later, the JSON of
+// an Accumulator holds its state, along with the `name` and `args` of the
+// reducer it came from, which are used to build it again. The spec may
+// have toJSON() and fromJSON() functions to convert the state.
+//
+
+/**
+ * Accumulates values one at a time, giving the same result as passing
+ * the list of values to the reducer it came from.
+ *
+ * An Accumulator may itself be added as a value, as a partial aggregate.
+ * If it is of the same kind it is merged in, otherwise its result is
+ * added. Its `valueOf()` is its result, so it can be compared or used
+ * in arithmetic like the result.
+ *
+ * The JSON of an Accumulator is its state, which is turned back into an
+ * Accumulator when events are built from the JSON, e.g. by a TimeSeries.
+ */
+export class Accumulator {
+    constructor(spec, clean) {
+        this._spec = spec;
+        this._clean = clean;
+        this._state = spec.init();
+
+        // the number of values added, before cleaning
+        this._count = 0;
+
+        // whether a missing value has been added
+        this._missing = false;
+    }
+
+    /**
+     * Adds a value, cleaning it in the same way as the filter function
+     */
+    add(value) {
+        if (value instanceof Accumulator) {
+            return value._spec.kind === this._spec.kind
+                ? this.merge(value)
+                : this.add(value.result());
+        }
+        this._count += 1;
+        let v = value;
+        if (!isValid(v)) {
+            if (this._clean === ignoreMissing) {
+                return this;
+            } else if (this._clean === zeroMissing) {
+                v = 0;
+            } else if (this._clean === propagateMissing) {
+                this._missing = true;
+                return this;
+            }
+        }
+        this._state = this._spec.add(this._state, v);
+        return this;
+    }
+
+    /**
+     * Merges in another Accumulator of the same kind, which holds the
+     * values that came after the values of this one.
+     */
+    merge(other) {
+        this._count += other._count;
+        this._missing = this._missing || other._missing;
+        this._state = this._spec.merge(this._state, other._state);
+        return this;
+    }
+
+    result() {
+        if (this._missing) return null;
+        if (this._clean === noneIfEmpty && this._count === 0) return null;
+        return this._spec.result(this._state, this._count);
+    }
+
+    /**
+     * Returns a copy of the Accumulator, which won't change as more
+     * values are added to this one
+     */
+    snapshot() {
+        return new Accumulator(this._spec, this._clean).merge(this);
+    }
+
+    valueOf() {
+        return this.result();
+    }
+
+    toString() {
+        return `${this.result()}`;
+    }
+
+    toJSON() {
+        const { kind, name = kind, args = [], toJSON = st => st } = this._spec;
+        return {
+            partial: name,
+            args,
+            clean: _.findKey(filter, f => f === this._clean),
+            count: this._count,
+            missing: this._missing,
+            state: toJSON(this._state)
+        };
+    }
+
+    /**
+     * True if the object is the JSON of an Accumulator
+     */
+    static isJSON(json) {
+        return _.isObject(json) &&
+            _.has(partialReducers, json.partial) &&
+            _.has(json, "state");
+    }
+
+    /**
+     * Builds an Accumulator from its JSON
+     */
+    static fromJSON(json) {
+        const { partial, args = [], clean, count, missing, state } = json;
+        const reducer = partialReducers[partial](
+            ...args,
+            filter[clean] || filter.ignoreMissing
+        );
+        const accumulator = reducer.accumulator();
+        const { fromJSON = st => st } = accumulator._spec;
+        accumulator._state = fromJSON(state);
+        accumulator._count = count;
+        accumulator._missing = missing;
+        return accumulator;
+    }
+}
+
+// The reducers which an Accumulator can be built again from, by name
+const partialReducers = {
+    sum,
+    avg,
+    max,
+    min,
+    count,
+    first,
+    last,
+    stdev,
+    tdigest,
+    approxPercentile,
+    hyperloglog,
+    approxDistinct
+};
+
+/**
+ * Adds an accumulator() to the reducer, as long as the values are
+ * cleaned with one of the filter functions. The reducer then uses the
+ * accumulator for lists of values that contain partial aggregates.
+ */
+function accumulated(reducer, spec, clean) {
+    if (!_.contains(_.values(filter), clean)) {
+        return reducer;
+    }
+    const accumulator = () => new Accumulator(spec, clean);
+    const fn = values => {
+        if (_.some(values, v => v instanceof Accumulator)) {
+            const a = accumulator();
+            values.forEach(v => a.add(v));
+            return a.result();
+        }
+        return reducer(values);
+    };
+    fn.accumulator = accumulator;
+    return fn;
+}
+
+/**
+ * Returns true if the reducer can be computed incrementally
+ */
+export function isAccumulated(reducer) {
+    return _.isFunction(reducer.accumulator);
+}
+
 /**
  * Like first() except it will return null if not all the values are
  * the same. This can be used to transfer a value when doing aggregation.
@@ -64,11 +257,22 @@ export function keep(clean = filter.ignoreMissing) {
  *     `zeroMissing` - will replace missing values with a zero
  */
 export function sum(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         return _.reduce(cleanValues, (a, b) => a + b, 0);
     };
+    return accumulated(
+        reducer,
+        {
+            kind: "sum",
+            init: () => 0,
+            add: (total, v) => total + v,
+            merge: (a, b) => a + b,
+            result: total => total
+        },
+        clean
+    );
 }
 
 /**
@@ -82,7 +286,7 @@ export function sum(clean = filter.ignoreMissing) {
  *     `zeroMissing` - will replace missing values with a zero
  */
 export function avg(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         const sum = _.reduce(
@@ -94,6 +298,17 @@ export function avg(clean = filter.ignoreMissing) {
         );
         return sum / cleanValues.length;
     };
+    return accumulated(
+        reducer,
+        {
+            kind: "avg",
+            init: () => ({ total: 0, n: 0 }),
+            add: ({ total, n }, v) => ({ total: total + v, n: n + 1 }),
+            merge: (a, b) => ({ total: a.total + b.total, n: a.n + b.n }),
+            result: ({ total, n }) => total / n
+        },
+        clean
+    );
 }
 
 /**
@@ -107,7 +322,7 @@ export function avg(clean = filter.ignoreMissing) {
  *     `zeroMissing` - will replace missing values with a zero
  */
 export function max(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         const max = _.max(cleanValues);
@@ -115,6 +330,19 @@ export function max(clean = filter.ignoreMissing) {
             return max;
         }
     };
+    return accumulated(
+        reducer,
+        {
+            kind: "max",
+            init: () => -Infinity,
+            add: (m, v) => v > m ? v : m,
+            merge: (a, b) => b > a ? b : a,
+            result: m => _.isFinite(m) ? m : undefined,
+            toJSON: m => _.isFinite(m) ? m : null,
+            fromJSON: m => _.isNull(m) ? -Infinity : m
+        },
+        clean
+    );
 }
 
 /**
@@ -128,7 +356,7 @@ export function max(clean = filter.ignoreMissing) {
  *     `zeroMissing` - will replace missing values with a zero
  */
 export function min(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         const min = _.min(cleanValues);
@@ -136,6 +364,19 @@ export function min(clean = filter.ignoreMissing) {
             return min;
         }
     };
+    return accumulated(
+        reducer,
+        {
+            kind: "min",
+            init: () => Infinity,
+            add: (m, v) => v < m ? v : m,
+            merge: (a, b) => b < a ? b : a,
+            result: m => _.isFinite(m) ? m : undefined,
+            toJSON: m => _.isFinite(m) ? m : null,
+            fromJSON: m => _.isNull(m) ? Infinity : m
+        },
+        clean
+    );
 }
 
 /**
@@ -148,11 +389,22 @@ export function min(clean = filter.ignoreMissing) {
  *     be null if the values contain a missing value
  */
 export function count(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         return cleanValues.length;
     };
+    return accumulated(
+        reducer,
+        {
+            kind: "count",
+            init: () => 0,
+            add: n => n + 1,
+            merge: (a, b) => a + b,
+            result: n => n
+        },
+        clean
+    );
 }
 
 /**
@@ -167,11 +419,22 @@ export function count(clean = filter.ignoreMissing) {
  *     it is a missing value or not.
  */
 export function first(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         return cleanValues.length ? cleanValues[0] : undefined;
     };
+    return accumulated(
+        reducer,
+        {
+            kind: "first",
+            init: () => null,
+            add: (f, v) => f || { value: v },
+            merge: (a, b) => a || b,
+            result: f => f ? f.value : undefined
+        },
+        clean
+    );
 }
 
 /**
@@ -186,13 +449,24 @@ export function first(clean = filter.ignoreMissing) {
  *     it is a missing value or not.
  */
 export function last(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         return cleanValues.length
             ? cleanValues[cleanValues.length - 1]
             : undefined;
     };
+    return accumulated(
+        reducer,
+        {
+            kind: "last",
+            init: () => null,
+            add: (l, v) => ({ value: v }),
+            merge: (a, b) => b || a,
+            result: l => l ? l.value : undefined
+        },
+        clean
+    );
 }
 
 /**
@@ -232,7 +506,7 @@ export function median(clean = filter.ignoreMissing) {
 }
 
 export function stdev(clean = filter.ignoreMissing) {
-    return values => {
+    const reducer = values => {
         const cleanValues = clean(values);
         if (!cleanValues) return null;
         let sums = 0;
@@ -240,6 +514,38 @@ export function stdev(clean = filter.ignoreMissing) {
         cleanValues.forEach(v => sums += Math.pow(v - mean, 2));
         return Math.sqrt(sums / values.length);
     };
+
+    // Welford's method, with Chan et al's formula to merge, where m2
+    // is the sum of the squared differences from the mean. Like the
+    // reducer, this divides by the number of values before cleaning.
+    return accumulated(
+        reducer,
+        {
+            kind: "stdev",
+            init: () => ({ n: 0, mean: 0, m2: 0 }),
+            add: ({ n, mean, m2 }, v) => {
+                const delta = v - mean;
+                const newMean = mean + delta / (n + 1);
+                return {
+                    n: n + 1,
+                    mean: newMean,
+                    m2: m2 + delta * (v - newMean)
+                };
+            },
+            merge: (a, b) => {
+                const n = a.n + b.n;
+                if (n === 0) return a;
+                const delta = b.mean - a.mean;
+                return {
+                    n,
+                    mean: a.mean + delta * b.n / n,
+                    m2: a.m2 + b.m2 + delta * delta * a.n * b.n / n
+                };
+            },
+            result: ({ m2 }, count) => Math.sqrt(m2 / count)
+        },
+        clean
+    );
 }
 
 /**
@@ -308,3 +614,289 @@ export function percentile(q, interp = "linear", clean = filter.ignoreMissing) {
         return v;
     };
 }
+
+//
+// Timestamp aware reducers
+//
+// Rather than a list of values, these are passed a list of points, one
+// per event and sorted by time, each an object {time, duration, value}.
+// The time is in ms since the epoch and the duration is how long, in
+// ms, the value holds: until the next event, or for the last event until
+// the end of the range being aggregated (if there is one). The second
+// arg is that range, a TimeRange, which may be null.
+//
+// Reducers are marked as timestamp aware with timeAware().
+//
+
+/**
+ * Marks a reducer as timestamp aware, so that it will be passed the
+ * points and range described above, rather than a list of values.
+ *
+ * @example
+ * ```
+ * const timeAbove = threshold => timeAware(points =>
+ *     points
+ *         .filter(p => p.value > threshold)
+ *         .reduce((total, p) => total + p.duration, 0));
+ * ```
+ */
+export function timeAware(reducer) {
+    reducer.timeAware = true;
+    return reducer;
+}
+
+/**
+ * Returns true if the reducer is timestamp aware
+ */
+export function isTimeAware(reducer) {
+    return reducer.timeAware === true;
+}
+
+/**
+ * Cleans the values of a list of points, using one of the filter
+ * functions. Points are dropped if the filter drops their value.
+ */
+function cleanPoints(points, clean) {
+    const cleanValues = clean(points.map(p => p.value));
+    if (!cleanValues) return null;
+    if (cleanValues.length !== points.length) {
+        return points.filter(p => isValid(p.value));
+    }
+    return points.map((p, i) => ({ ...p, value: cleanValues[i] }));
+}
+
+/**
+ * Returns a time weighted average function, where each value is weighted
+ * by how long it holds for. Irregularly sampled data, such as a gauge
+ * reported when it changes, is then averaged by time rather than by the
+ * number of samples. If none of the values have a duration, the result
+ * is the plain average.
+ *
+ * Optionally you can specify the method by which unclean values
+ * are treated. The default is to exclude missing values, so that
+ * the time they cover is left out of the average.
+ */
+export function timeWeightedAvg(clean = filter.ignoreMissing) {
+    return timeAware(points => {
+        const cleanPts = cleanPoints(points, clean);
+        if (!cleanPts || cleanPts.length === 0) return null;
+        const total = _.reduce(cleanPts, (a, p) => a + p.duration, 0);
+        if (total === 0) {
+            return avg()(cleanPts.map(p => p.value));
+        }
+        return _.reduce(cleanPts, (a, p) => a + p.value * p.duration, 0) /
+            total;
+    });
+}
+
+/**
+ * Returns a time in state function, giving the total time, in ms, that
+ * the value is equal to `state`, e.g. how long a link was "down" for.
+ */
+export function timeInState(state, clean = filter.ignoreMissing) {
+    return timeAware(points => {
+        const cleanPts = cleanPoints(points, clean);
+        if (!cleanPts) return null;
+        return _.reduce(
+            cleanPts,
+            (a, p) => p.value === state ? a + p.duration : a,
+            0
+        );
+    });
+}
+
+/**
+ * Returns a function giving the value of the earliest event, which
+ * unlike first() doesn't depend on the order the events were added in.
+ */
+export function firstByTime(clean = filter.ignoreMissing) {
+    return timeAware(points => {
+        const cleanPts = cleanPoints(points, clean);
+        if (!cleanPts) return null;
+        return cleanPts.length ? cleanPts[0].value : undefined;
+    });
+}
+
+/**
+ * Returns a function giving the value of the latest event, which
+ * unlike last() doesn't depend on the order the events were added in.
+ */
+export function lastByTime(clean = filter.ignoreMissing) {
+    return timeAware(points => {
+        const cleanPts = cleanPoints(points, clean);
+        if (!cleanPts) return null;
+        return cleanPts.length
+            ? cleanPts[cleanPts.length - 1].value
+            : undefined;
+    });
+}
+
+/**
+ * Returns a duration weighted percentile function, giving the value
+ * that the data is at or below for q percent of the time. For example,
+ * with q of 95 the result is the value exceeded only 5% of the time.
+ * If none of the values have a duration, each counts equally.
+ */
+export function timeWeightedPercentile(q, clean = filter.ignoreMissing) {
+    if (q < 0 || q > 100) {
+        throw new Error("Percentile q must be between 0 and 100");
+    }
+    return timeAware(points => {
+        const cleanPts = cleanPoints(points, clean);
+        if (!cleanPts || cleanPts.length === 0) return null;
+
+        const sorted = cleanPts.slice().sort((a, b) => a.value - b.value);
+        let total = _.reduce(sorted, (a, p) => a + p.duration, 0);
+        const weight = p => total > 0 ? p.duration : 1;
+        if (total === 0) {
+            total = sorted.length;
+        }
+
+        const target = q / 100 * total;
+        let cumulative = 0;
+        for (const p of sorted) {
+            cumulative += weight(p);
+            if (cumulative >= target && weight(p) > 0) {
+                return p.value;
+            }
+        }
+        return sorted[sorted.length - 1].value;
+    });
+}
+
+//
+// Sketch reducers
+//
+// These estimate quantiles and distinct counts using sketches (see
+// base/sketches.js) rather than keeping every value, and can be computed
+// incrementally. The sketch itself may be the result, by using tdigest()
+// or hyperloglog(), in which case the sketches from several windows can
+// later be merged, e.g. rolling up 5 minute sketches into an hourly
+// percentile. The values passed to these reducers may be sketches or
+// plain values.
+//
+
+/**
+ * Returns a reducer which adds the values to a new sketch, merging in
+ * any values which are themselves sketches, and returns the result of
+ * the sketch. The `name` and `args` are those of the reducer function.
+ */
+function sketched({ name, args, Sketch, create, accepts, result }, clean) {
+    const kind = Sketch === TDigest ? "tdigest" : "hyperloglog";
+    const add = (sketch, v) => {
+        if (v instanceof Sketch) {
+            sketch.merge(v);
+        } else if (accepts(v)) {
+            sketch.add(v);
+        }
+        return sketch;
+    };
+    const reducer = values => {
+        const cleanValues = clean(values);
+        if (!cleanValues) return null;
+        return result(_.reduce(cleanValues, add, create()));
+    };
+    return accumulated(
+        reducer,
+        {
+            kind,
+            name,
+            args,
+            init: create,
+            add,
+            merge: (a, b) => a.merge(b),
+            result,
+            toJSON: sketch => sketch.toJSON(),
+            fromJSON: json => Sketch.fromJSON(json)
+        },
+        clean
+    );
+}
+
+/**
+ * Returns a function that summarizes the values in a TDigest, which can
+ * be merged with other TDigests and used to estimate quantiles.
+ */
+export function tdigest(compression = 100, clean = filter.ignoreMissing) {
+    return sketched(
+        {
+            name: "tdigest",
+            args: [compression],
+            Sketch: TDigest,
+            create: () => new TDigest(compression),
+            accepts: _.isNumber,
+            result: digest => digest.clone()
+        },
+        clean
+    );
+}
+
+/**
+ * Returns an approximate percentile function, using a TDigest, which
+ * doesn't need to keep or sort the values. The percentile q should be
+ * between 0 and 100. A larger compression is more accurate.
+ */
+export function approxPercentile(
+    q,
+    compression = 100,
+    clean = filter.ignoreMissing
+) {
+    if (q < 0 || q > 100) {
+        throw new Error("Percentile q must be between 0 and 100");
+    }
+    return sketched(
+        {
+            name: "approxPercentile",
+            args: [q, compression],
+            Sketch: TDigest,
+            create: () => new TDigest(compression),
+            accepts: _.isNumber,
+            result: digest => digest.quantile(q / 100)
+        },
+        clean
+    );
+}
+
+/**
+ * Returns an approximate median function, using a TDigest
+ */
+export function approxMedian(compression = 100, clean = filter.ignoreMissing) {
+    return approxPercentile(50, compression, clean);
+}
+
+/**
+ * Returns a function that summarizes the values in a HyperLogLog, which
+ * can be merged with other HyperLogLogs and used to estimate the number
+ * of distinct values.
+ */
+export function hyperloglog(precision = 12, clean = filter.ignoreMissing) {
+    return sketched(
+        {
+            name: "hyperloglog",
+            args: [precision],
+            Sketch: HyperLogLog,
+            create: () => new HyperLogLog(precision),
+            accepts: () => true,
+            result: hll => hll.clone()
+        },
+        clean
+    );
+}
+
+/**
+ * Returns an approximate distinct count function, using a HyperLogLog.
+ * With the default precision of 12 the standard error is about 1.6%.
+ */
+export function approxDistinct(precision = 12, clean = filter.ignoreMissing) {
+    return sketched(
+        {
+            name: "approxDistinct",
+            args: [precision],
+            Sketch: HyperLogLog,
+            create: () => new HyperLogLog(precision),
+            accepts: () => true,
+            result: hll => hll.count()
+        },
+        clean
+    );
+}
@@ -0,0 +1,143 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+//
+// Interpolation of a value at a time between known points, shared by
+// fill() and align(). Each point is an object {time, value}, where time
+// is in ms since the epoch. p1 and p2 are the known points either side
+// of the time, while p0 (before p1) and p3 (after p2) are only used by
+// the spline. Any of the points may be null if they're not known.
+//
+
+// Methods that only produce numbers, from numeric points
+const NUMERIC_METHODS = ["linear", "mean", "spline"];
+
+/**
+ * Returns true if the method interpolates numeric values
+ */
+export function isNumericMethod(method) {
+    return _.contains(NUMERIC_METHODS, method);
+}
+
+/**
+ * Returns the number of known points after the time that the method
+ * needs in order to interpolate a value.
+ */
+export function pointsNeededAfter(method) {
+    switch (method) {
+        case "hold":
+        case "pad":
+            return 0;
+        case "spline":
+            return 2;
+        default:
+            return 1;
+    }
+}
+
+/**
+ * Returns the tangent at p1 of a monotone cubic through p0, p1 and p2,
+ * using the weighted harmonic mean of the slopes either side (as in
+ * Fritsch-Butland / PCHIP) so the curve never overshoots the points.
+ * Without a p0 the slope from p1 to p2 is used.
+ */
+function tangent(p0, p1, p2) {
+    const d1 = (p2.value - p1.value) / (p2.time - p1.time);
+    if (!p0 || p0.time === p1.time) {
+        return d1;
+    }
+    const d0 = (p1.value - p0.value) / (p1.time - p0.time);
+    if (d0 * d1 <= 0) {
+        return 0;
+    }
+    const h0 = p1.time - p0.time;
+    const h1 = p2.time - p1.time;
+    return 3 * (h0 + h1) / ((2 * h1 + h0) / d0 + (h1 + 2 * h0) / d1);
+}
+
+/**
+ * Monotone cubic Hermite interpolation between p1 and p2.
+ */
+function spline(t, p0, p1, p2, p3) {
+    const h = p2.time - p1.time;
+    const m1 = tangent(p0, p1, p2);
+    const m2 = p3 && p3.time !== p2.time
+        ? tangent(p1, p2, p3)
+        : (p2.value - p1.value) / h;
+
+    const s = (t - p1.time) / h;
+    const s2 = s * s;
+    const s3 = s2 * s;
+    return (2 * s3 - 3 * s2 + 1) * p1.value +
+        (s3 - 2 * s2 + s) * h * m1 +
+        (-2 * s3 + 3 * s2) * p2.value +
+        (s3 - s2) * h * m2;
+}
+
+/**
+ * Interpolates a value at time `t` using the method, which may be:
+ *  * "pad" or "hold" - the previous value (p1)
+ *  * "backfill" - the next value (p2)
+ *  * "nearest" - the value of whichever of p1 and p2 is closest in
+ *    time, or the previous value on a tie
+ *  * "mean" - the average of the previous and next values
+ *  * "linear" - linear interpolation between the previous and next values
+ *  * "spline" - monotone cubic interpolation, which also uses p0 and p3
+ *    when known to give a smooth curve
+ *
+ * Returns null if there aren't the points needed to interpolate a value,
+ * or if a numeric method is given non-numeric values.
+ */
+export function interpolate(method, t, p0, p1, p2, p3) {
+    const prev = p1 && !_.isNull(p1.value) && !_.isUndefined(p1.value)
+        ? p1
+        : null;
+    const next = p2 && !_.isNull(p2.value) && !_.isUndefined(p2.value)
+        ? p2
+        : null;
+
+    switch (method) {
+        case "pad":
+        case "hold":
+            return prev ? prev.value : null;
+        case "backfill":
+            return next ? next.value : null;
+        case "nearest":
+            if (prev && next) {
+                return t - prev.time <= next.time - t ? prev.value : next.value;
+            }
+            return prev ? prev.value : next ? next.value : null;
+        default:
+            break;
+    }
+
+    if (!prev || !next) {
+        return null;
+    }
+    if (!_.isNumber(prev.value) || !_.isNumber(next.value)) {
+        return null;
+    }
+    if (prev.time === next.time || method === "mean") {
+        return (prev.value + next.value) / 2;
+    }
+
+    switch (method) {
+        case "linear":
+            const f = (t - prev.time) / (next.time - prev.time);
+            return prev.value + f * (next.value - prev.value);
+        case "spline":
+            const numeric = p => p && _.isNumber(p.value) ? p : null;
+            return spline(t, numeric(p0), prev, next, numeric(p3));
+        default:
+            throw new Error(`Unknown interpolation method: ${method}`);
+    }
+}
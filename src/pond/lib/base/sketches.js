@@ -0,0 +1,326 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+//
+// Sketches summarize a stream of values in a small, fixed amount of
+// memory, so that quantiles or the number of distinct values can be
+// estimated without keeping the values. Sketches of different windows
+// can be merged, e.g. to roll up 5 minute windows into hourly ones.
+//
+
+/**
+ * A t-digest (Dunning), which estimates quantiles, keeping most detail
+ * at the tails. Values are clustered into centroids, each with a mean
+ * and a count, with the size of the clusters limited by the compression:
+ * more compression means more centroids and more accurate quantiles.
+ */
+export class TDigest {
+    constructor(compression = 100) {
+        this._compression = compression;
+        this._centroids = [];
+        this._buffer = [];
+        this._count = 0;
+        this._min = Infinity;
+        this._max = -Infinity;
+    }
+
+    /**
+     * Adds a value, or a number of the same value
+     */
+    add(value, count = 1) {
+        this._buffer.push({ mean: value, count });
+        this._count += count;
+        this._min = Math.min(this._min, value);
+        this._max = Math.max(this._max, value);
+        if (this._buffer.length > this._compression * 5) {
+            this.compress();
+        }
+        return this;
+    }
+
+    /**
+     * Merges in the values of another TDigest
+     */
+    merge(other) {
+        other.compress();
+        other._centroids.forEach(c => this._buffer.push({ ...c }));
+        this._count += other._count;
+        this._min = Math.min(this._min, other._min);
+        this._max = Math.max(this._max, other._max);
+        this.compress();
+        return this;
+    }
+
+    /**
+     * The scale function, k1 in the paper, which limits the size of the
+     * centroid at the quantile q
+     */
+    scale(q) {
+        return this._compression / (2 * Math.PI) * Math.asin(2 * q - 1);
+    }
+
+    /**
+     * Merges buffered values into the centroids, combining neighbouring
+     * centroids where the scale function allows.
+     */
+    compress() {
+        if (this._buffer.length === 0) {
+            return this;
+        }
+        const all = _.sortBy(this._centroids.concat(this._buffer), "mean");
+        const centroids = [];
+        let current = { ...all[0] };
+        let before = 0;
+        for (let i = 1; i < all.length; i++) {
+            const c = all[i];
+            const count = current.count + c.count;
+            const q0 = before / this._count;
+            const q2 = (before + count) / this._count;
+            if (this.scale(q2) - this.scale(q0) <= 1) {
+                current.mean += (c.mean - current.mean) * c.count / count;
+                current.count = count;
+            } else {
+                centroids.push(current);
+                before += current.count;
+                current = { ...c };
+            }
+        }
+        centroids.push(current);
+        this._centroids = centroids;
+        this._buffer = [];
+        return this;
+    }
+
+    /**
+     * The number of values added
+     */
+    count() {
+        return this._count;
+    }
+
+    /**
+     * Returns the estimated value at the quantile q, between 0 and 1,
+     * or null if no values have been added.
+     */
+    quantile(q) {
+        if (q < 0 || q > 1) {
+            throw new Error("Quantile q must be between 0 and 1");
+        }
+        this.compress();
+        const centroids = this._centroids;
+        if (centroids.length === 0) {
+            return null;
+        }
+        if (q === 0) {
+            return this._min;
+        }
+        if (q === 1) {
+            return this._max;
+        }
+
+        // Interpolate between the centers of the centroids, where the
+        // min and max are at either end
+        const target = q * this._count;
+        const first = centroids[0];
+        if (target < first.count / 2) {
+            return this._min +
+                (first.mean - this._min) * target / (first.count / 2);
+        }
+        let center = first.count / 2;
+        for (let i = 1; i < centroids.length; i++) {
+            const prev = centroids[i - 1];
+            const c = centroids[i];
+            const next = center + (prev.count + c.count) / 2;
+            if (target < next) {
+                const f = (target - center) / (next - center);
+                return prev.mean + f * (c.mean - prev.mean);
+            }
+            center = next;
+        }
+        const last = _.last(centroids);
+        const f = (target - center) / (last.count / 2);
+        return last.mean + Math.min(f, 1) * (this._max - last.mean);
+    }
+
+    clone() {
+        const digest = new TDigest(this._compression);
+        this.compress();
+        digest._centroids = this._centroids.map(c => ({ ...c }));
+        digest._count = this._count;
+        digest._min = this._min;
+        digest._max = this._max;
+        return digest;
+    }
+
+    toJSON() {
+        this.compress();
+        return {
+            compression: this._compression,
+            min: this._min,
+            max: this._max,
+            centroids: this._centroids.map(c => [c.mean, c.count])
+        };
+    }
+
+    static fromJSON({ compression, min, max, centroids }) {
+        const digest = new TDigest(compression);
+        digest._centroids = centroids.map(([mean, count]) => ({ mean, count }));
+        digest._count = _.reduce(centroids, (a, c) => a + c[1], 0);
+
+        // an empty digest's min and max are infinite, which are null in JSON
+        digest._min = _.isNull(min) ? Infinity : min;
+        digest._max = _.isNull(max) ? -Infinity : max;
+        return digest;
+    }
+}
+
+/**
+ * Returns a 32 bit hash of the string, using FNV-1a followed by the
+ * MurmurHash3 finalizer to mix the bits.
+ */
+function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+//
+// The sigma and tau functions of Ertl's estimator for HyperLogLog, see
+// "New cardinality estimation algorithms for HyperLogLog sketches" (2017)
+//
+
+function sigma(x) {
+    if (x === 1) {
+        return Infinity;
+    }
+    let y = 1;
+    let z = x;
+    let zPrev;
+    do {
+        x *= x;
+        zPrev = z;
+        z += x * y;
+        y += y;
+    } while (z !== zPrev);
+    return z;
+}
+
+function tau(x) {
+    if (x === 0 || x === 1) {
+        return 0;
+    }
+    let y = 1;
+    let z = 1 - x;
+    let zPrev;
+    do {
+        x = Math.sqrt(x);
+        zPrev = z;
+        y *= 0.5;
+        z -= Math.pow(1 - x, 2) * y;
+    } while (z !== zPrev);
+    return z / 3;
+}
+
+/**
+ * A HyperLogLog (Flajolet et al), which estimates the number of distinct
+ * values. There are 2^precision registers, and the standard error of the
+ * estimate is about 1.04 / sqrt(2^precision), so 1.6% with the default
+ * precision of 12.
+ */
+export class HyperLogLog {
+    constructor(precision = 12) {
+        if (!Number.isInteger(precision) || precision < 4 || precision > 16) {
+            throw new Error("HyperLogLog precision must be between 4 and 16");
+        }
+        this._precision = precision;
+        this._registers = new Array(1 << precision).fill(0);
+    }
+
+    /**
+     * Adds a value, which is hashed along with its type, so that 1 and
+     * "1" are distinct.
+     */
+    add(value) {
+        const key = _.isObject(value)
+            ? `object:${JSON.stringify(value)}`
+            : `${typeof value}:${value}`;
+        const h = hash(key);
+        const p = this._precision;
+        const index = h >>> 32 - p;
+        const w = h << p >>> 0;
+        const rank = w === 0 ? 32 - p + 1 : Math.clz32(w) + 1;
+        if (rank > this._registers[index]) {
+            this._registers[index] = Math.min(rank, 32 - p + 1);
+        }
+        return this;
+    }
+
+    /**
+     * Merges in the values of another HyperLogLog with the same precision
+     */
+    merge(other) {
+        if (other._precision !== this._precision) {
+            throw new Error("Can't merge HyperLogLogs of different precision");
+        }
+        other._registers.forEach((r, i) => {
+            if (r > this._registers[i]) {
+                this._registers[i] = r;
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Returns the estimated number of distinct values, using Ertl's
+     * improved estimator, which is unbiased for small as well as large
+     * counts without needing tables of bias corrections.
+     */
+    count() {
+        const m = this._registers.length;
+        const q = 32 - this._precision;
+
+        // histogram of the register values, which are from 0 to q + 1
+        const counts = new Array(q + 2).fill(0);
+        this._registers.forEach(r => counts[r]++);
+
+        let z = m * tau(1 - counts[q + 1] / m);
+        for (let k = q; k >= 1; k--) {
+            z = 0.5 * (z + counts[k]);
+        }
+        z += m * sigma(counts[0] / m);
+        return Math.round(m * m / (2 * Math.LN2 * z));
+    }
+
+    clone() {
+        const hll = new HyperLogLog(this._precision);
+        hll._registers = this._registers.slice();
+        return hll;
+    }
+
+    toJSON() {
+        return { precision: this._precision, registers: this._registers };
+    }
+
+    static fromJSON({ precision, registers }) {
+        const hll = new HyperLogLog(precision);
+        hll._registers = registers.slice();
+        return hll;
+    }
+}
@@ -13,21 +13,89 @@ import Immutable from "immutable";
 import moment from "moment";
 import TimeRange from "../timerange";
 import Index from "../index";
+import { Accumulator } from "./functions";
 
+// Length of each duration unit, in ms
 const units = {
-    s: { label: "seconds", length: 1 },
-    m: { label: "minutes", length: 60 },
-    h: { label: "hours", length: 60 * 60 },
-    d: { label: "days", length: 60 * 60 * 24 }
+    ms: { label: "milliseconds", length: 1 },
+    s: { label: "seconds", length: 1000 },
+    m: { label: "minutes", length: 60 * 1000 },
+    h: { label: "hours", length: 60 * 60 * 1000 },
+    d: { label: "days", length: 60 * 60 * 24 * 1000 }
 };
 
+// A duration string is one or more numbers, each followed by a unit,
+// e.g. "30s", "500ms", "1.5h" or "1h30m"
+const durationRegex = /^([0-9]*\.?[0-9]+(ms|s|m|h|d))+$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The periods of calendar windows and indexes
+export const CALENDAR_TYPES = [
+    "daily",
+    "weekly",
+    "monthly",
+    "quarterly",
+    "yearly"
+];
+
+//
+// Formatters used to find the wall clock time in an IANA time zone,
+// cached by zone name since they are expensive to create
+//
+const zoneFormatters = {};
+
+function zoneFormatter(zone) {
+    if (!_.has(zoneFormatters, zone)) {
+        zoneFormatters[zone] = new Intl.DateTimeFormat("en-US", {
+            timeZone: zone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric"
+        });
+    }
+    return zoneFormatters[zone];
+}
+
+/**
+ * Returns the wall clock year, month (0-11), day, hour, minute and
+ * second of a time (in ms) in the IANA time zone.
+ */
+function zoneParts(ms, zone) {
+    const parts = {};
+    zoneFormatter(zone).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Returns the offset (in ms) of the IANA time zone from UTC at a time
+ */
+function zoneOffset(ms, zone) {
+    const { year, month, day, hour, minute, second } = zoneParts(ms, zone);
+    const wall = Date.UTC(year, month, day, hour, minute, second);
+    return wall - (ms - ((ms % 1000) + 1000) % 1000);
+}
+
 /**
  * This function will take an index, which may be of two forms:
  *     2015-07-14  (day)
  *     2015-07     (month)
  *     2015        (year)
  * or:
- *     1d-278      (range, in n x days, hours, minutes or seconds)
+ *     1d-278      (range, in n x days, hours, minutes, seconds or ms)
  *
  * and return a TimeRange for that time. The TimeRange may be considered to be
  * local time or UTC time, depending on the utc flag passed in.
@@ -42,32 +110,137 @@ export default {
     /**
      * Returns a duration in milliseconds given a window duration string.
      * For example "30s" (30 seconds) should return 30000ms. Accepts
-     * seconds (e.g. "30s"), minutes (e.g. "5m"), hours (e.g. "6h") and
-     * days (e.g. "30d")
+     * milliseconds (e.g. "500ms"), seconds (e.g. "30s"), minutes (e.g.
+     * "5m"), hours (e.g. "6h") and days (e.g. "30d"). Numbers may be
+     * fractional (e.g. "1.5s") and units may be combined (e.g. "1h30m").
+     * Returns undefined if the string isn't a duration.
      */
     windowDuration(w) {
-        // window should be two parts, a number and a letter if it's a
-        // range based index, e.g "1h".
-        const regex = /([0-9]+)([smhd])/;
-        const parts = regex.exec(w);
-        if (parts && parts.length >= 3) {
-            const num = parseInt(parts[1], 10);
-            const unit = parts[2];
-            return num * units[unit].length * 1000;
+        if (!_.isString(w) || !durationRegex.test(w)) {
+            return undefined;
+        }
+        const partRegex = /([0-9]*\.?[0-9]+)(ms|s|m|h|d)/g;
+        let duration = 0;
+        let parts = partRegex.exec(w);
+        while (parts) {
+            duration += parseFloat(parts[1]) * units[parts[2]].length;
+            parts = partRegex.exec(w);
         }
+        return Math.round(duration);
     },
     windowPositionFromDate(w, date) {
         const duration = this.windowDuration(w);
         let dd = moment.utc(date).valueOf();
         return parseInt(dd /= duration, 10);
     },
+    /**
+     * True if the zone is a known IANA time zone name, such as
+     * "America/New_York".
+     */
+    isTimeZone(zone) {
+        if (!_.isString(zone)) {
+            return false;
+        }
+        try {
+            zoneFormatter(zone);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    },
+    /**
+     * Returns the calendar year, month (0-11) and day of a time. The time
+     * is interpreted as UTC if utc is true, local time if false, or in the
+     * IANA time zone if utc is a zone name, e.g. "Europe/Paris".
+     */
+    calendarParts(date, utc) {
+        const d = new Date(+date);
+        if (utc === true) {
+            return {
+                year: d.getUTCFullYear(),
+                month: d.getUTCMonth(),
+                day: d.getUTCDate()
+            };
+        } else if (_.isString(utc)) {
+            const { year, month, day } = zoneParts(+d, utc);
+            return { year, month, day };
+        }
+        return { year: d.getFullYear(), month: d.getMonth(), day: d.getDate() };
+    },
+    /**
+     * Returns the time (ms since the epoch) of the start of a calendar day,
+     * where the month is 0-11 (and may overflow into the next year). The
+     * day is in UTC, local time or an IANA time zone, as calendarParts().
+     */
+    calendarTime(year, month, day, utc) {
+        if (utc === true) {
+            return Date.UTC(year, month, day);
+        } else if (_.isString(utc)) {
+            // Start with the wall clock time as if it were UTC, then
+            // correct it by the zone's offset at that time
+            const wall = Date.UTC(year, month, day);
+            const guess = wall - zoneOffset(wall, utc);
+            return wall - zoneOffset(guess, utc);
+        }
+        return new Date(year, month, day).getTime();
+    },
+    /**
+     * Returns the ISO 8601 week year and week number of a calendar day.
+     * ISO weeks start on a Monday, and the first week of the year is
+     * the one containing the first Thursday.
+     */
+    isoWeek(year, month, day) {
+        const date = Date.UTC(year, month, day);
+        const weekday = (new Date(date).getUTCDay() + 6) % 7;
+        const thursday = date + (3 - weekday) * DAY;
+        const weekYear = new Date(thursday).getUTCFullYear();
+        const week = 1 + Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * DAY));
+        return { weekYear, week };
+    },
+    /**
+     * Returns the calendar year, month (0-11) and day of the Monday
+     * which starts an ISO 8601 week.
+     */
+    isoWeekStart(weekYear, week) {
+        const jan4 = Date.UTC(weekYear, 0, 4);
+        const weekday = (new Date(jan4).getUTCDay() + 6) % 7;
+        const monday = new Date(jan4 + ((week - 1) * 7 - weekday) * DAY);
+        return {
+            year: monday.getUTCFullYear(),
+            month: monday.getUTCMonth(),
+            day: monday.getUTCDate()
+        };
+    },
+    /**
+     * Returns the TimeRange of an index string. The index may be of the
+     * form 1d-2345 or 500ms-2800 (a multiplier index, where the duration
+     * may be anything understood by windowDuration()), or a calendar index:
+     *     2015-07-14  (day)
+     *     2015-W28    (ISO week)
+     *     2015-07     (month)
+     *     2015-Q3     (quarter)
+     *     2015        (year)
+     *
+     * Calendar indexes are interpreted as UTC if utc is true (the default),
+     * local time if false, or in the IANA time zone if utc is a zone name.
+     */
     rangeFromIndexString(index, utc) {
-        const isUTC = !_.isUndefined(utc) ? utc : true;
+        const zone = !_.isUndefined(utc) ? utc : true;
+        const isUTC = zone === true;
         const parts = index.split("-");
 
         let beginTime;
         let endTime;
 
+        // The range of a calendar index, from the start of the first day
+        // up to, but not including, the start of the last
+        const calendarRange = (first, last) => {
+            const begin = this.calendarTime(first.year, first.month, first.day, zone);
+            const end = this.calendarTime(last.year, last.month, last.day, zone);
+            beginTime = moment.utc(begin);
+            endTime = moment.utc(end - 1);
+        };
+
         switch (parts.length) {
             case 3:
                 // A day, month and year e.g. 2014-10-24
@@ -79,29 +252,27 @@ export default {
                     const year = parseInt(parts[0], 10);
                     const month = parseInt(parts[1], 10);
                     const day = parseInt(parts[2], 10);
-                    beginTime = isUTC
-                        ? moment.utc([year, month - 1, day])
-                        : moment([year, month - 1, day]);
-                    endTime = isUTC
-                        ? moment.utc(beginTime).endOf("day")
-                        : moment(beginTime).endOf("day");
+                    const date = new Date(Date.UTC(year, month - 1, day));
+                    if (
+                        date.getUTCMonth() === month - 1 &&
+                            date.getUTCDate() === day
+                    ) {
+                        calendarRange(
+                            { year, month: month - 1, day },
+                            { year, month: month - 1, day: day + 1 }
+                        );
+                    }
                 }
                 break;
 
             case 2:
-                // Size should be two parts, a number and a letter if it's a
-                // range based index, e.g 1h-23478
-                const rangeRegex = /([0-9]+)([smhd])/;
-                const sizeParts = rangeRegex.exec(parts[0]);
-                if (
-                    sizeParts &&
-                        sizeParts.length >= 3 &&
-                        !_.isNaN(parseInt(parts[1], 10))
-                ) {
+                // Size should be two parts, a duration and a position if
+                // it's a range based index, e.g 1h-23478 or 1h30m-1234
+                const length = this.windowDuration(parts[0]);
+                const weekParts = /^W([0-9]{1,2})$/.exec(parts[1]);
+                const quarterParts = /^Q([1-4])$/.exec(parts[1]);
+                if (length && !_.isNaN(parseInt(parts[1], 10))) {
                     const pos = parseInt(parts[1], 10);
-                    const num = parseInt(sizeParts[1], 10);
-                    const unit = sizeParts[2];
-                    const length = num * units[unit].length * 1000;
 
                     beginTime = isUTC
                         ? moment.utc(pos * length)
@@ -109,6 +280,23 @@ export default {
                     endTime = isUTC
                         ? moment.utc((pos + 1) * length)
                         : moment((pos + 1) * length);
+                    // An ISO week e.g. 2015-W28
+                } else if (weekParts && !_.isNaN(parseInt(parts[0], 10))) {
+                    const weekYear = parseInt(parts[0], 10);
+                    const week = parseInt(weekParts[1], 10);
+                    const first = this.isoWeekStart(weekYear, week);
+                    const check = this.isoWeek(first.year, first.month, first.day);
+                    if (week >= 1 && check.weekYear === weekYear) {
+                        calendarRange(first, this.isoWeekStart(weekYear, week + 1));
+                    }
+                    // A quarter e.g. 2015-Q3
+                } else if (quarterParts && !_.isNaN(parseInt(parts[0], 10))) {
+                    const year = parseInt(parts[0], 10);
+                    const quarter = parseInt(quarterParts[1], 10);
+                    calendarRange(
+                        { year, month: (quarter - 1) * 3, day: 1 },
+                        { year, month: quarter * 3, day: 1 }
+                    );
                     // A month and year e.g 2015-09
                 } else if (
                     !_.isNaN(parseInt(parts[0], 10)) &&
@@ -116,22 +304,24 @@ export default {
                 ) {
                     const year = parseInt(parts[0], 10);
                     const month = parseInt(parts[1], 10);
-                    beginTime = isUTC
-                        ? moment.utc([year, month - 1])
-                        : moment([year, month - 1]);
-                    endTime = isUTC
-                        ? moment.utc(beginTime).endOf("month")
-                        : moment(beginTime).endOf("month");
+                    if (month >= 1 && month <= 12) {
+                        calendarRange(
+                            { year, month: month - 1, day: 1 },
+                            { year, month, day: 1 }
+                        );
+                    }
                 }
                 break;
 
             // A year e.g. 2015
             case 1:
-                const year = parts[0];
-                beginTime = isUTC ? moment.utc([year]) : moment([year]);
-                endTime = isUTC
-                    ? moment.utc(beginTime).endOf("year")
-                    : moment(beginTime).endOf("year");
+                const year = parseInt(parts[0], 10);
+                if (/^[0-9]+$/.test(parts[0])) {
+                    calendarRange(
+                        { year, month: 0, day: 1 },
+                        { year: year + 1, month: 0, day: 1 }
+                    );
+                }
                 break;
         }
 
@@ -174,14 +364,35 @@ export default {
                 break;
 
             case 2:
-                const rangeRegex = /([0-9]+)([smhd])/;
-                const sizeParts = rangeRegex.exec(parts[0]);
+                const weekParts = /^W([0-9]{1,2})$/.exec(parts[1]);
+                const quarterParts = /^Q([1-4])$/.exec(parts[1]);
                 if (
-                    sizeParts &&
-                        sizeParts.length >= 3 &&
+                    this.windowDuration(parts[0]) &&
                         !_.isNaN(parseInt(parts[1], 10))
                 ) {
                     return index;
+                } else if (weekParts && !_.isNaN(parseInt(parts[0], 10))) {
+                    const weekYear = parseInt(parts[0], 10);
+                    const week = parseInt(weekParts[1], 10);
+                    const { year, month, day } = this.isoWeekStart(
+                        weekYear,
+                        week
+                    );
+                    t = moment.utc([year, month, day]);
+                    if (format) {
+                        return t.format(format);
+                    } else {
+                        return t.format("[Week] W, GGGG");
+                    }
+                } else if (quarterParts && !_.isNaN(parseInt(parts[0], 10))) {
+                    const year = parseInt(parts[0], 10);
+                    const quarter = parseInt(quarterParts[1], 10);
+                    t = moment.utc([year, (quarter - 1) * 3]);
+                    if (format) {
+                        return t.format(format);
+                    } else {
+                        return t.format("[Q]Q YYYY");
+                    }
                 } else if (
                     !_.isNaN(parseInt(parts[0], 10)) &&
                         !_.isNaN(parseInt(parts[1], 10))
@@ -304,8 +515,16 @@ export default {
     dataFromArg(arg) {
         let data;
         if (_.isObject(arg)) {
-            // Deeply convert the data to Immutable Map
-            data = new Immutable.fromJS(arg);
+            // Deeply convert the data to Immutable Map, turning the JSON
+            // of partial aggregates back into Accumulators
+            const columns = Immutable.Iterable.isIterable(arg) ||
+                _.isArray(arg)
+                ? arg
+                : _.mapObject(
+                      arg,
+                      v => Accumulator.isJSON(v) ? Accumulator.fromJSON(v) : v
+                  );
+            data = new Immutable.fromJS(columns);
         } else if (data instanceof Immutable.Map) {
             // Copy reference to the data
             data = arg;
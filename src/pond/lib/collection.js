@@ -17,6 +17,9 @@ import TimeRange from "./timerange";
 
 import util from "./base/util";
 import {
+    Accumulator,
+    isAccumulated,
+    isTimeAware,
     sum,
     avg,
     max,
@@ -618,16 +621,45 @@ class Collection extends Bounded {
         return this.aggregate(percentile(q, interp, filter), fieldPath);
     }
 
+    /**
+     * Returns the values of a column as a list of points, sorted by time,
+     * for timestamp aware reducers. Each point is an object {time, duration,
+     * value}, where the duration is the time until the next event, or for
+     * the last event, the time until the end of the range (if supplied).
+     */
+    timePoints(fieldPath, range = null) {
+        const events = _.sortBy(this.eventListAsArray(), e =>
+            e.timestamp().getTime());
+        return events.map((e, i) => {
+            const time = e.timestamp().getTime();
+            let end = time;
+            if (i < events.length - 1) {
+                end = events[i + 1].timestamp().getTime();
+            } else if (range) {
+                end = Math.max(time, range.end().getTime());
+            }
+            return { time, duration: end - time, value: e.get(fieldPath) };
+        });
+    }
+
     /**
      * Aggregates the events down using a user defined function to
      * do the reduction.
      *
      * @param  {function} func    User defined reduction function. Will be
      *                            passed a list of values. Should return a
-     *                            singe value.
+     *                            singe value. A reducer marked with
+     *                            `timeAware()` is instead passed a list of
+     *                            points {time, duration, value}, sorted by
+     *                            time, and the range (see below).
      *
      * @param  {String} fieldPath The field to aggregate over
      *
+     * @param  {object} options   Options, which may include the `range`, a
+     *                            TimeRange covering the aggregation (e.g. a
+     *                            window). The value of the last event holds
+     *                            until the end of the range.
+     *
      * @return {number}           The resulting value
      */
     aggregate(func, fieldPath, options = {}) {
@@ -656,13 +688,29 @@ class Collection extends Bounded {
             );
         }
 
-        const result = Event.mapReduce(
+        // Partial aggregates are only merged by reducers that have an
+        // accumulator, otherwise their results are used as the values
+        const result = v => v instanceof Accumulator ? v.result() : v;
+
+        if (isTimeAware(func)) {
+            const range = options.range || null;
+            const points = this.timePoints(fpath, range).map(p => ({
+                ...p,
+                value: result(p.value)
+            }));
+            return func(points, range);
+        }
+
+        const reducer = isAccumulated(func)
+            ? func
+            : values => func(values.map(result));
+        const results = Event.mapReduce(
             this.eventListAsArray(),
             fpath,
-            func,
+            reducer,
             options
         );
-        return result[fpath];
+        return results[fpath];
     }
 
     /**
@@ -12,6 +12,44 @@ import _ from "underscore";
 
 import Collection from "./collection";
 import Index from "./index";
+import util, { CALENDAR_TYPES } from "./base/util";
+import { systemClock } from "./base/clock";
+
+/**
+ * Returns the list of keys for the sliding windows that the timestamp
+ * falls within. Sliding windows are of length `duration` and begin
+ * every `step`, so each timestamp will fall within several overlapping
+ * windows. Each key is of the form "begin,end" (in ms since the epoch)
+ * so that it can be turned back into a TimeRange.
+ */
+function slidingWindowKeys(duration, step, timestamp) {
+    const length = util.windowDuration(duration);
+    const stepLength = util.windowDuration(step);
+    const t = timestamp.getTime();
+
+    const keys = [];
+    let pos = Math.floor(t / stepLength);
+    while (pos * stepLength + length > t) {
+        const begin = pos * stepLength;
+        keys.unshift(`${begin},${begin + length}`);
+        pos--;
+    }
+    return keys;
+}
+
+/**
+ * Returns the end time (in ms since the epoch) of a sliding window
+ * given its window key.
+ */
+function slidingWindowEnd(windowKey) {
+    return parseInt(windowKey.split(",")[1], 10);
+}
+
+// Window types that are aligned to time, and so can be closed by a watermark
+const TIME_WINDOW_TYPES = ["fixed", "sliding", ...CALENDAR_TYPES];
+
+// Window types that are closed by their events rather than by time
+const COUNTED_WINDOW_TYPES = ["session", "count", "rolling"];
 
 /**
  * A Collector is used to accumulate events into multiple collections,
@@ -21,27 +59,197 @@ import Index from "./index";
  *
  * Collections are emitted from this class to the supplied onTrigger
  * callback.
+ *
+ * Rather than keeping each event in a Collection, the events may be
+ * accumulated as they arrive with an `accumulator` function, which
+ * returns a new accumulation for a window. This should have an
+ * addEvent(event) method, which returns the updated accumulation, and
+ * a size(), the number of events added. It is emitted to the onTrigger
+ * callback in place of the Collection. Rolling windows need the events
+ * themselves, so always use a Collection.
  */
 export default class Collector {
     constructor(options, onTrigger) {
-        const { windowType, windowDuration, groupBy, emitOn } = options;
+        const {
+            windowType,
+            windowDuration,
+            windowStep,
+            timezone,
+            groupBy,
+            emitOn,
+            lateness,
+            timer,
+            accumulator = null
+        } = options;
 
         this._groupBy = groupBy;
         this._emitOn = emitOn;
         this._windowType = windowType;
         this._windowDuration = windowDuration;
+        this._windowStep = windowStep;
+
+        // The time zone of calendar windows, an IANA zone name, or false
+        // for local time
+        this._timezone = timezone || false;
+
+        // The gap of session windows, in ms
+        this._gap = windowType === "session"
+            ? util.windowDuration(windowDuration)
+            : null;
+
+        // Allowed lateness. If supplied, time based windows are closed
+        // by the watermark rather than by the first newer event
+        this._lateness = null;
+        if (lateness && _.contains(COUNTED_WINDOW_TYPES, windowType)) {
+            throw new Error(
+                `Unable to allow lateness for ${windowType} windows, which are not aligned to time`
+            );
+        }
+        if (lateness && _.contains(TIME_WINDOW_TYPES, windowType)) {
+            const { policy = "drop", sideOutput = null } = lateness;
+            this._lateness = util.windowDuration(lateness.lateness);
+            this._latePolicy = policy;
+            this._sideOutput = sideOutput;
+        }
+
+        // The watermark trails the latest timestamp by the lateness
+        this._watermark = -Infinity;
+
+        // Closed windows retained so that late events can update them
+        this._closed = {};
+
+        // Timer trigger. If supplied, time based and session windows are
+        // also closed by the clock once their end plus the grace has passed
+        this._clock = null;
+        if (
+            timer &&
+                emitOn === "discard" &&
+                _.contains([...TIME_WINDOW_TYPES, "session"], windowType)
+        ) {
+            this._clock = timer.clock || systemClock;
+            this._grace = util.windowDuration(timer.grace);
+        }
+
+        // Time based windows ending at or before this time have been
+        // closed by the timer, so are not opened again by later events
+        this._closedBefore = -Infinity;
 
         // Callback for trigger
         this._onTrigger = onTrigger;
 
+        // Factory for accumulations, used instead of Collections
+        this._accumulator = windowType !== "rolling" ? accumulator : null;
+
         // Maintained collections
         this._collections = {};
+
+        // Open session windows, one per groupBy key
+        this._sessions = {};
+
+        // Number of events seen for count windows, per groupBy key
+        this._counts = {};
+    }
+
+    /**
+     * When late events may update windows, closed windows are retained
+     * until the watermark passes their end by the allowed lateness.
+     */
+    retainClosed(closed) {
+        if (this._latePolicy === "update") {
+            _.extend(this._closed, closed);
+            _.each(this._closed, (c, k) => {
+                if (c.end + this._lateness <= this._watermark) {
+                    delete this._closed[k];
+                }
+            });
+        }
+    }
+
+    /**
+     * Returns a new Collection, or accumulation, for a window
+     */
+    newCollection() {
+        return this._accumulator ? this._accumulator() : new Collection();
     }
 
     flushCollections() {
+        _.each(this._collections, c => this.clearTimer(c));
         this.emitCollections(this._collections);
     }
 
+    /**
+     * Emits and removes collections that are complete
+     */
+    discardCollections(discards) {
+        this.emitCollections(discards);
+        if (this.hasWatermark()) {
+            this.retainClosed(discards);
+        }
+        _.each(discards, (c, k) => {
+            this.clearTimer(c);
+            const session = this._sessions[c.groupByKey];
+            if (session && session.windowKey === c.windowKey) {
+                delete this._sessions[c.groupByKey];
+            }
+            if (this._windowType !== "rolling") {
+                delete this._collections[k];
+            }
+        });
+    }
+
+    /**
+     * Sets a timer to close the collection once the clock reaches
+     * the end of its window plus the grace period. For sessions the end
+     * of the window is the gap after the last event, so the timer is
+     * reset with each event.
+     */
+    scheduleClose(collectionKey) {
+        const c = this._collections[collectionKey];
+        this.clearTimer(c);
+
+        let end;
+        if (this._windowType === "session") {
+            end = this._sessions[c.groupByKey].last + this._gap;
+        } else {
+            end = this.windowEnd(c.windowKey);
+        }
+
+        const delay = end + this._grace - this._clock.now();
+        c.timer = this._clock.setTimeout(
+            () => this.closeCollection(collectionKey),
+            delay
+        );
+    }
+
+    clearTimer(c) {
+        if (c.timer) {
+            this._clock.clearTimeout(c.timer);
+            c.timer = null;
+        }
+    }
+
+    /**
+     * Called by the timer to close a collection. If using a watermark
+     * it is moved forward to the end of the window so that further
+     * events for the window will be handled as late events. Otherwise
+     * further events for the window, or any earlier window, are dropped.
+     */
+    closeCollection(collectionKey) {
+        const c = this._collections[collectionKey];
+        if (c) {
+            c.timer = null;
+            if (this.hasWatermark()) {
+                this._watermark = Math.max(this._watermark, c.end);
+            } else if (this._windowType !== "session") {
+                this._closedBefore = Math.max(
+                    this._closedBefore,
+                    this.windowEnd(c.windowKey)
+                );
+            }
+            this.discardCollections({ [collectionKey]: c });
+        }
+    }
+
     emitCollections(collections) {
         if (this._onTrigger) {
             _.each(collections, c => {
@@ -52,24 +260,97 @@ export default class Collector {
         }
     }
 
+    /**
+     * Returns the list of window keys that an event at the given
+     * timestamp should be collected into. For all window types other
+     * than sliding windows this will be a single key.
+     *
+     * For session windows the groupByKey is also needed because each
+     * group has its own session. A new session begins when the timestamp
+     * is more than the gap after the previous event in that group.
+     *
+     * Count windows are also per group, with every `count` events in
+     * the group forming a new window. A rolling count window has a single
+     * window per group which holds the last `count` events.
+     */
+    windowKeys(timestamp, groupByKey) {
+        const windowType = this._windowType;
+        if (windowType === "count") {
+            const n = this._counts[groupByKey] || 0;
+            this._counts[groupByKey] = n + 1;
+            return [`count-${Math.floor(n / this._windowDuration)}`];
+        } else if (windowType === "rolling") {
+            return ["rolling"];
+        } else if (windowType === "session") {
+            const t = timestamp.getTime();
+            const session = this._sessions[groupByKey];
+            if (session && t - session.last <= this._gap) {
+                session.last = Math.max(session.last, t);
+                return [session.windowKey];
+            }
+            const windowKey = `session-${t}`;
+            this._sessions[groupByKey] = { windowKey, last: t };
+            return [windowKey];
+        } else if (windowType === "fixed") {
+            return [Index.getIndexString(this._windowDuration, timestamp)];
+        } else if (windowType === "sliding") {
+            return slidingWindowKeys(
+                this._windowDuration,
+                this._windowStep,
+                timestamp
+            );
+        } else if (_.contains(CALENDAR_TYPES, windowType)) {
+            return [
+                Index.getCalendarIndexString(
+                    windowType,
+                    timestamp,
+                    this._timezone
+                )
+            ];
+        } else {
+            return [windowType];
+        }
+    }
+
+    /**
+     * Returns the end time (in ms since the epoch) of a time based
+     * window, given its window key. The end is exclusive, so the
+     * window is complete once the watermark reaches this time.
+     */
+    windowEnd(windowKey) {
+        const windowType = this._windowType;
+        if (windowType === "sliding") {
+            return slidingWindowEnd(windowKey);
+        } else if (windowType === "fixed") {
+            return new Index(windowKey).end().getTime();
+        } else {
+            // Calendar indexes end on the last ms of the period
+            return new Index(windowKey, this._timezone).end().getTime() + 1;
+        }
+    }
+
+    /**
+     * True if watermarks are being used to close windows, which is the
+     * case when a lateness has been supplied for time based windows that
+     * are emitted on discard.
+     */
+    hasWatermark() {
+        return !_.isNull(this._lateness) && this._emitOn === "discard";
+    }
+
     addEvent(event) {
         const timestamp = event.timestamp();
+        const windowType = this._windowType;
+        const hasWatermark = this.hasWatermark();
 
         //
-        // Window key
+        // Advance the watermark
         //
-        const windowType = this._windowType;
-        let windowKey;
-        if (windowType === "fixed") {
-            windowKey = Index.getIndexString(this._windowDuration, timestamp);
-        } else if (windowType === "daily") {
-            windowKey = Index.getDailyIndexString(timestamp);
-        } else if (windowType === "monthly") {
-            windowKey = Index.getMonthlyIndexString(timestamp);
-        } else if (windowType === "yearly") {
-            windowKey = Index.getYearlyIndexString(timestamp);
-        } else {
-            windowKey = windowType;
+        if (hasWatermark) {
+            this._watermark = Math.max(
+                this._watermark,
+                timestamp.getTime() - this._lateness
+            );
         }
 
         //
@@ -78,36 +359,140 @@ export default class Collector {
         const groupByKey = this._groupBy(event);
 
         //
-        // Collection key
+        // Add the event to the collection for each window it is in
         //
-        const collectionKey = groupByKey
-            ? `${windowKey}::${groupByKey}`
-            : windowKey;
-
         let discard = false;
-        if (!_.has(this._collections, collectionKey)) {
-            this._collections[collectionKey] = {
-                windowKey,
-                groupByKey,
-                collection: new Collection()
-            };
-            discard = true;
+        let late = false;
+        const closedBefore = hasWatermark
+            ? this._watermark
+            : this._closedBefore;
+        const updates = {};
+        const windowKeys = this.windowKeys(timestamp, groupByKey);
+        const collectionKeys = [];
+        windowKeys.forEach(windowKey => {
+            //
+            // Collection key
+            //
+            const collectionKey = groupByKey
+                ? `${windowKey}::${groupByKey}`
+                : windowKey;
+
+            //
+            // Late events, those in windows that the watermark has
+            // already passed or that the timer has closed, are handled
+            // based on the late policy
+            //
+            if (closedBefore > -Infinity) {
+                const end = this.windowEnd(windowKey);
+                if (end <= closedBefore) {
+                    late = true;
+                    if (
+                        this._latePolicy === "update" &&
+                            end + this._lateness > this._watermark
+                    ) {
+                        if (!_.has(this._closed, collectionKey)) {
+                            this._closed[collectionKey] = {
+                                windowKey,
+                                groupByKey,
+                                end,
+                                collection: this.newCollection()
+                            };
+                        }
+                        const c = this._closed[collectionKey];
+                        c.collection = c.collection.addEvent(event);
+                        updates[collectionKey] = c;
+                    }
+                    return;
+                }
+            }
+
+            if (!_.has(this._collections, collectionKey)) {
+                this._collections[collectionKey] = {
+                    windowKey,
+                    groupByKey,
+                    end: hasWatermark ? this.windowEnd(windowKey) : null,
+                    timer: null,
+                    collection: this.newCollection()
+                };
+                discard = true;
+                if (this._clock) {
+                    this.scheduleClose(collectionKey);
+                }
+            } else if (this._clock && windowType === "session") {
+                this.scheduleClose(collectionKey);
+            }
+            let collection = this._collections[
+                collectionKey
+            ].collection.addEvent(event);
+
+            // Rolling count windows only keep the last n events
+            if (
+                windowType === "rolling" &&
+                    collection.size() > this._windowDuration
+            ) {
+                collection = collection.slice(
+                    collection.size() - this._windowDuration
+                );
+            }
+            this._collections[collectionKey].collection = collection;
+
+            collectionKeys.push(collectionKey);
+        });
+
+        if (late && this._latePolicy === "side" && this._sideOutput) {
+            this._sideOutput(event);
         }
-        this._collections[collectionKey].collection = this._collections[
-            collectionKey
-        ].collection.addEvent(event);
 
         //
         // If fixed windows, collect together old collections that
-        // will be discarded
+        // will be discarded. For sliding windows, any window that
+        // ends at or before this event is complete. Sessions are
+        // complete once they have been replaced by a newer session
+        // in their group, or when this event is more than the gap
+        // after the last event in the session. Count windows are
+        // complete as soon as they are full, though rolling count
+        // windows are kept to roll forward with the next event.
+        // When using a watermark, time based windows are instead
+        // complete once the watermark has passed their end.
         //
         const discards = {};
-        if (discard && windowType === "fixed") {
+        if (hasWatermark) {
+            _.each(this._collections, (c, k) => {
+                if (c.end <= this._watermark) {
+                    discards[k] = c;
+                }
+            });
+        } else if (discard && windowType === "fixed") {
+            const [windowKey] = windowKeys;
             _.each(this._collections, (c, k) => {
                 if (windowKey !== c.windowKey) {
                     discards[k] = c;
                 }
             });
+        } else if (windowType === "sliding") {
+            _.each(this._collections, (c, k) => {
+                if (slidingWindowEnd(c.windowKey) <= timestamp.getTime()) {
+                    discards[k] = c;
+                }
+            });
+        } else if (windowType === "session") {
+            _.each(this._collections, (c, k) => {
+                const session = this._sessions[c.groupByKey];
+                if (
+                    !session ||
+                        session.windowKey !== c.windowKey ||
+                        timestamp.getTime() - session.last > this._gap
+                ) {
+                    discards[k] = c;
+                }
+            });
+        } else if (windowType === "count" || windowType === "rolling") {
+            collectionKeys.forEach(k => {
+                const c = this._collections[k];
+                if (c.collection.size() === this._windowDuration) {
+                    discards[k] = c;
+                }
+            });
         }
 
         //
@@ -117,10 +502,8 @@ export default class Collector {
         if (emitOn === "eachEvent") {
             this.emitCollections(this._collections);
         } else if (emitOn === "discard") {
-            this.emitCollections(discards);
-            _.each(Object.keys(discards), k => {
-                delete this._collections[k];
-            });
+            this.emitCollections(updates);
+            this.discardCollections(discards);
         } else if (emitOn === "flush") {
             // pass
         } else {
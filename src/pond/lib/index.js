@@ -8,6 +8,8 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+import _ from "underscore";
+
 import util from "./base/util";
 
 /**
@@ -21,16 +23,26 @@ For the first type, a multiplier index, an example might be:
     1d-12355      //  30th Oct 2003 (GMT), the 12355th day since the UNIX epoch
 ```
 
-You can also use seconds (e.g. 30s), minutes (e.g. 5m), hours (e.g. 1h) or days (e.g. 7d).
+You can also use milliseconds (e.g. 500ms), seconds (e.g. 30s), minutes (e.g. 5m), hours (e.g. 1h) or days (e.g. 7d). Durations may be fractional (e.g. 1.5s) or compound (e.g. 1h30m-9131).
 
 Here are several examples of a calendar index:
 
 ```text
     2003-10-30    // 30th Oct 2003
+    2003-W44      // The ISO week starting Monday 27th Oct 2003
     2014-09       // Sept 2014
+    2014-Q3       // July to Sept 2014
     2015          // All of the year 2015
 ```
 
+A calendar index is in UTC by default. It may instead be in local time, by
+passing false as the second argument of the constructor, or in any IANA
+time zone, by passing the zone name:
+
+```text
+    new Index("2017-W14", "America/New_York")
+```
+
 An Index is a nice representation of certain types of time intervals because it can be cached with its string representation as a key. A specific chunk of time, and associated data can be looked up based on that string. It also allows us to represent things like months, which have variable length.
 
 An Index is also useful when collecting into specific time ranges, for example generating all the 5 min ("5m") maximum rollups within a specific day ("1d"). See the processing section within these docs.
@@ -38,6 +50,9 @@ An Index is also useful when collecting into specific time ranges, for example g
  */
 class Index {
     constructor(s, utc = true) {
+        if (_.isString(utc) && !util.isTimeZone(utc)) {
+            throw new Error(`Unknown time zone: ${utc}`);
+        }
         this._utc = utc;
         this._string = s;
         this._timerange = util.rangeFromIndexString(s, this._utc);
@@ -119,35 +134,69 @@ class Index {
     }
 
     /**
-     * Generate an index string with day granularity.
+     * Generate an index string with day granularity. The day is found in
+     * local time, UTC if utc is true, or in the IANA time zone if utc is a
+     * zone name such as "America/New_York".
      */
     static getDailyIndexString(date, utc = false) {
-        let day = util.leftPad(utc ? date.getUTCDate() : date.getDate());
-        let month = util.leftPad(
-            utc ? date.getUTCMonth() + 1 : date.getMonth() + 1
-        );
-        const year = utc ? date.getUTCFullYear() : date.getFullYear();
-        return `${year}-${month}-${day}`;
+        const { year, month, day } = util.calendarParts(date, utc);
+        return `${year}-${util.leftPad(month + 1)}-${util.leftPad(day)}`;
+    }
+
+    /**
+     * Generate an index string with ISO week granularity, e.g. "2017-W14".
+     * Weeks start on a Monday.
+     */
+    static getWeeklyIndexString(date, utc = false) {
+        const { year, month, day } = util.calendarParts(date, utc);
+        const { weekYear, week } = util.isoWeek(year, month, day);
+        return `${weekYear}-W${util.leftPad(week)}`;
     }
 
     /**
      * Generate an index string with month granularity.
      */
     static getMonthlyIndexString(date, utc = false) {
-        let month = util.leftPad(
-            utc ? date.getUTCMonth() + 1 : date.getMonth() + 1
-        );
-        const year = utc ? date.getUTCFullYear() : date.getFullYear();
-        return `${year}-${month}`;
+        const { year, month } = util.calendarParts(date, utc);
+        return `${year}-${util.leftPad(month + 1)}`;
     }
 
     /**
-     * Generate an index string with month granularity.
+     * Generate an index string with quarter granularity, e.g. "2017-Q2".
+     */
+    static getQuarterlyIndexString(date, utc = false) {
+        const { year, month } = util.calendarParts(date, utc);
+        return `${year}-Q${Math.floor(month / 3) + 1}`;
+    }
+
+    /**
+     * Generate an index string with year granularity.
      */
     static getYearlyIndexString(date, utc = false) {
-        const year = utc ? date.getUTCFullYear() : date.getFullYear();
+        const { year } = util.calendarParts(date, utc);
         return `${year}`;
     }
+
+    /**
+     * Generate a calendar index string given the type of period, which
+     * may be "daily", "weekly", "monthly", "quarterly" or "yearly".
+     */
+    static getCalendarIndexString(type, date, utc = false) {
+        switch (type) {
+            case "daily":
+                return Index.getDailyIndexString(date, utc);
+            case "weekly":
+                return Index.getWeeklyIndexString(date, utc);
+            case "monthly":
+                return Index.getMonthlyIndexString(date, utc);
+            case "quarterly":
+                return Index.getQuarterlyIndexString(date, utc);
+            case "yearly":
+                return Index.getYearlyIndexString(date, utc);
+            default:
+                throw new Error(`Unknown calendar period: ${type}`);
+        }
+    }
 }
 
 export default Index;
@@ -0,0 +1,162 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+import CollectionOut from "./collectionout";
+import Stream from "./stream";
+
+//
+// Adapters to consume the output of a Pipeline as an async iterator, or
+// to write it to a Node.js Writable. See Pipeline.toAsyncIterator() and
+// Pipeline.toWritable().
+//
+
+/**
+ * Returns the item passed on by the adapters for each output callback.
+ * For a CollectionOut this is an object with the collection, windowKey
+ * and groupByKey. Otherwise it is the event.
+ */
+function outputItem(Out) {
+    if (Out === CollectionOut) {
+        return (collection, windowKey, groupByKey) => ({
+            collection,
+            windowKey,
+            groupByKey
+        });
+    }
+    return event => event;
+}
+
+/**
+ * Returns the Streams feeding an input, walking back through the
+ * source Pipelines of inputs that combine several, such as a Union or
+ * a Join.
+ */
+function inputStreams(input) {
+    if (input instanceof Stream) {
+        return [input];
+    }
+    if (input && input.sources) {
+        return _.flatten(
+            input.sources().map(source => inputStreams(source.in())),
+            true
+        );
+    }
+    return [];
+}
+
+/**
+ * Hold back the Streams being fed into the pipeline until the promise
+ * resolves. Other inputs can't be held back.
+ */
+function hold(pipeline, promise) {
+    inputStreams(pipeline.in()).forEach(stream => stream._hold(promise));
+}
+
+/**
+ * Connect the pipeline to an Out, returning an async iterator over
+ * the output. Once more than `highWaterMark` items are waiting to be
+ * read the input Streams are held back until they are read.
+ */
+export function toAsyncIterator(pipeline, Out, options = {}) {
+    const { highWaterMark = 16, ...outOptions } = options;
+    const item = outputItem(Out);
+    const items = [];
+    const readers = [];
+    let done = false;
+    let release = null;
+
+    const push = value => {
+        if (readers.length > 0) {
+            readers.shift()({ value, done: false });
+            return;
+        }
+        items.push(value);
+        if (items.length >= highWaterMark && !release) {
+            hold(pipeline, new Promise(resolve => {
+                release = resolve;
+            }));
+        }
+    };
+
+    const finish = () => {
+        done = true;
+        while (readers.length > 0) {
+            readers.shift()({ value: undefined, done: true });
+        }
+    };
+
+    const iterator = {
+        next() {
+            if (items.length > 0) {
+                const value = items.shift();
+                if (release && items.length < highWaterMark) {
+                    release();
+                    release = null;
+                }
+                return Promise.resolve({ value, done: false });
+            }
+            if (done) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise(resolve => readers.push(resolve));
+        },
+        return() {
+            items.length = 0;
+            finish();
+            if (release) {
+                release();
+                release = null;
+            }
+            return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]() {
+            return iterator;
+        }
+    };
+
+    pipeline.to(
+        Out,
+        { ...outOptions, onFlush: finish },
+        (...args) => {
+            if (!done) {
+                push(item(...args));
+            }
+        }
+    );
+
+    return iterator;
+}
+
+/**
+ * Connect the pipeline to an Out, writing the output to a Node.js
+ * Writable (in object mode). When the Writable asks us to wait, the
+ * input Streams are held back until it is drained. When the pipeline is
+ * flushed the Writable is ended, unless `end` is false.
+ */
+export function toWritable(pipeline, writable, Out, options = {}) {
+    const { end = true, ...outOptions } = options;
+    const item = outputItem(Out);
+
+    const finish = () => {
+        if (end) {
+            writable.end();
+        }
+    };
+
+    pipeline.to(Out, { ...outOptions, onFlush: finish }, (...args) => {
+        if (!writable.write(item(...args))) {
+            hold(pipeline, new Promise(resolve => {
+                writable.once("drain", resolve);
+            }));
+        }
+    });
+}
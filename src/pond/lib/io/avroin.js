@@ -0,0 +1,43 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import { AvroDecoder } from "../base/avrostream";
+import Stream from "./stream";
+
+/**
+ * A Stream which is fed with chunks of an Avro event stream, as written
+ * by `AvroOut`. Each event is added to the stream as soon as it has been
+ * decoded. The options may include a reader `schema` and event `type`
+ * (see `AvroDecoder`).
+ *
+ * @example
+ * ```
+ * const avroIn = new AvroIn();
+ * Pipeline()
+ *     .from(avroIn)
+ *     ...
+ *
+ * socket.on("data", chunk => avroIn.write(chunk));
+ * socket.on("end", () => avroIn.stop());
+ * ```
+ */
+export default class AvroIn extends Stream {
+    constructor(options = {}) {
+        super();
+        this._decoder = new AvroDecoder(options);
+    }
+
+    /**
+     * Add a chunk of the Avro event stream
+     */
+    write(chunk) {
+        this._decoder.decode(chunk).forEach(event => this.addEvent(event));
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import { AvroEncoder } from "../base/avrostream";
+import PipelineOut from "./pipelineout";
+
+/**
+ * An output which encodes each event as it arrives into an Avro event
+ * stream (see `AvroEncoder`). The callback is passed a Buffer for each
+ * event, which may be written to a socket or file. The options may
+ * include the `schema` to encode with.
+ *
+ * @example
+ * ```
+ * Pipeline()
+ *     .from(stream)
+ *     ...
+ *     .to(AvroOut, buffer => socket.write(buffer));
+ * ```
+ */
+class AvroOut extends PipelineOut {
+    constructor(pipeline, options, callback) {
+        super(pipeline);
+        this._callback = callback;
+        this._encoder = new AvroEncoder(options);
+    }
+
+    addEvent(event) {
+        const buffer = this._encoder.encode(event);
+        if (this._callback) {
+            this._callback(buffer);
+        } else {
+            this._pipeline.addResult(buffer);
+        }
+    }
+
+    onEmit(cb) {
+        this._callback = cb;
+    }
+
+    flush() {
+        if (!this._callback) {
+            this._pipeline.resultsDone();
+        }
+    }
+}
+
+export default AvroOut;
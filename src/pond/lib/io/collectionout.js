@@ -16,12 +16,17 @@ class CollectionOut extends PipelineOut {
         super(pipeline);
 
         this._callback = callback;
+        this._onFlush = options.onFlush;
         this._collector = new Collector(
             {
                 windowType: pipeline.getWindowType(),
                 windowDuration: pipeline.getWindowDuration(),
+                windowStep: pipeline.getWindowStep(),
+                timezone: pipeline.getWindowTimezone(),
                 groupBy: pipeline.getGroupBy(),
-                emitOn: pipeline.getEmitOn()
+                emitOn: pipeline.getEmitOn(),
+                lateness: pipeline.getLateness(),
+                timer: pipeline.mode() === "stream" ? pipeline.getTimer() : null
             },
             (collection, windowKey, groupByKey) => {
                 const groupBy = groupByKey ? groupByKey : "all";
@@ -55,6 +60,9 @@ class CollectionOut extends PipelineOut {
         if (!this._callback) {
             this._pipeline.resultsDone();
         }
+        if (this._onFlush) {
+            this._onFlush();
+        }
     }
 }
 
@@ -14,6 +14,7 @@ class EventOut extends PipelineOut {
     constructor(pipeline, options, callback) {
         super(pipeline);
         this._callback = callback;
+        this._onFlush = options.onFlush;
     }
 
     addEvent(event) {
@@ -32,6 +33,9 @@ class EventOut extends PipelineOut {
         if (!this._callback) {
             this._pipeline.resultsDone();
         }
+        if (this._onFlush) {
+            this._onFlush();
+        }
     }
 }
 
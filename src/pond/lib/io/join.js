@@ -0,0 +1,180 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import PipelineIn from "./pipelinein";
+import SourceOut, { sourceEvents } from "./sourceout";
+
+/**
+ * Matches events from the left side of a join to events on the right.
+ * Both sides are expected to be in time order. A left event is only
+ * matched once the right side has reached its timestamp (or is done),
+ * since until then a nearer right event might still arrive. Each call
+ * returns the list of joined events that are ready.
+ */
+class Matcher {
+    constructor(tolerance, keepUnmatched) {
+        this._tolerance = tolerance;
+        this._keepUnmatched = keepUnmatched;
+        this._left = [];
+        this._right = [];
+        this._rightTime = -Infinity;
+        this._rightDone = false;
+    }
+
+    addLeft(event) {
+        this._left.push(event);
+        return this.drain();
+    }
+
+    addRight(event) {
+        this._right.push(event);
+        this._rightTime = +event.timestamp();
+        return this.drain();
+    }
+
+    rightDone() {
+        this._rightDone = true;
+        return this.drain();
+    }
+
+    pending() {
+        return this._left.length > 0;
+    }
+
+    drain() {
+        const result = [];
+        while (this._left.length) {
+            const event = this._left[0];
+            const t = +event.timestamp();
+            if (!this._rightDone && this._rightTime < t) {
+                break;
+            }
+            this._left.shift();
+
+            // Find the nearest right event, the earlier one on a tie
+            let match = null;
+            let distance = Infinity;
+            let last = 0;
+            this._right.forEach((other, i) => {
+                const d = Math.abs(+other.timestamp() - t);
+                if (d < distance) {
+                    match = other;
+                    distance = d;
+                }
+                if (+other.timestamp() <= t) {
+                    last = i;
+                }
+            });
+
+            if (match && distance <= this._tolerance) {
+                result.push(
+                    event.setData(event.data().merge(match.data()))
+                );
+            } else if (this._keepUnmatched) {
+                result.push(event);
+            }
+
+            // Right events before the last one at or before this time
+            // can't be the nearest match for any later left events
+            this._right = this._right.slice(last);
+        }
+        return result;
+    }
+}
+
+/**
+ * An In which joins the events of two source Pipelines by time. Each
+ * event from the left source is combined with the right source event
+ * at the same time, or with the nearest right event within a tolerance.
+ * The data of the joined event is the data of both events, with the
+ * right event's fields taking precedence if the names collide. The
+ * joined event has the time (or index or timerange) of the left event.
+ * Use `Pipeline.join()` to create one.
+ */
+class Join extends PipelineIn {
+    constructor(left, right, options, mode) {
+        super();
+        this._leftSource = left;
+        this._rightSource = right;
+        this._tolerance = options.tolerance;
+        this._keepUnmatched = options.keepUnmatched;
+        this._mode = mode;
+
+        if (mode === "stream") {
+            this._matcher = new Matcher(this._tolerance, this._keepUnmatched);
+            this._leftDone = false;
+            this._flushed = false;
+            left.to(
+                SourceOut,
+                {
+                    onFlush: () => {
+                        this._leftDone = true;
+                        this._emitMatched([]);
+                    }
+                },
+                event => this._emitMatched(this._matcher.addLeft(event))
+            );
+            right.to(
+                SourceOut,
+                { onFlush: () => this._emitMatched(this._matcher.rightDone()) },
+                event => this._emitMatched(this._matcher.addRight(event))
+            );
+        }
+    }
+
+    /**
+     * The mode of the Join, "batch" or "stream", matching its sources
+     */
+    mode() {
+        return this._mode;
+    }
+
+    /**
+     * The left and right source Pipelines of the Join
+     */
+    sources() {
+        return [this._leftSource, this._rightSource];
+    }
+
+    *events() {
+        if (this._mode !== "batch") {
+            throw new Error(
+                "Iteration across unbounded sources is not supported."
+            );
+        }
+        const matcher = new Matcher(this._tolerance, this._keepUnmatched);
+        for (const event of sourceEvents(this._rightSource)) {
+            matcher.addRight(event);
+        }
+        matcher.rightDone();
+        for (const event of sourceEvents(this._leftSource)) {
+            for (const joined of matcher.addLeft(event)) {
+                this._check(joined);
+                yield joined;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emitMatched(events) {
+        events.forEach(event => {
+            this._check(event);
+            this.emit(event);
+        });
+        if (this._leftDone && !this._matcher.pending() && !this._flushed) {
+            this._flushed = true;
+            this.flush();
+        }
+    }
+}
+
+export default Join;
@@ -0,0 +1,53 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import PipelineOut from "./pipelineout";
+
+/**
+ * Returns an iterable of the events output by a batch Pipeline. If the
+ * Pipeline has no processing nodes we can iterate its In directly,
+ * otherwise the Pipeline is run to collect its output events.
+ *
+ * @private
+ */
+export function sourceEvents(pipeline) {
+    if (pipeline.last()) {
+        return pipeline.toEventList() || [];
+    }
+    return pipeline.in().events();
+}
+
+/**
+ * An output used to connect a source Pipeline to an In that combines
+ * several Pipelines, such as a Union or Join. Events are passed to
+ * the callback, while a flush (e.g. when the source Stream is stopped)
+ * is passed to the `onFlush` option.
+ *
+ * @private
+ */
+class SourceOut extends PipelineOut {
+    constructor(pipeline, options, callback) {
+        super(pipeline);
+        this._callback = callback;
+        this._onFlush = options.onFlush;
+    }
+
+    addEvent(event) {
+        this._callback(event);
+    }
+
+    flush() {
+        if (this._onFlush) {
+            this._onFlush();
+        }
+    }
+}
+
+export default SourceOut;
@@ -15,6 +15,7 @@ export default class Stream extends PipelineIn {
         super();
 
         this._running = true;
+        this._holds = [];
     }
 
     /**
@@ -42,6 +43,77 @@ export default class Stream extends PipelineIn {
         }
     }
 
+    /**
+     * Feed the events from an iterable, async iterable or Node.js
+     * Readable (in object mode) into the stream. The next event is only
+     * read from the source once the previous event has been processed,
+     * and once any outputs which are applying backpressure (see
+     * `Pipeline.toAsyncIterator()` and `Pipeline.toWritable()`) are
+     * ready for more, so a Readable source will be paused as needed.
+     *
+     * @example
+     * ```
+     * const stream = new Stream();
+     * Pipeline()
+     *     .from(stream)
+     *     ...
+     *     .to(EventOut, event => ...);
+     *
+     * stream.feed(readable).then(() => console.log("done"));
+     * ```
+     *
+     * @param  {Iterable|AsyncIterable|Readable} source  The source of events
+     * @param  {object}  options
+     * @param  {boolean} options.stop  Stop the stream once the source is
+     *                                 finished, flushing the pipeline
+     *                                 (defaults to true)
+     *
+     * @return {Promise} A promise resolved once the source is finished
+     */
+    async feed(source, { stop = true } = {}) {
+        const iterator = source[Symbol.asyncIterator]
+            ? source[Symbol.asyncIterator]()
+            : source[Symbol.iterator]();
+
+        try {
+            for (;;) {
+                await this._released();
+                const { value, done } = await iterator.next();
+                if (done) {
+                    break;
+                }
+                this.addEvent(value);
+            }
+        } catch (err) {
+            if (iterator.return) {
+                Promise.resolve(iterator.return()).catch(() => {});
+            }
+            throw err;
+        }
+
+        if (stop) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Used by outputs to hold back `feed()` until the promise is resolved.
+     *
+     * @private
+     */
+    _hold(promise) {
+        this._holds.push(promise);
+    }
+
+    /**
+     * @private
+     */
+    _released() {
+        const holds = this._holds;
+        this._holds = [];
+        return Promise.all(holds);
+    }
+
     *events() {
         throw new Error("Iteration across unbounded sources is not supported.");
     }
@@ -0,0 +1,131 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+import PipelineIn from "./pipelinein";
+import SourceOut, { sourceEvents } from "./sourceout";
+
+/**
+ * Returns the index of the head with the earliest timestamp, or -1 if
+ * there are no heads. Ties go to the earlier source.
+ */
+function earliest(heads) {
+    let next = -1;
+    heads.forEach((event, i) => {
+        if (event && (next < 0 || +event.timestamp() < +heads[next].timestamp())) {
+            next = i;
+        }
+    });
+    return next;
+}
+
+/**
+ * An In which interleaves the events of several source Pipelines
+ * by timestamp. Each source is expected to output its events in
+ * time order. Use `Pipeline.union()` to create one.
+ *
+ * In batch mode the sources are iterated together as the Union is
+ * iterated. In stream mode the events of each source are buffered
+ * until every source has either output a later event or been stopped,
+ * so that events are emitted in time order.
+ */
+class Union extends PipelineIn {
+    constructor(sources, mode) {
+        super();
+        this._sources = sources;
+        this._mode = mode;
+
+        if (mode === "stream") {
+            this._queues = sources.map(() => []);
+            this._done = sources.map(() => false);
+            sources.forEach((source, i) => {
+                source.to(
+                    SourceOut,
+                    { onFlush: () => this._sourceDone(i) },
+                    event => this._addSourceEvent(i, event)
+                );
+            });
+        }
+    }
+
+    /**
+     * The mode of the Union, "batch" or "stream", matching its sources
+     */
+    mode() {
+        return this._mode;
+    }
+
+    /**
+     * The source Pipelines of the Union
+     */
+    sources() {
+        return this._sources;
+    }
+
+    *events() {
+        if (this._mode !== "batch") {
+            throw new Error(
+                "Iteration across unbounded sources is not supported."
+            );
+        }
+        const iterators = this._sources.map(source =>
+            sourceEvents(source)[Symbol.iterator]());
+        const heads = iterators.map(iterator => iterator.next().value);
+        let next = earliest(heads);
+        while (next >= 0) {
+            const event = heads[next];
+            this._check(event);
+            yield event;
+            heads[next] = iterators[next].next().value;
+            next = earliest(heads);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _addSourceEvent(i, event) {
+        this._check(event);
+        this._queues[i].push(event);
+        this._drain();
+    }
+
+    /**
+     * @private
+     */
+    _sourceDone(i) {
+        this._done[i] = true;
+        this._drain();
+        if (_.every(this._done)) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Emit buffered events while we know no earlier event can arrive,
+     * i.e. while every source either has a buffered event or is done.
+     *
+     * @private
+     */
+    _drain() {
+        const ready = () =>
+            _.every(this._queues, (queue, i) => queue.length || this._done[i]);
+        while (ready()) {
+            const next = earliest(this._queues.map(queue => queue[0]));
+            if (next < 0) {
+                break;
+            }
+            this.emit(this._queues[next].shift());
+        }
+    }
+}
+
+export default Union;
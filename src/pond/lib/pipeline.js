@@ -15,12 +15,16 @@ import TimeEvent from "./timeevent";
 import IndexedEvent from "./indexedevent";
 import TimeRangeEvent from "./timerangeevent";
 import TimeSeries from "./timeseries";
+import util, { CALENDAR_TYPES } from "./base/util";
 
 // I/O
+import { toAsyncIterator, toWritable } from "./io/adapters";
 import Bounded from "./io/bounded";
 import CollectionOut from "./io/collectionout";
 import EventOut from "./io/eventout";
+import Join from "./io/join";
 import Stream from "./io/stream";
+import Union from "./io/union";
 
 // Processors
 import Aggregator from "./processors/aggregator";
@@ -28,17 +32,23 @@ import Aligner from "./processors/aligner";
 import Collapser from "./processors/collapser";
 import Converter from "./processors/converter";
 import Derivator from "./processors/derivator";
+import Detector from "./processors/detector";
 import Filler from "./processors/filler";
 import Filter from "./processors/filter";
+import Integrator from "./processors/integrator";
 import Mapper from "./processors/mapper";
 import Offset from "./processors/offset";
 import Processor from "./processors/processor";
+import Reindexer from "./processors/reindexer";
+import Resampler from "./processors/resampler";
+import Roller from "./processors/roller";
 import Selector from "./processors/selector";
+import Smoother from "./processors/smoother";
 import Taker from "./processors/taker";
 
 /**
  * A runner is used to extract the chain of processing operations
- * from a Pipeline given an Output. The idea here is to traverse
+ * from a Pipeline given one or more Outputs. The idea here is to traverse
  * back up the Pipeline(s) and build an execution chain.
  *
  * When the runner is started, events from the "in" are streamed
@@ -56,56 +66,87 @@ import Taker from "./processors/taker";
  *                   the upstream pipeline
  *   _processChain - the process nodes in the pipelines
  *                   leading to the out
- *   _output       - the supplied output destination for
+ *   _outputs      - the supplied output destinations for
  *                   the batch process
  *
- * NOTE: There's no current way to merge multiple sources, though
- *       a time series has a TimeSeries.merge() static method for
- *       this purpose.
+ * When there are several outputs (see Pipeline.fanOut()) the process
+ * nodes they share are only cloned once, so the execution chain becomes
+ * a tree and the input is only processed once:
+ *
+ *                                |--> pipeline --> out
+ *  in --> pipeline --------------.
+ *                                |--> pipeline --> out
+ *
+ * NOTE: Multiple sources can be combined with Pipeline.union() or
+ *       Pipeline.join(). These create a single "in" which is fed by
+ *       the source pipelines.
  */
 class Runner {
     /**
      * Create a new batch runner.
-     * @param  {Pipeline} pipeline The pipeline to run
-     * @param  {PipelineOut} output   The output driving this runner
+     * @param  {PipelineOut[]} outputs The outputs driving this runner
      */
-    constructor(pipeline, output) {
-        this._output = output;
-        this._pipeline = pipeline;
+    constructor(outputs) {
+        this._outputs = outputs;
+        this._input = null;
 
         //
-        // We use the pipeline's chain() function to walk the
-        // DAG back up the tree to the "in" to:
-        // 1) assemble a list of process nodes that feed into
-        //    this pipeline, the processChain
-        // 2) determine the _input
-        //
-        // TODO: we do not currently support merging, so this is
-        // a linear chain.
+        // The heads are the nodes the input events are added to. Clones
+        // holds the clone of each process node by id, so that a node
+        // shared between outputs is only cloned once.
         //
-        let processChain = [];
-        if (pipeline.last()) {
-            processChain = pipeline.last().chain();
-            this._input = processChain[0].pipeline().in();
-        } else {
-            this._input = pipeline.in();
-        }
+        this._heads = [];
+        const clones = {};
+
+        outputs.forEach(output => {
+            const pipeline = output._pipeline;
+
+            //
+            // We use the pipeline's chain() function to walk the
+            // DAG back up the tree to the "in" to:
+            // 1) assemble a list of process nodes that feed into
+            //    this pipeline, the processChain
+            // 2) determine the _input
+            //
+            let processChain = [];
+            let input;
+            if (pipeline.last()) {
+                processChain = pipeline.last().chain();
+                input = processChain[0].pipeline().in();
+            } else {
+                input = pipeline.in();
+            }
 
-        //
-        // Using the list of nodes in the tree that will be involved in
-        // our processing we can build an execution chain. This is the
-        // chain of processor clones, linked together, for our specific
-        // processing pipeline. We run this execution chain later by
-        // evoking start().
-        //
-        this._executionChain = [this._output];
-        let prev = this._output;
-        processChain.forEach(p => {
-            if (p instanceof Processor) {
-                const processor = p.clone();
-                if (prev) processor.addObserver(prev);
-                this._executionChain.push(processor);
-                prev = processor;
+            if (this._input && this._input !== input) {
+                throw new Error("Outputs of a Runner must share the same In");
+            }
+            this._input = input;
+
+            //
+            // Using the list of nodes in the tree that will be involved in
+            // our processing we can build an execution chain. This is the
+            // chain of processor clones, linked together, for our specific
+            // processing pipeline. Once we reach a node already cloned for
+            // another output we join onto its chain. We run the execution
+            // chain later by evoking start().
+            //
+            let prev = output;
+            let joined = false;
+            processChain.forEach(p => {
+                if (p instanceof Processor && !joined) {
+                    if (_.has(clones, p._id)) {
+                        clones[p._id].addObserver(prev);
+                        joined = true;
+                    } else {
+                        const processor = p.clone();
+                        processor.addObserver(prev);
+                        clones[p._id] = processor;
+                        prev = processor;
+                    }
+                }
+            });
+            if (!joined) {
+                this._heads.push(prev);
             }
         });
     }
@@ -117,16 +158,15 @@ class Runner {
      */
     start(force = false) {
         // Clear any results ready for the run
-        this._pipeline.clearResults();
+        this._outputs.forEach(output => output._pipeline.clearResults());
 
         //
-        // The head is the first process node in the execution chain.
+        // The heads are the first process nodes in the execution chain.
         // To process the source through the execution chain we add
-        // each event from the input to the head.
+        // each event from the input to each head.
         //
-        const head = this._executionChain.pop();
         for (const e of this._input.events()) {
-            head.addEvent(e);
+            this._heads.forEach(head => head.addEvent(e));
         }
 
         //
@@ -135,7 +175,7 @@ class Runner {
         // set to false (the default) this is never called.
         //
         if (force) {
-            head.flush();
+            this._heads.forEach(head => head.flush());
         }
     }
 }
@@ -180,7 +220,11 @@ class Pipeline {
                 groupBy: () => "",
                 windowType: "global",
                 windowDuration: null,
-                emitOn: "eachEvent"
+                windowStep: null,
+                windowTimezone: null,
+                emitOn: "eachEvent",
+                lateness: null,
+                timer: null
             });
         }
         this._results = [];
@@ -213,6 +257,14 @@ class Pipeline {
         return this._d.get("windowDuration");
     }
 
+    getWindowStep() {
+        return this._d.get("windowStep");
+    }
+
+    getWindowTimezone() {
+        return this._d.get("windowTimezone");
+    }
+
     getGroupBy() {
         return this._d.get("groupBy");
     }
@@ -221,6 +273,14 @@ class Pipeline {
         return this._d.get("emitOn");
     }
 
+    getLateness() {
+        return this._d.get("lateness");
+    }
+
+    getTimer() {
+        return this._d.get("timer");
+    }
+
     //
     // Results
     //
@@ -268,6 +328,8 @@ class Pipeline {
             mode = "batch";
         } else if (input instanceof Stream) {
             mode = "stream";
+        } else if (input instanceof Union || input instanceof Join) {
+            mode = input.mode();
         } else {
             throw new Error("Unknown input type", input);
         }
@@ -332,6 +394,9 @@ class Pipeline {
      * have a type and duration associated with it. Current available
      * types are:
      *   * fixed (e.g. every 5m)
+     *   * sliding (e.g. 5m windows, starting every 1m)
+     *   * session (e.g. bursts of events separated by at least 10m)
+     *   * count based windows (e.g. every 100 events, or the last 50 events)
      *   * calendar based windows (e.g. every month)
      *
      * Windows are a type of grouping. Typically you'd define a window
@@ -342,9 +407,67 @@ class Pipeline {
      * There are several ways to define a window. The general format is
      * an options object containing a `type` field and a `duration` field.
      *
-     * Currently the only accepted type is `fixed`, but others are planned.
-     * For duration, this is a duration string, for example "30s" or "1d".
-     * Supported are: seconds (s), minutes (m), hours (h) and days (d).
+     * The accepted types are `fixed` and `sliding`. For duration, this
+     * is a duration string, for example "30s" or "1d". Supported are:
+     * milliseconds (ms), seconds (s), minutes (m), hours (h) and days (d).
+     * Durations may be fractional, e.g. "0.5s", or combine several units,
+     * e.g. "1h30m".
+     *
+     * A `sliding` window also needs a `step`, which is a duration string
+     * specifying how often a new window begins. Because sliding windows
+     * overlap, each event will be collected into several windows. For
+     * example, to calculate a 5 minute moving average every minute:
+     *
+     * ```
+     * Pipeline()
+     *     .from(stream)
+     *     .windowBy({ type: "sliding", duration: "5m", step: "1m" })
+     *     .emitOn("discard")
+     *     .aggregate({ value: { value: avg() } })
+     *     ...
+     * ```
+     *
+     * Each sliding window is keyed by its time range, as a string of the
+     * form "begin,end", and aggregations over sliding windows will emit
+     * TimeRangeEvents.
+     *
+     * A `session` window is defined by a `gap` rather than a duration. A
+     * session stays open while events continue to arrive within the gap
+     * of each other, and is closed when an event arrives more than the gap
+     * after the last one. Sessions are tracked separately for each groupBy
+     * key. For example:
+     *
+     * ```
+     * Pipeline()
+     *     .from(stream)
+     *     .groupBy("host")
+     *     .windowBy({ type: "session", gap: "10m" })
+     *     .emitOn("discard")
+     *     .aggregate({ flaps: { value: count() } })
+     *     ...
+     * ```
+     *
+     * Aggregations over session windows will emit TimeRangeEvents that span
+     * the first to last event of each session.
+     *
+     * Windows can also be based on a number of events, rather than time,
+     * using a `count`. A `count` window collects every `count` events
+     * together, while a `rolling` window always holds the last `count`
+     * events. Both are tracked separately for each groupBy key:
+     *
+     * ```
+     * Pipeline()
+     *     .from(stream)
+     *     .windowBy({ type: "count", count: 100 })
+     *     .emitOn("discard")
+     *     .aggregate({ value: { value: avg() } })
+     *     ...
+     * ```
+     *
+     * With `emitOn("discard")` a count window is emitted as soon as it is
+     * full, while a rolling window is emitted for every event once it holds
+     * `count` events. Aggregations over count windows will emit
+     * TimeRangeEvents spanning the first to last event of the window.
      *
      * If no arg is supplied, the window type is set to 'global' and there
      * is no duration.
@@ -353,16 +476,21 @@ class Pipeline {
      * window. Simply supplying the duration string ("30s" for example) will
      * result in a `fixed` window type with the supplied duration.
      *
-     * Calendar types are specified by simply specifying "daily", "monthly"
-     * or "yearly".
+     * Calendar types are specified by simply specifying "daily", "weekly",
+     * "monthly", "quarterly" or "yearly". Calendar windows are in local time,
+     * unless a time zone is given, e.g. `{type: "weekly", timezone:
+     * "America/New_York"}`. Weeks are ISO weeks, starting on a Monday, with
+     * window keys such as "2017-W14". Quarters have keys such as "2017-Q2".
      *
      * @param {string|object} w Window or duration - See above
      * @return {Pipeline} The Pipeline
      */
     windowBy(w) {
         let type, duration;
+        let step = null;
+        let timezone = null;
         if (_.isString(w)) {
-            if (w === "daily" || w === "monthly" || w === "yearly") {
+            if (_.contains(CALENDAR_TYPES, w)) {
                 type = w;
             } else {
                 // assume fixed window with size w
@@ -372,13 +500,59 @@ class Pipeline {
         } else if (_.isObject(w)) {
             type = w.type;
             duration = w.duration;
+            if (type === "sliding") {
+                step = w.step;
+                if (!duration || !step) {
+                    throw new Error(
+                        "Sliding windows need both a duration and a step, e.g. {type: \"sliding\", duration: \"5m\", step: \"1m\"}"
+                    );
+                }
+            } else if (type === "count" || type === "rolling") {
+                // the number of events is stored as the duration of the window
+                duration = w.count;
+                if (!Number.isInteger(duration) || duration < 1) {
+                    throw new Error(
+                        "Count windows need a positive integer count, e.g. {type: \"count\", count: 100}"
+                    );
+                }
+            } else if (_.contains(CALENDAR_TYPES, type)) {
+                timezone = w.timezone || null;
+                if (timezone && !util.isTimeZone(timezone)) {
+                    throw new Error(`Unknown time zone: ${timezone}`);
+                }
+            } else if (type === "session") {
+                // the gap is stored as the duration of the window
+                duration = w.gap;
+                if (!duration) {
+                    throw new Error(
+                        "Session windows need a gap, e.g. {type: \"session\", gap: \"10m\"}"
+                    );
+                }
+                if (!util.windowDuration(duration)) {
+                    throw new Error(
+                        `Unable to interpret session gap "${duration}"`
+                    );
+                }
+            }
         } else {
             type = "global";
             duration = null;
         }
 
+        if (type === "fixed" || type === "sliding") {
+            _.compact([duration, step]).forEach(dur => {
+                if (!util.windowDuration(dur)) {
+                    throw new Error(`Unable to interpret window duration "${dur}"`);
+                }
+            });
+        }
+
         const d = this._d.withMutations(map => {
-            map.set("windowType", type).set("windowDuration", duration);
+            map
+                .set("windowType", type)
+                .set("windowDuration", duration)
+                .set("windowStep", step)
+                .set("windowTimezone", timezone);
         });
 
         return new Pipeline(d);
@@ -467,9 +641,9 @@ class Pipeline {
      *
      * The difference will depend on the output you want, how often
      * you want to get updated, and if you need to get a partial state.
-     * There's currently no support for late data or watermarks. If an
-     * event passes comes in after a collection window, that collection
-     * is considered finished.
+     * By default, if an event comes in after a collection window, that
+     * collection is considered finished. To handle late data see
+     * `allowLateness()`.
      *
      * @param {string} trigger A string indicating how to trigger a
      * Collection should be emitted. May be:
@@ -486,6 +660,110 @@ class Pipeline {
         return new Pipeline(d);
     }
 
+    /**
+     * Allow events to arrive out of order, by up to the supplied lateness,
+     * before time based windows (fixed, sliding or calendar windows) are
+     * emitted. This only applies when emitting on "discard". Session and
+     * count windows are closed by their events rather than by time, so
+     * lateness can't be allowed for them.
+     *
+     * Rather than closing a window as soon as an event from a newer window
+     * arrives, the pipeline tracks a watermark which trails the latest
+     * timestamp seen by the lateness. A window is only emitted once the
+     * watermark has passed the end of that window.
+     *
+     * Events that still arrive after their window has been emitted are
+     * handled according to the `policy`:
+     *  * "drop"   - the late event is ignored (the default)
+     *  * "update" - the late event is added to the emitted window and the
+     *               updated window is emitted again. Emitted windows are
+     *               kept for a further `lateness` to allow this, after which
+     *               late events for them are dropped.
+     *  * "side"   - the late event is passed to the `sideOutput` callback
+     *
+     * @example
+     * ```
+     * Pipeline()
+     *     .from(stream)
+     *     .windowBy("5m")
+     *     .emitOn("discard")
+     *     .allowLateness({
+     *         lateness: "30s",
+     *         policy: "side",
+     *         sideOutput: event => lateEvents.push(event)
+     *     })
+     *     .aggregate({ value: { value: avg() } })
+     *     ...
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string}       options.lateness       The allowed lateness, e.g. "30s".
+     *                                              Defaults to "0s"
+     * @param {string}       options.policy         "drop", "update" or "side"
+     * @param {function}     options.sideOutput     Callback for late events when using
+     *                                              the "side" policy
+     *
+     * @return {Pipeline} The Pipeline
+     */
+    allowLateness(
+        { lateness = "0s", policy = "drop", sideOutput = null } = {}
+    ) {
+        if (!_.contains(["drop", "update", "side"], policy)) {
+            throw new Error(`Unknown late event policy: ${policy}`);
+        }
+        if (_.isUndefined(util.windowDuration(lateness))) {
+            throw new Error(`Unable to interpret lateness "${lateness}"`);
+        }
+        const d = this._d.set("lateness", { lateness, policy, sideOutput });
+        return new Pipeline(d);
+    }
+
+    /**
+     * Adds a timer trigger to a Stream pipeline, so that windows are
+     * emitted once the clock passes the end of the window plus a grace
+     * period, even if no further events arrive. Without this, a window
+     * emitting on "discard" is only emitted when a later event arrives,
+     * or when the stream is stopped. This applies to time based windows
+     * (fixed, sliding or calendar windows) and to session windows, where
+     * the end of the window is the gap after the last event.
+     *
+     * Once a time based window has been closed by the timer, events that
+     * arrive later for it are dropped, unless `allowLateness()` says how
+     * to handle them.
+     *
+     * The clock defaults to the system clock. For testing, a `ManualClock`
+     * can be supplied instead, which only moves forward when told to.
+     *
+     * @example
+     * ```
+     * const clock = new ManualClock(Date.UTC(2017, 0, 1));
+     * Pipeline()
+     *     .from(stream)
+     *     .windowBy("1m")
+     *     .emitOn("discard")
+     *     .triggerAfter({ grace: "5s", clock })
+     *     .aggregate({ value: { value: avg() } })
+     *     ...
+     *
+     * clock.advance(65000); // emits the first minute
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string}       options.grace          How long after the end of the window
+     *                                              to wait before emitting it, e.g. "5s"
+     * @param {object}       options.clock          The clock to use, defaults to the
+     *                                              system clock
+     *
+     * @return {Pipeline} The Pipeline
+     */
+    triggerAfter({ grace = "0s", clock = null } = {}) {
+        if (_.isUndefined(util.windowDuration(grace))) {
+            throw new Error(`Unable to interpret grace "${grace}"`);
+        }
+        const d = this._d.set("timer", { grace, clock });
+        return new Pipeline(d);
+    }
+
     //
     // I/O
     //
@@ -505,6 +783,99 @@ class Pipeline {
         return this._setIn(src);
     }
 
+    /**
+     * Interleaves the events from this Pipeline with the events of one or
+     * more other sources, by timestamp, returning a new Pipeline with the
+     * combined events as its source. The other sources may be Pipelines,
+     * TimeSeries, or Bounded or Stream inputs, but they must all be in the
+     * same mode (batch or stream) as this Pipeline. Each source should
+     * output its events in time order. The events must also all be of the
+     * same type.
+     *
+     * For stream sources, events are buffered until every source has
+     * output a later event (or been stopped), so that the union is always
+     * emitted in time order.
+     *
+     * @example
+     * ```
+     * const p = Pipeline()
+     *     .from(eastStream)
+     *     .union(westStream)
+     *     .windowBy("5m")
+     *     .aggregate({ total: { value: sum() } })
+     *     ...
+     * ```
+     *
+     * @param {...Pipeline|TimeSeries|Bounded|Stream} inputs The other sources
+     * @return {Pipeline} A new Pipeline with the union as its source
+     */
+    union(...inputs) {
+        const sources = [this, ...inputs].map(source => sourcePipeline(source));
+        const mode = sourcesMode(sources);
+        return new Pipeline().from(new Union(sources, mode));
+    }
+
+    /**
+     * Joins the events from this Pipeline with the events of another
+     * source by time, returning a new Pipeline with the joined events
+     * as its source. Each event from this Pipeline is combined with the
+     * event of the other source at the same time. Alternatively, with
+     * a `match` of "nearest", it is combined with the nearest event of
+     * the other source, within the `tolerance` if one is supplied.
+     *
+     * The joined event has the time (or index or timerange) of the event
+     * from this Pipeline and the data of both events. If field names
+     * collide, the field of the other source is used. Events with no match
+     * are dropped, unless `keepUnmatched` is set, in which case they are
+     * output unchanged.
+     *
+     * The other source may be a Pipeline, TimeSeries, or a Bounded or Stream
+     * input, but it must be in the same mode (batch or stream) as this
+     * Pipeline. Both sources should output their events in time order.
+     *
+     * @example
+     * ```
+     * const p = Pipeline()
+     *     .from(inTraffic)
+     *     .join(outTraffic, { match: "nearest", tolerance: "30s" })
+     *     .map(e => e.setData({ total: e.get("in") + e.get("out") }))
+     *     ...
+     * ```
+     *
+     * @param {Pipeline|TimeSeries|Bounded|Stream} input The other source
+     * @param                options                An object containing options:
+     * @param {string}       options.match          "exact" (the default) or "nearest"
+     * @param {string}       options.tolerance      For "nearest" matching, the furthest
+     *                                              apart two events may be, e.g. "30s"
+     * @param {boolean}      options.keepUnmatched  Output events with no match unchanged
+     *
+     * @return {Pipeline} A new Pipeline with the join as its source
+     */
+    join(
+        input,
+        { match = "exact", tolerance = null, keepUnmatched = false } = {}
+    ) {
+        if (!_.contains(["exact", "nearest"], match)) {
+            throw new Error(`Unknown join match: ${match}`);
+        }
+        let maxDistance = 0;
+        if (match === "nearest") {
+            if (_.isNull(tolerance)) {
+                maxDistance = Infinity;
+            } else if (_.isNumber(tolerance)) {
+                maxDistance = tolerance;
+            } else {
+                maxDistance = util.windowDuration(tolerance);
+            }
+        }
+        const sources = [this, input].map(source => sourcePipeline(source));
+        const mode = sourcesMode(sources);
+        const [left, right] = sources;
+        return new Pipeline().from(
+            new Join(left, right, { tolerance: maxDistance, keepUnmatched }, mode)
+        );
+    }
+
     /**
      * Directly return the results from the processor rather than
      * feeding to a callback. This breaks the chain, causing a result to
@@ -583,7 +954,17 @@ class Pipeline {
         const out = new Out(this, options, observer);
 
         if (this.mode() === "batch") {
-            const runner = new Runner(this, out);
+            const branches = this._d.get("branches");
+            if (branches) {
+                if (branches.closed) {
+                    throw new Error(
+                        "Unable to add an output to a branch after fanOut() has run"
+                    );
+                }
+                branches.outputs.push(out);
+                return this;
+            }
+            const runner = new Runner([out]);
             runner.start(true);
             if (this._resultsDone && !observer) {
                 return this._results;
@@ -603,6 +984,130 @@ class Pipeline {
         return this;
     }
 
+    /**
+     * Connects the pipeline to an output, returning an async iterator over
+     * what is output. For an EventOut (the default) each item is an event.
+     * For a CollectionOut each item is an object containing the
+     * `collection`, `windowKey` and `groupByKey`. The iterator finishes
+     * when the pipeline is flushed, e.g. when a Stream is stopped or at
+     * the end of a batch.
+     *
+     * If more than `highWaterMark` items are waiting to be read, then the
+     * Streams being fed with `Stream.feed()` are held back until they are.
+     * This includes Streams feeding the sources of a `union()` or `join()`.
+     * Events added directly with `Stream.addEvent()` can't be held back.
+     *
+     * @example
+     * ```
+     * const events = Pipeline()
+     *     .from(stream)
+     *     .windowBy("5m")
+     *     .aggregate({ total: { value: sum() } })
+     *     .toAsyncIterator();
+     *
+     * stream.feed(readable);
+     *
+     * for await (const event of events) {
+     *     ...
+     * }
+     * ```
+     *
+     * @param  {PipelineOut} Out      The output, EventOut or CollectionOut
+     * @param  {object}      options  Options, including `highWaterMark`
+     *                                (defaults to 16)
+     *
+     * @return {AsyncIterator} An async iterator over the output
+     */
+    toAsyncIterator(Out = EventOut, options = {}) {
+        return toAsyncIterator(this, Out, options);
+    }
+
+    /**
+     * Connects the pipeline to an output, writing what is output to a
+     * Node.js Writable in object mode. Each item is written in the same
+     * form as `toAsyncIterator()`. When the Writable needs to drain, the
+     * Streams being fed with `Stream.feed()` are held back until it has,
+     * as with `toAsyncIterator()`.
+     * The Writable is ended when the pipeline is flushed, unless the
+     * `end` option is false.
+     *
+     * @param  {Writable}    writable The Node.js Writable
+     * @param  {PipelineOut} Out      The output, EventOut or CollectionOut
+     * @param  {object}      options  Options, including `end` (defaults
+     *                                to true)
+     *
+     * @return {Pipeline} The Pipeline
+     */
+    toWritable(writable, Out = EventOut, options = {}) {
+        toWritable(this, writable, Out, options);
+        return this;
+    }
+
+    /**
+     * Branches the Pipeline into several outputs which are run together.
+     * Each branch is a function which is passed this Pipeline and should
+     * build on it, ending with one or more outputs (`to()`, `count()`,
+     * etc).
+     *
+     * For batch mode connections, outputs defined within a branch aren't
+     * run immediately. Instead, once all the branches are defined a single
+     * Runner processes the source input once, through the shared parts of
+     * the Pipeline, and out to each branch. For stream mode connections,
+     * the shared parts of the Pipeline already process each event once,
+     * so the branches are simply connected.
+     *
+     * @example
+     * ```
+     * const results = Pipeline()
+     *     .from(timeseries)
+     *     .select("in")
+     *     .fanOut({
+     *         hourly: p => p
+     *             .windowBy("1h")
+     *             .aggregate({ in: { in: avg() } })
+     *             .toEventList(),
+     *         daily: p => p
+     *             .windowBy("1d")
+     *             .aggregate({ in: { in: avg() } })
+     *             .to(EventOut, event => ...)
+     *     });
+     *
+     * // results.hourly is the list of hourly events
+     * ```
+     *
+     * @param  {object} branches A map of branch name to branch function
+     *
+     * @return {object} A map of branch name to the results of that branch,
+     *                  for branches whose output has no callback (batch
+     *                  mode only)
+     */
+    fanOut(branches) {
+        // The outputs of the branches, which is closed to further
+        // outputs once the branches are defined
+        const fan = { outputs: [], closed: false };
+        const outputs = fan.outputs;
+        const branchOutputs = {};
+        _.each(branches, (branch, name) => {
+            const n = outputs.length;
+            branch(new Pipeline(this._d.set("branches", fan)));
+            branchOutputs[name] = outputs.slice(n);
+        });
+        fan.closed = true;
+
+        const results = {};
+        if (this.mode() === "batch" && outputs.length > 0) {
+            const runner = new Runner(outputs);
+            runner.start(true);
+            _.each(branchOutputs, (outs, name) => {
+                const out = _.last(outs);
+                if (out && !out._callback && out._pipeline._resultsDone) {
+                    results[name] = out._pipeline._results;
+                }
+            });
+        }
+        return results;
+    }
+
     /**
      * Outputs the count of events
      *
@@ -673,15 +1178,117 @@ class Pipeline {
      *   });
      * ```
      *
-     * @param  {object} fields Fields and operators to be aggregated
+     * With the `partial` option, fields aggregated with a reducer that
+     * has an accumulator (sum, avg, max, min, count, first, last, stdev
+     * and the sketches) hold the accumulator instead of the result. The
+     * result can be read with `result()` or `valueOf()`, while aggregating
+     * these partial aggregates again, with the same reducer, merges them
+     * to give exactly the result of aggregating the original events. The
+     * JSON of a partial aggregate holds its state, so a stored rollup, such
+     * as a `TimeSeries` built again from its `toJSON()`, can still be
+     * rolled up exactly.
+     *
+     * @param  {object} fields          Fields and operators to be aggregated
+     * @param  {object} options         Options:
+     * @param  {bool}   options.partial Output partial aggregates
      *
      * @return {Pipeline} The Pipeline
      */
-    aggregate(fields) {
-        const p = new Aggregator(this, { fields, prev: this._chainPrev() });
+    aggregate(fields, { partial = false } = {}) {
+        const p = new Aggregator(this, {
+            fields,
+            partial,
+            prev: this._chainPrev()
+        });
         return this._append(p);
     }
 
+    /**
+     * Rolls up the events at several resolutions in a single pass, e.g.
+     * 1m, 5m, 1h and daily rollups of the same source. Each resolution
+     * is a branch (see `fanOut()`) with its own windowing, which is then
+     * aggregated and emitted as each window is discarded.
+     *
+     * The `resolutions` map each window, either a duration like "5m" or
+     * a calendar window like "daily", to the options of that rollup:
+     *
+     *  * `aggregation` - the aggregation specification (required)
+     *  * `timezone` - the time zone of a calendar window
+     *  * `toTimeEvents` - output `TimeEvent`s rather than `IndexedEvent`s
+     *  * `partial` - output partial aggregates (see `aggregate()`)
+     *
+     * @example
+     * ```
+     * const rollups = Pipeline()
+     *     .from(timeseries)
+     *     .rollups({
+     *         "5m": { aggregation: { value: { value: avg() } } },
+     *         "1h": { aggregation: { value: { value: avg() } } },
+     *         daily: {
+     *             aggregation: { value: { value: avg() } },
+     *             timezone: "America/New_York"
+     *         }
+     *     });
+     *
+     * // rollups["1h"]["all"] is the Collection of hourly averages
+     * ```
+     *
+     * @param  {object}   resolutions A map of window to rollup options
+     * @param  {function} observer    For stream mode connections, called
+     *                                with each event and its window
+     *
+     * @return {object} For batch mode connections, a map of window to
+     *                  the keyed collections of that rollup
+     */
+    rollups(resolutions, observer = null) {
+        if (this.mode() === "stream" && !_.isFunction(observer)) {
+            throw new Error(
+                "rollups() of a stream needs an observer, which is passed each event and its window"
+            );
+        }
+
+        const branches = _.mapObject(resolutions, (arg, window) => {
+            const {
+                aggregation,
+                timezone = null,
+                toTimeEvents = false,
+                partial = false
+            } = arg || {};
+
+            if (!aggregation || !_.isObject(aggregation)) {
+                throw new Error(
+                    `aggregation object must be supplied for the ${window} rollup, for example: {aggregation: {value: {value: avg()}}}`
+                );
+            }
+
+            return p => {
+                const aggregated = p
+                    .windowBy(timezone ? { type: window, timezone } : window)
+                    .emitOn("discard")
+                    .aggregate(aggregation, { partial });
+                const events = toTimeEvents
+                    ? aggregated.asTimeEvents()
+                    : aggregated;
+                if (this.mode() === "stream") {
+                    events
+                        .clearWindow()
+                        .to(EventOut, event => observer(event, window));
+                } else {
+                    events.clearWindow().toKeyedCollections();
+                }
+            };
+        });
+
+        // like toKeyedCollections(), a rollup without any events has no
+        // collections rather than null results
+        const results = this.fanOut(branches);
+        if (this.mode() === "batch") {
+            return _.mapObject(branches, (branch, window) =>
+                results[window] || {});
+        }
+        return results;
+    }
+
     /**
      * Converts incoming TimeRangeEvents or IndexedEvents to
      * TimeEvents. This is helpful since some processors,
@@ -803,41 +1410,321 @@ class Pipeline {
      *                to retrieve multiple deep nested values that
      *                ['can.be', 'done.with', 'this.notation'].
      *                A single deep value with a string.like.this.
-     *  * method -    Filling method: zero | linear | pad
+     *  * method -    Filling method: zero | pad | backfill | nearest |
+     *                mean | linear | spline. See TimeSeries.fill().
+     *                Methods other than zero and pad hold events until
+     *                the next good value is seen. All the columns are
+     *                filled in a single pass.
+     *  * limit -     The maximum number of consecutive missing values
+     *                that will be filled
+     *  * maxGap -    The longest outage, as a duration string such as
+     *                "5m", that will be filled. Zero and pad fill values
+     *                up to maxGap after the last good value, while the
+     *                other methods leave all of a longer gap missing.
      *
      * @return {Pipeline}               The Pipeline
      */
-    fill({ fieldSpec = null, method = "linear", limit = null }) {
+    fill({ fieldSpec = null, method = "linear", limit = null, maxGap = null }) {
         const prev = this._chainPrev();
         return this._append(new Filler(this, {
             fieldSpec,
             method,
             limit,
+            maxGap,
             prev
         }));
     }
 
-    align(fieldSpec, window, method, limit) {
+    align(fieldSpec, window, method, limit, maxGap) {
         const prev = this._chainPrev();
         return this._append(new Aligner(this, {
             fieldSpec,
             window,
             method,
             limit,
+            maxGap,
+            prev
+        }));
+    }
+
+    /**
+     * Insert events for missing timestamps, so that there is at least
+     * one event in every period of the expected cadence. For each period
+     * between two events which doesn't have an event, a new event is
+     * inserted at the start of the period with null values. Existing
+     * events are passed on unchanged.
+     *
+     * The nulls can then be filled with `fill()`:
+     *
+     * ```
+     * Pipeline()
+     *     .from(stream)
+     *     .reindex({ period: "30s" })
+     *     .fill({ method: "linear" })
+     *     ...
+     * ```
+     *
+     * Takes a single arg `options` which should be composed of:
+     *  * period -    The expected cadence, e.g. "30s". Periods are
+     *                fixed windows relative to the UNIX epoch (UTC).
+     *  * fieldSpec - Column or columns to set to null in the inserted
+     *                events. Otherwise the inserted events have all the
+     *                columns of the event before them.
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    reindex({ period, fieldSpec = null }) {
+        const prev = this._chainPrev();
+        return this._append(new Reindexer(this, {
+            period,
+            fieldSpec,
+            prev
+        }));
+    }
+
+    /**
+     * Rolling aggregation, emitting an aggregated event for every event
+     * in the Pipeline, e.g. a moving average. The window rolls forward
+     * with each event and is either a duration, holding the events within
+     * that time up to and including each event, or a number of events,
+     * holding the last n events. Before the window has filled, the
+     * aggregation is of the events so far.
+     *
+     * Each output event is a TimeEvent at the time of the input event,
+     * so the result lines up with the original data. The aggregation is
+     * the same as for `aggregate()`, e.g.:
+     *
+     * ```
+     * Pipeline()
+     *     .from(timeseries)
+     *     .rolling({
+     *         window: "10m",
+     *         aggregation: {
+     *             value_avg: { value: avg() },
+     *             value_stdev: { value: stdev() }
+     *         }
+     *     })
+     *     ...
+     * ```
+     *
+     * Takes a single arg `options` which should be composed of:
+     *  * window -      A duration, e.g. "10m", or a number of events
+     *  * aggregation - The aggregation specification
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    rolling({ window, aggregation }) {
+        const prev = this._chainPrev();
+        return this._append(new Roller(this, {
+            window,
+            aggregation,
             prev
         }));
     }
 
-    rate(fieldSpec, allowNegative = true) {
+    /**
+     * Replace the values of the columns in fieldSpec with their
+     * exponentially weighted moving average (EWMA). The weight given to
+     * each new value is either a fixed `alpha`, between 0 and 1, or comes
+     * from a `halfLife` duration: the time it takes for the weight of a
+     * value to halve. A halfLife takes into account the time between
+     * events, so is better suited to irregularly sampled data.
+     *
+     * Takes a single arg `options` which should be composed of:
+     *  * fieldSpec - Column or columns to average (default "value")
+     *  * alpha -     The weight of each new value, e.g. 0.3
+     *  * halfLife -  The half life, e.g. "5m", instead of an alpha
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    ewma({ fieldSpec = null, alpha = null, halfLife = null }) {
+        const prev = this._chainPrev();
+        return this._append(new Smoother(this, {
+            fieldSpec,
+            alpha,
+            halfLife,
+            prev
+        }));
+    }
+
+    /**
+     * Change the cadence of the events to a regular period, emitting a
+     * TimeEvent for every period from the first event to the last. Periods
+     * with events get the aggregation of those events (downsampling), while
+     * the values of periods without events are interpolated between the
+     * aggregations of the periods with events either side (upsampling).
+     *
+     * ```
+     * Pipeline()
+     *     .from(stream)
+     *     .resample({
+     *         period: "5m",
+     *         aggregation: { value: { value: avg() } },
+     *         interpolation: "linear",
+     *         label: "end"
+     *     })
+     *     ...
+     * ```
+     *
+     * Takes a single arg `options` which should be composed of:
+     *  * period -        The new cadence, e.g. "5m"
+     *  * aggregation -   The aggregation specification for periods with events
+     *  * interpolation - The method for periods without events, one of "linear"
+     *                    (the default), "hold", "backfill", "nearest", "mean"
+     *                    or "spline", or null to leave their values null
+     *  * label -         Whether the events are at the "begin" (the default),
+     *                    "center" or "end" of each period
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    resample({
+        period,
+        aggregation,
+        interpolation = "linear",
+        label = "begin"
+    }) {
+        const prev = this._chainPrev();
+        return this._append(new Resampler(this, {
+            period,
+            aggregation,
+            interpolation,
+            label,
+            prev
+        }));
+    }
+
+    /**
+     * Look for anomalies in a column, annotating each event with an
+     * anomaly flag and score. By default these are the `anomaly` and
+     * `anomaly_score` columns, though the name may be changed with `as`.
+     * The anomalies can then be picked out with `filter()`:
+     *
+     * ```
+     * Pipeline()
+     *     .from(stream)
+     *     .detect({ fieldSpec: "in", method: "zscore", window: "1h" })
+     *     .filter(e => e.get("anomaly"))
+     *     ...
+     * ```
+     *
+     * Takes a single arg `options` with the `fieldSpec` of the column
+     * (default "value"), the `method` and the options of that method:
+     *  * "threshold" - `upper` and/or `lower` limits, and a `hysteresis`,
+     *    how far back inside the limits the value must come to clear the
+     *    anomaly. The score is how far outside the limits the value is.
+     *  * "zscore" - a baseline `window` of previous values, as a duration
+     *    or number of events (default 20), and the z-score `threshold`
+     *    (default 3). At least `minEvents` (default 2) are needed in the
+     *    baseline.
+     *  * "seasonal" - the `period` of the season (default "1d"), the
+     *    number of previous `seasons` to average (default 1), the
+     *    `tolerance` within which a previous value is at the same time
+     *    (default 1% of the period, and may be "0s" for an exact match),
+     *    and the `threshold` of relative difference (default 0.5, i.e. 50%).
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    detect(options) {
+        const prev = this._chainPrev();
+        return this._append(new Detector(this, { ...options, prev }));
+    }
+
+    /**
+     * Emits the rate per second of the columns in fieldSpec between each
+     * event and the one before, in `<column>_rate` columns. Negative rates
+     * are set to null unless `allowNegative` is true.
+     *
+     * The third arg `options` treats the columns as counters:
+     *  * wrap -      The number of bits of the counter, e.g. 32 or 64, at
+     *                which it wraps back around to zero
+     *  * resets -    If true, a drop in a counter that isn't a wrap is a
+     *                reset to zero, e.g. when a device reboots
+     *  * maxRate -   The largest plausible rate. Larger rates are null,
+     *                and a wrap giving a larger rate is taken as a reset
+     *  * alignment - Emit TimeEvents at the beginning ("lag"), center or
+     *                end ("lead") of each interval, not TimeRangeEvents
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    rate(
+        fieldSpec,
+        allowNegative = true,
+        { wrap = null, resets = false, maxRate = null, alignment = null } = {}
+    ) {
         const p = new Derivator(this, {
             fieldSpec,
             allowNegative,
+            wrap,
+            resets,
+            maxRate,
+            alignment,
             prev: this._chainPrev()
         });
 
         return this._append(p);
     }
 
+    /**
+     * Integrate the columns in fieldSpec over time, the inverse of
+     * `rate()`. Emits a TimeEvent for each event with the integral so far,
+     * per second, of each column in a `<column>_integral` column. For
+     * example, integrating a rate in bytes/sec gives the total bytes.
+     *
+     * Takes a single arg `options` which should be composed of:
+     *  * fieldSpec - Column or columns to integrate (default "value")
+     *  * method -    "trapezoid" (the default) for the trapezoidal rule, or
+     *                "left" for a left Riemann sum, where each value holds
+     *                until the next event
+     *  * resetBy -   Start from zero again at the beginning of each window,
+     *                either fixed, e.g. "1h", or "daily", "weekly",
+     *                "monthly", "quarterly" or "yearly"
+     *  * timezone -  The time zone of the calendar windows, e.g.
+     *                "America/New_York", otherwise local time is used
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    integral({
+        fieldSpec = null,
+        method = "trapezoid",
+        resetBy = null,
+        timezone = null
+    } = {}) {
+        const prev = this._chainPrev();
+        return this._append(new Integrator(this, {
+            fieldSpec,
+            method,
+            resetBy,
+            timezone,
+            prev
+        }));
+    }
+
+    /**
+     * Emits a TimeEvent for each event with the cumulative sum so far of
+     * the columns in fieldSpec, in `<column>_cumsum` columns. Missing
+     * values add nothing to the sum.
+     *
+     * Takes a single arg `options` which should be composed of:
+     *  * fieldSpec - Column or columns to sum (default "value")
+     *  * resetBy -   Start from zero again at the beginning of each window,
+     *                either fixed, e.g. "1h", or "daily", "weekly",
+     *                "monthly", "quarterly" or "yearly"
+     *  * timezone -  The time zone of the calendar windows, e.g.
+     *                "America/New_York", otherwise local time is used
+     *
+     * @return {Pipeline}               The Pipeline
+     */
+    cumsum({ fieldSpec = null, resetBy = null, timezone = null } = {}) {
+        const prev = this._chainPrev();
+        return this._append(new Integrator(this, {
+            fieldSpec,
+            method: "sum",
+            resetBy,
+            timezone,
+            prev
+        }));
+    }
+
     /**
      * Take events up to the supplied limit, per key.
      *
@@ -888,7 +1775,10 @@ class Pipeline {
      * @param {Object} options            An object containing the conversion
      * options. In this case the duration string of the Index is expected.
      * @param {string} options.duration   The duration string is of the form "1h" for one hour, "30s"
-     * for 30 seconds and so on.
+     * for 30 seconds and so on. It may also be a calendar period: "daily",
+     * "weekly", "monthly", "quarterly" or "yearly".
+     * @param {string} options.timezone   The time zone of calendar indexes,
+     * e.g. "America/New_York". Calendar indexes are in local time otherwise.
      *
      * @return {Pipeline} The Pipeline
      */
@@ -903,6 +1793,33 @@ class Pipeline {
     }
 }
 
+/**
+ * Returns a Pipeline for a source passed to union() or join(), which
+ * may be a Pipeline already or anything which may be passed to from().
+ */
+function sourcePipeline(input) {
+    if (input instanceof Pipeline) {
+        if (!input.in()) {
+            throw new Error(
+                "Tried to combine a pipeline without a In. Missing from() in chain?"
+            );
+        }
+        return input;
+    }
+    return new Pipeline().from(input);
+}
+
+/**
+ * Returns the mode shared by all the sources, throwing if they differ.
+ */
+function sourcesMode(sources) {
+    const modes = _.uniq(sources.map(source => source.mode()));
+    if (modes.length !== 1) {
+        throw new Error("Unable to combine batch and stream sources");
+    }
+    return modes[0];
+}
+
 function pipeline(args) {
     return new Pipeline(args);
 }
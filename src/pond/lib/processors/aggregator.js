@@ -12,15 +12,81 @@ import _ from "underscore";
 
 import Processor from "./processor";
 import Collector from "../collector";
+import Index from "../index";
 import IndexedEvent from "../indexedevent";
 import TimeRangeEvent from "../timerangeevent";
+import TimeRange from "../timerange";
 import { isPipeline } from "../pipeline";
+import { isAccumulated } from "../base/functions";
+import util, { CALENDAR_TYPES } from "../base/util";
+
+/**
+ * Accumulates the events of a window for each field of an aggregation,
+ * so that the aggregation can be emitted without keeping the events or
+ * reducing them again. Used in place of a Collection by the Collector.
+ */
+class Accumulation {
+    constructor(fields) {
+        this._accumulators = _.mapObject(fields, f => {
+            const field = Object.keys(f)[0];
+            return { field, accumulator: f[field].accumulator() };
+        });
+        this._size = 0;
+        this._begin = null;
+        this._end = null;
+    }
+
+    addEvent(event) {
+        const begin = event.begin().getTime();
+        const end = event.end().getTime();
+        this._begin = _.isNull(this._begin)
+            ? begin
+            : Math.min(this._begin, begin);
+        this._end = _.isNull(this._end) ? end : Math.max(this._end, end);
+        this._size += 1;
+        _.each(this._accumulators, ({ field, accumulator }) => {
+            accumulator.add(event.get(field));
+        });
+        return this;
+    }
+
+    size() {
+        return this._size;
+    }
+
+    range() {
+        if (this._size) {
+            return new TimeRange(this._begin, this._end);
+        }
+    }
+
+    /**
+     * Returns the result of the aggregation for the output field
+     */
+    result(fieldName) {
+        return this._accumulators[fieldName].accumulator.result();
+    }
+
+    /**
+     * Returns a copy of the accumulator of the output field, as a
+     * partial aggregate
+     */
+    partial(fieldName) {
+        return this._accumulators[fieldName].accumulator.snapshot();
+    }
+}
 
 /**
  * An Aggregator takes incoming events and adds them to a Collector
  * with given windowing and grouping parameters. As each Collection is
  * emitted from the Collector it is aggregated into a new event
  * and emitted from this Processor.
+ *
+ * With the `partial` option, fields aggregated by a reducer with an
+ * accumulator (e.g. avg() or stdev()) hold the accumulator rather than
+ * its result. These partial aggregates can be aggregated again, e.g. to
+ * roll 5 minute windows up into hours, with the same result as
+ * aggregating the original events.
  */
 class Aggregator extends Processor {
     constructor(arg1, options) {
@@ -32,15 +98,28 @@ class Aggregator extends Processor {
             this._fields = other._fields;
             this._windowType = other._windowType;
             this._windowDuration = other._windowDuration;
+            this._windowStep = other._windowStep;
+            this._timezone = other._timezone;
             this._groupBy = other._groupBy;
             this._emitOn = other._emitOn;
+            this._lateness = other._lateness;
+            this._timer = other._timer;
+            this._partial = other._partial;
         } else if (isPipeline(arg1)) {
             const pipeline = arg1;
 
             this._windowType = pipeline.getWindowType();
             this._windowDuration = pipeline.getWindowDuration();
+            this._windowStep = pipeline.getWindowStep();
+            this._timezone = pipeline.getWindowTimezone();
             this._groupBy = pipeline.getGroupBy();
             this._emitOn = pipeline.getEmitOn();
+            this._lateness = pipeline.getLateness();
+
+            // Timers only make sense when streaming
+            this._timer = pipeline.mode() === "stream"
+                ? pipeline.getTimer()
+                : null;
 
             if (!_.has(options, "fields")) {
                 throw new Error(
@@ -59,8 +138,11 @@ class Aggregator extends Processor {
             });
 
             if (pipeline.mode() === "stream") {
+                const windowType = pipeline.getWindowType();
                 if (
-                    !pipeline.getWindowType() || !pipeline.getWindowDuration()
+                    !windowType ||
+                        (!pipeline.getWindowDuration() &&
+                            !_.contains(CALENDAR_TYPES, windowType))
                 ) {
                     throw new Error(
                         "Unable to aggregate because no windowing strategy was specified in pipeline"
@@ -68,6 +150,7 @@ class Aggregator extends Processor {
                 }
             }
             this._fields = options.fields;
+            this._partial = options.partial || false;
         } else {
             throw new Error("Unknown arg to Filter constructor", arg1);
         }
@@ -76,8 +159,15 @@ class Aggregator extends Processor {
             {
                 windowType: this._windowType,
                 windowDuration: this._windowDuration,
+                windowStep: this._windowStep,
+                timezone: this._timezone,
                 groupBy: this._groupBy,
-                emitOn: this._emitOn
+                emitOn: this._emitOn,
+                lateness: this._lateness,
+                timer: this._timer,
+                accumulator: this.isIncremental()
+                    ? () => new Accumulation(this._fields)
+                    : null
             },
             (collection, windowKey, groupByKey) =>
                 this.handleTrigger(collection, windowKey, groupByKey)
@@ -88,7 +178,44 @@ class Aggregator extends Processor {
         return new Aggregator(this);
     }
 
+    /**
+     * True if every reducer in the aggregation can be computed as the
+     * events arrive, in which case the Collector accumulates each window
+     * rather than keeping a Collection of its events.
+     */
+    isIncremental() {
+        return _.every(this._fields, f => {
+            const keys = Object.keys(f);
+            return keys.length === 1 && isAccumulated(f[keys[0]]);
+        });
+    }
+
+    /**
+     * Returns the TimeRange of the window, for timestamp aware reducers
+     */
+    windowRange(collection, windowKey) {
+        if (
+            windowKey === "global" ||
+                _.contains(["session", "count", "rolling"], this._windowType)
+        ) {
+            return collection.range();
+        } else if (this._windowType === "sliding") {
+            return util.timeRangeFromArg(windowKey);
+        } else {
+            return new Index(windowKey, this.indexUTC()).asTimerange();
+        }
+    }
+
+    /**
+     * Fixed windows are UTC, while calendar windows are in local
+     * time, or the time zone of the window
+     */
+    indexUTC() {
+        return this._windowType === "fixed" ? true : this._timezone || false;
+    }
+
     handleTrigger(collection, windowKey) {
+        const range = this.windowRange(collection, windowKey);
         const d = {};
         _.each(this._fields, (f, fieldName) => {
             const keys = Object.keys(f);
@@ -98,17 +225,28 @@ class Aggregator extends Processor {
             const field = keys[0];
             const operator = f[field];
 
-            d[fieldName] = collection.aggregate(operator, field);
+            if (collection instanceof Accumulation) {
+                d[fieldName] = this._partial
+                    ? collection.partial(fieldName)
+                    : collection.result(fieldName);
+            } else if (this._partial && isAccumulated(operator)) {
+                const accumulator = operator.accumulator();
+                collection
+                    .eventListAsArray()
+                    .forEach(event => accumulator.add(event.get(field)));
+                d[fieldName] = accumulator;
+            } else {
+                d[fieldName] = collection.aggregate(operator, field, {
+                    range
+                });
+            }
         });
 
-        let event;
-        if (windowKey === "global") {
-            event = new TimeRangeEvent(collection.range(), d);
-        } else {
-            //TODO: Specify UTC (or local) pipeline
-            const utc = this._windowType === "fixed";
-            event = new IndexedEvent(windowKey, d, utc);
-        }
+        const event = this._windowType === "sliding" ||
+            windowKey === "global" ||
+            _.contains(["session", "count", "rolling"], this._windowType)
+            ? new TimeRangeEvent(range, d)
+            : new IndexedEvent(windowKey, d, this.indexUTC());
 
         this.emit(event);
     }
@@ -20,6 +20,16 @@ import TimeRange from "../timerange";
 import TimeRangeEvent from "../timerangeevent";
 import { isPipeline } from "../pipeline";
 import util from "../base/util";
+import { interpolate, isNumericMethod } from "../base/interpolation";
+
+const ALIGN_METHODS = [
+    "hold",
+    "linear",
+    "nearest",
+    "backfill",
+    "spline",
+    "mean"
+];
 
 /**
  * A processor to align the data into bins of regular time period.
@@ -34,18 +44,26 @@ export default class Aligner extends Processor {
             this._window = other._window;
             this._method = other._method;
             this._limit = other._limit;
+            this._maxGap = other._maxGap;
         } else if (isPipeline(arg1)) {
             const {
                 fieldSpec,
                 window,
                 method = "hold",
-                limit = null
+                limit = null,
+                maxGap = null
             } = options;
 
             this._fieldSpec = fieldSpec;
             this._window = window;
             this._method = method;
             this._limit = limit;
+            this._maxGap = maxGap ? util.windowDuration(maxGap) : null;
+            if (maxGap && !this._maxGap) {
+                throw new Error(
+                    `Unknown maxGap '${maxGap}' passed to Aligner`
+                );
+            }
         } else {
             throw new Error("Unknown arg to Aligner constructor", arg1);
         }
@@ -55,18 +73,30 @@ export default class Aligner extends Processor {
         //
         this._previous = null;
 
+        // the event before the previous one, and the boundaries waiting
+        // on the event after the current one, for spline interpolation
+        this._beforePrevious = null;
+        this._pending = null;
+
         // work out field specs
         if (_.isString(this._fieldSpec)) {
             this._fieldSpec = [this._fieldSpec];
         }
 
         // check input of method
-        if (!_.contains(["linear", "hold"], this._method)) {
+        if (!_.contains(ALIGN_METHODS, this._method)) {
             throw new Error(
                 `Unknown method '${this._method}' passed to Aligner`
             );
         }
 
+        // check window
+        if (!util.windowDuration(this._window)) {
+            throw new Error(
+                `Unknown window '${this._window}' passed to Aligner`
+            );
+        }
+
         // check limit
         if (this._limit && !Number.isInteger(this._limit)) {
             throw new Error("Limit passed to Aligner is not an integer");
@@ -143,43 +173,68 @@ export default class Aligner extends Processor {
     }
 
     /**
-      * Generate a linear differential between two counter values that lie
-      * on either side of a window boundary.
-      */
-    interpolateLinear(boundary, event) {
+     * Generate a new event on the requested boundary, interpolated
+     * between the previous event and the current event, which lie
+     * on either side of it. The events before and after those (if
+     * known) are also used by spline interpolation.
+     */
+    interpolateBoundary(boundary, previous, event, before = null, after = null) {
         let d = new Immutable.Map();
-
-        const previousTime = this._previous.timestamp().getTime();
         const boundaryTime = this.getBoundaryTime(boundary);
-        const currentTime = event.timestamp().getTime();
-
-        // This ratio will be the same for all values being processed
-        const f = (boundaryTime - previousTime) / (currentTime - previousTime);
 
         this._fieldSpec.forEach(path => {
             const fieldPath = util.fieldPathToArray(path);
+            const point = e => e
+                ? { time: e.timestamp().getTime(), value: e.get(fieldPath) }
+                : null;
 
             //
-            // Generate the delta beteen the values and
-            // bulletproof against non-numeric or bad paths
+            // Interpolate between the values, and bulletproof
+            // against non-numeric or bad paths
             //
-            const previousVal = this._previous.get(fieldPath);
+            const previousVal = previous.get(fieldPath);
             const currentVal = event.get(fieldPath);
 
-            let interpolatedVal = null;
-            if (!_.isNumber(previousVal) || !_.isNumber(currentVal)) {
+            if (
+                isNumericMethod(this._method) &&
+                    (!_.isNumber(previousVal) || !_.isNumber(currentVal))
+            ) {
                 console.warn(
                     `Path ${fieldPath} contains a non-numeric value or does not exist`
                 );
-            } else {
-                interpolatedVal = previousVal + f * (currentVal - previousVal);
             }
+
+            const interpolatedVal = interpolate(
+                this._method,
+                boundaryTime,
+                point(before),
+                point(previous),
+                point(event),
+                point(after)
+            );
             d = d.setIn(fieldPath, interpolatedVal);
         });
 
         return new TimeEvent(boundaryTime, d);
     }
 
+    /**
+     * Emit the boundaries that were waiting on the event after them,
+     * for spline interpolation. The event may be null if there are
+     * no more events.
+     */
+    emitPending(after) {
+        if (this._pending) {
+            const { boundaries, before, previous, event } = this._pending;
+            boundaries.forEach(boundary => {
+                this.emit(
+                    this.interpolateBoundary(boundary, previous, event, before, after)
+                );
+            });
+            this._pending = null;
+        }
+    }
+
     /**
      * Perform the fill operation on the event and emit.
      */
@@ -199,31 +254,61 @@ export default class Aligner extends Processor {
                 return;
             }
 
+            this.emitPending(event);
+
             const boundaries = this.getBoundaries(event);
 
             //
             // If the returned list is not empty, interpolate an event
             // on each of the boundaries and emit them
             //
+            //
+            // If there are too many boundaries, or too long between the
+            // events, the boundaries are set to null
+            //
             const count = boundaries.length;
-            boundaries.forEach(boundary => {
-                let outputEvent;
-                if (this._limit && count > this._limit) {
-                    outputEvent = this.interpolateHold(boundary, true);
-                } else {
-                    if (this._method === "linear") {
-                        outputEvent = this.interpolateLinear(boundary, event);
-                    } else {
+            const gap = event.timestamp().getTime() -
+                this._previous.timestamp().getTime();
+            const skip = (this._limit && count > this._limit) ||
+                (this._maxGap && gap > this._maxGap);
+            if (count && this._method === "spline" && !skip) {
+                // The spline needs the event after this one too
+                this._pending = {
+                    boundaries,
+                    before: this._beforePrevious,
+                    previous: this._previous,
+                    event
+                };
+            } else {
+                boundaries.forEach(boundary => {
+                    let outputEvent;
+                    if (skip) {
+                        outputEvent = this.interpolateHold(boundary, true);
+                    } else if (this._method === "hold") {
                         outputEvent = this.interpolateHold(boundary);
+                    } else {
+                        outputEvent = this.interpolateBoundary(
+                            boundary,
+                            this._previous,
+                            event
+                        );
                     }
-                }
-                this.emit(outputEvent);
-            });
+                    this.emit(outputEvent);
+                });
+            }
 
             //
             // The current event now becomes the previous event
             //
+            this._beforePrevious = this._previous;
             this._previous = event;
         }
     }
+
+    flush() {
+        if (this.hasObservers()) {
+            this.emitPending(null);
+        }
+        super.flush();
+    }
 }
@@ -19,7 +19,7 @@ import TimeRange from "../timerange";
 import TimeRangeEvent from "../timerangeevent";
 import { isPipeline } from "../pipeline";
 
-import Utils from "../base/util";
+import Utils, { CALENDAR_TYPES } from "../base/util";
 
 function isSubclass(Base, X) {
     return Base === X || X.prototype === Base;
@@ -35,6 +35,8 @@ export default class Converter extends Processor {
             this._duration = other._duration;
             this._durationString = other._durationString;
             this._alignment = other._alignment;
+            this._calendar = other._calendar;
+            this._timezone = other._timezone;
         } else if (isPipeline(arg1)) {
             if (!_.has(options, "type")) {
                 throw new Error(
@@ -48,7 +50,16 @@ export default class Converter extends Processor {
                     isSubclass(IndexedEvent, options.type)
             ) {
                 this._convertTo = options.type;
-                if (options.duration && _.isString(options.duration)) {
+                if (
+                    isSubclass(IndexedEvent, options.type) &&
+                        _.contains(CALENDAR_TYPES, options.duration)
+                ) {
+                    this._calendar = options.duration;
+                    this._timezone = options.timezone || false;
+                    if (this._timezone && !Utils.isTimeZone(this._timezone)) {
+                        throw new Error(`Unknown time zone: ${this._timezone}`);
+                    }
+                } else if (options.duration && _.isString(options.duration)) {
                     this._duration = Utils.windowDuration(options.duration);
                     this._durationString = options.duration;
                 }
@@ -101,6 +112,14 @@ export default class Converter extends Processor {
             return new T(timeRange, event.data());
         } else if (isSubclass(IndexedEvent, T)) {
             const timestamp = event.timestamp();
+            if (this._calendar) {
+                const calendarIndexString = Index.getCalendarIndexString(
+                    this._calendar,
+                    timestamp,
+                    this._timezone
+                );
+                return new T(calendarIndexString, event.data(), this._timezone);
+            }
             const indexString = Index.getIndexString(
                 this._durationString,
                 timestamp
@@ -16,15 +16,31 @@ import Immutable from "immutable";
 import Processor from "./processor";
 
 import IndexedEvent from "../indexedevent";
+import TimeEvent from "../timeevent";
 import TimeRangeEvent from "../timerangeevent";
 import { isPipeline } from "../pipeline";
 
 import util from "../base/util";
 
+const RATE_ALIGNMENTS = ["lag", "center", "lead"];
+
 /**
  * Simple processor generate the Rate of two Event objects and
  * emit them as a TimeRangeEvent. Can be used alone or chained
  * with the Align processor for snmp rates, etc.
+ *
+ * The values may be treated as counters that only go up, such as SNMP
+ * interface counters. A counter which `wrap`s at a number of bits (e.g.
+ * 32 or 64) goes back to zero once it passes the largest value, so a
+ * drop in the value is taken as a wrap. With `resets`, a drop which
+ * isn't a wrap is taken as the counter starting again from zero, e.g.
+ * when a device reboots, so the rate is of the new value. Rates larger
+ * than the `maxRate` aren't plausible and are set to null, which is also
+ * how a wrap is told apart from a reset.
+ *
+ * With an `alignment` the rates are emitted as TimeEvents at the
+ * beginning ("lag"), center or end ("lead") of the time between the
+ * two events, rather than as TimeRangeEvents.
  */
 export default class Derivator extends Processor {
     constructor(arg1, options) {
@@ -34,10 +50,25 @@ export default class Derivator extends Processor {
             const other = arg1;
             this._fieldSpec = other._fieldSpec;
             this._allowNegative = other._allowNegative;
+            this._wrap = other._wrap;
+            this._resets = other._resets;
+            this._maxRate = other._maxRate;
+            this._alignment = other._alignment;
         } else if (isPipeline(arg1)) {
-            const { fieldSpec, allowNegative } = options;
+            const {
+                fieldSpec,
+                allowNegative,
+                wrap = null,
+                resets = false,
+                maxRate = null,
+                alignment = null
+            } = options;
             this._fieldSpec = fieldSpec;
             this._allowNegative = allowNegative;
+            this._wrap = wrap;
+            this._resets = resets;
+            this._maxRate = maxRate;
+            this._alignment = alignment;
         } else {
             throw new Error("Unknown arg to Derivator constructor", arg1);
         }
@@ -53,15 +84,69 @@ export default class Derivator extends Processor {
         } else if (!this._fieldSpec) {
             this._fieldSpec = ["value"];
         }
+
+        // check the counter options
+        if (
+            !_.isNull(this._wrap) &&
+                !(Number.isInteger(this._wrap) && this._wrap > 0)
+        ) {
+            throw new Error(
+                "Derivator: wrap should be the number of bits of the counter, e.g. 32 or 64"
+            );
+        }
+        if (
+            !_.isNull(this._maxRate) &&
+                !(_.isNumber(this._maxRate) && this._maxRate > 0)
+        ) {
+            throw new Error("Derivator: maxRate should be a positive number");
+        }
+        if (
+            !_.isNull(this._alignment) &&
+                !_.contains(RATE_ALIGNMENTS, this._alignment)
+        ) {
+            throw new Error(
+                `Unknown alignment '${this._alignment}' passed to Derivator`
+            );
+        }
     }
 
     clone() {
         return new Derivator(this);
     }
 
+    /**
+     * Returns true if the rate is more than the maxRate
+     */
+    isImplausible(rate) {
+        return !_.isNull(this._maxRate) && Math.abs(rate) > this._maxRate;
+    }
+
+    /**
+     * Returns the increase of a counter from the previous value to the
+     * current value, allowing for the counter wrapping or being reset.
+     */
+    counterDelta(previousVal, currentVal, deltaTime) {
+        const delta = currentVal - previousVal;
+        if (delta >= 0) {
+            return delta;
+        }
+
+        if (this._wrap) {
+            const size = Math.pow(2, this._wrap);
+            if (previousVal < size) {
+                const wrapped = size - previousVal + currentVal;
+                if (!this._resets || !this.isImplausible(wrapped / deltaTime)) {
+                    return wrapped;
+                }
+            }
+        }
+
+        return this._resets ? currentVal : delta;
+    }
+
     /**
      * Generate a new TimeRangeEvent containing the rate per second
-     * between two events.
+     * between two events, or a TimeEvent if there's an alignment.
      */
     getRate(event) {
         let d = new Immutable.Map();
@@ -84,10 +169,18 @@ export default class Derivator extends Processor {
                     `Path ${fieldPath} contains a non-numeric value or does not exist`
                 );
             } else {
-                rate = (currentVal - previousVal) / deltaTime;
+                const delta = this.counterDelta(
+                    previousVal,
+                    currentVal,
+                    deltaTime
+                );
+                rate = delta / deltaTime;
             }
 
-            if (this._allowNegative === false && rate < 0) {
+            if (!_.isNull(rate) && this.isImplausible(rate)) {
+                // the counter can't have changed this quickly
+                d = d.setIn(ratePath, null);
+            } else if (this._allowNegative === false && rate < 0) {
                 // don't allow negative differentials in certain cases
                 d = d.setIn(ratePath, null);
             } else {
@@ -95,7 +188,16 @@ export default class Derivator extends Processor {
             }
         });
 
-        return new TimeRangeEvent([previousTime, currentTime], d);
+        switch (this._alignment) {
+            case "lag":
+                return new TimeEvent(previousTime, d);
+            case "center":
+                return new TimeEvent((previousTime + currentTime) / 2, d);
+            case "lead":
+                return new TimeEvent(currentTime, d);
+            default:
+                return new TimeRangeEvent([previousTime, currentTime], d);
+        }
     }
 
     /**
@@ -0,0 +1,289 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+import Processor from "./processor";
+import { isPipeline } from "../pipeline";
+import { avg, stdev } from "../base/functions";
+import util from "../base/util";
+
+const DETECT_METHODS = ["threshold", "zscore", "seasonal"];
+
+/**
+ * Returns the index of the first point at or after the time, within
+ * a list of points sorted by time.
+ */
+function bisect(points, time) {
+    let lo = 0;
+    let hi = points.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (points[mid].time < time) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+/**
+ * A processor that looks for anomalies in a column of each event,
+ * annotating the event with a flag, in the `as` column (default
+ * "anomaly"), and a score, in the `<as>_score` column. The methods are:
+ *
+ *  * "threshold" - the value is anomalous if it is above `upper` or
+ *    below `lower`. Once anomalous, the value must come back inside the
+ *    limits by the `hysteresis` before the anomaly clears, so values
+ *    hovering around a limit don't flap. The score is how far the value
+ *    is outside of the limits.
+ *  * "zscore" - the score is the number of standard deviations the
+ *    value is from the mean of a rolling baseline of the previous values,
+ *    either within a duration or the last n events (`window`). The value
+ *    is anomalous if the size of the score is over the `threshold`.
+ *  * "seasonal" - the value is compared to the value at the same time
+ *    in previous periods, e.g. the same time yesterday with a `period`
+ *    of "1d". The average of the last `seasons` periods is used, taking
+ *    the nearest value within `tolerance` of each (by default 1% of the
+ *    period, e.g. 14.4 minutes for "1d"). The score is the
+ *    relative difference from that, and the value is anomalous if the
+ *    size of the score is over the `threshold`.
+ *
+ * Events with missing values, or without enough history to compare
+ * against, have a null score and aren't anomalous.
+ */
+export default class Detector extends Processor {
+    constructor(arg1, options) {
+        super(arg1, options);
+
+        if (arg1 instanceof Detector) {
+            const other = arg1;
+            this._fieldSpec = other._fieldSpec;
+            this._method = other._method;
+            this._as = other._as;
+            this._options = other._options;
+        } else if (isPipeline(arg1)) {
+            const {
+                fieldSpec = "value",
+                method = "threshold",
+                as = "anomaly",
+                ...rest
+            } = options;
+            this._fieldSpec = fieldSpec;
+            this._method = method;
+            this._as = as;
+            this._options = this.checkOptions(method, rest);
+        } else {
+            throw new Error("Unknown arg to Detector constructor", arg1);
+        }
+
+        //
+        // Internal members
+        //
+        // whether the threshold detector is in an anomaly
+        this._active = false;
+
+        // previous values, as {time, value}, for zscore and seasonal
+        this._history = [];
+    }
+
+    clone() {
+        return new Detector(this);
+    }
+
+    /**
+     * Validates the options of the detection method, returning them
+     * with defaults filled in and durations converted to ms.
+     */
+    checkOptions(method, options) {
+        if (!_.contains(DETECT_METHODS, method)) {
+            throw new Error(`Unknown method ${method} passed to Detector`);
+        }
+
+        const duration = (name, value, allowZero = false) => {
+            const ms = util.windowDuration(value);
+            if (_.isUndefined(ms) || ms === 0 && !allowZero) {
+                throw new Error(
+                    `Detector: ${name} should be a duration, e.g. "5m"`
+                );
+            }
+            return ms;
+        };
+
+        switch (method) {
+            case "threshold": {
+                const { upper = null, lower = null, hysteresis = 0 } = options;
+                if (_.isNull(upper) && _.isNull(lower)) {
+                    throw new Error(
+                        "Detector: threshold needs an upper or lower limit"
+                    );
+                }
+                return { upper, lower, hysteresis };
+            }
+            case "zscore": {
+                const { window = 20, threshold = 3, minEvents = 2 } = options;
+                const count = Number.isInteger(window) && window > 0
+                    ? window
+                    : null;
+                return {
+                    count,
+                    duration: count ? null : duration("window", window),
+                    threshold,
+                    minEvents
+                };
+            }
+            case "seasonal": {
+                const {
+                    period = "1d",
+                    seasons = 1,
+                    tolerance = null,
+                    threshold = 0.5
+                } = options;
+                if (!Number.isInteger(seasons) || seasons < 1) {
+                    throw new Error("Detector: seasons should be at least 1");
+                }
+                const ms = duration("period", period);
+                return {
+                    period: ms,
+                    seasons,
+                    // defaults to 1% of the period
+                    tolerance: _.isNull(tolerance)
+                        ? Math.round(ms / 100)
+                        : duration("tolerance", tolerance, true),
+                    threshold
+                };
+            }
+        }
+    }
+
+    /**
+     * Returns the score of a value outside of the threshold limits,
+     * updating whether we are in an anomaly.
+     */
+    thresholdScore(value) {
+        const { upper, lower, hysteresis } = this._options;
+        const above = !_.isNull(upper) ? value - upper : -Infinity;
+        const below = !_.isNull(lower) ? lower - value : -Infinity;
+        const score = Math.max(above, below, 0);
+
+        if (score > 0) {
+            this._active = true;
+        } else if (this._active) {
+            this._active = above > -hysteresis || below > -hysteresis;
+        }
+        return { score, anomaly: this._active };
+    }
+
+    /**
+     * Returns the z-score of a value against the previous values in
+     * the window, then adds the value to the window. A duration window
+     * holds the values within that time before this one.
+     */
+    zscoreScore(time, value) {
+        const { count, duration, threshold, minEvents } = this._options;
+
+        if (duration) {
+            const start = bisect(this._history, time - duration + 1);
+            this._history = this._history.slice(start);
+        }
+
+        const baseline = this._history.map(p => p.value);
+        let score = null;
+        if (baseline.length >= minEvents) {
+            const sd = stdev()(baseline);
+            if (sd > 0) {
+                score = (value - avg()(baseline)) / sd;
+            }
+        }
+
+        this._history.push({ time, value });
+        if (count && this._history.length > count) {
+            this._history.shift();
+        }
+
+        return {
+            score,
+            anomaly: !_.isNull(score) && Math.abs(score) > threshold
+        };
+    }
+
+    /**
+     * Returns the relative difference of a value from the values at
+     * the same time in previous seasons, then adds the value to the
+     * history.
+     */
+    seasonalScore(time, value) {
+        const { period, seasons, tolerance, threshold } = this._options;
+        const history = this._history;
+
+        const previous = [];
+        for (let season = 1; season <= seasons; season++) {
+            const target = time - season * period;
+            const i = bisect(history, target);
+            const nearest = _.min(
+                _.compact([history[i - 1], history[i]]),
+                p => Math.abs(p.time - target)
+            );
+            if (
+                _.isObject(nearest) &&
+                    Math.abs(nearest.time - target) <= tolerance
+            ) {
+                previous.push(nearest.value);
+            }
+        }
+
+        let score = null;
+        if (previous.length) {
+            const expected = avg()(previous);
+            if (expected !== 0) {
+                score = (value - expected) / Math.abs(expected);
+            }
+        }
+
+        history.push({ time, value });
+        const start = bisect(history, time - seasons * period - tolerance);
+        this._history = history.slice(start);
+
+        return {
+            score,
+            anomaly: !_.isNull(score) && Math.abs(score) > threshold
+        };
+    }
+
+    addEvent(event) {
+        if (this.hasObservers()) {
+            const fieldPath = util.fieldPathToArray(this._fieldSpec);
+            const value = event.get(fieldPath);
+            const time = event.timestamp().getTime();
+
+            let result = { score: null, anomaly: false };
+            if (!util.isMissing(value) && _.isNumber(value)) {
+                switch (this._method) {
+                    case "threshold":
+                        result = this.thresholdScore(value);
+                        break;
+                    case "zscore":
+                        result = this.zscoreScore(time, value);
+                        break;
+                    case "seasonal":
+                        result = this.seasonalScore(time, value);
+                        break;
+                }
+            }
+
+            const d = event
+                .data()
+                .set(this._as, result.anomaly)
+                .set(`${this._as}_score`, result.score);
+            this.emit(event.setData(d));
+        }
+    }
+}
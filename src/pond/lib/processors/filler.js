@@ -8,18 +8,33 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
-/*eslint no-console: 0 */
-
 import _ from "underscore";
 import Processor from "./processor";
 import { isPipeline } from "../pipeline";
 import util from "../base/util";
+import {
+    interpolate,
+    isNumericMethod,
+    pointsNeededAfter
+} from "../base/interpolation";
+
+const FILL_METHODS = [
+    "zero",
+    "pad",
+    "linear",
+    "nearest",
+    "backfill",
+    "spline",
+    "mean"
+];
 
 /**
  * A processor that fills missing/invalid values in the event with
  * new values (zero, interpolated or padded).
  *
- * When doing a linear fill, Filler instances should be chained.
+ * Methods other than zero and pad need the values after the missing
+ * ones, so events are held until those are seen, or the Filler is
+ * flushed.
  *
  * If no fieldSpec is supplied, the default field "value" will be used.
  */
@@ -32,11 +47,27 @@ export default class Filler extends Processor {
             this._fieldSpec = other._fieldSpec;
             this._method = other._method;
             this._limit = other._limit;
+            this._maxGap = other._maxGap;
         } else if (isPipeline(arg1)) {
-            const { fieldSpec = null, method = "zero", limit = null } = options;
+            const {
+                fieldSpec = null,
+                method = "zero",
+                limit = null,
+                maxGap = null
+            } = options;
             this._fieldSpec = fieldSpec;
             this._method = method;
             this._limit = limit;
+            if (maxGap) {
+                this._maxGap = util.windowDuration(maxGap);
+                if (!this._maxGap) {
+                    throw new Error(
+                        `maxGap supplied to fill() should be a duration, e.g. "5m"`
+                    );
+                }
+            } else {
+                this._maxGap = null;
+            }
         } else {
             throw new Error("Unknown arg to Filler constructor", arg1);
         }
@@ -50,16 +81,20 @@ export default class Filler extends Processor {
         // key count for zero and pad fill
         this._keyCount = {};
 
-        // special state for linear fill
-        this._lastGoodLinear = null;
+        // time of the last good value (or first missing value) of each
+        // column, for zero and pad fill with a maxGap
+        this._gapStart = {};
 
-        // cache of events pending linear fill
-        this._linearFillCache = [];
+        // events held until their missing values can be filled, and
+        // the state of each column, for methods which need the values
+        // after the missing ones
+        this._buffer = [];
+        this._columns = {};
 
         //
         // Sanity checks
         //
-        if (!_.contains(["zero", "pad", "linear"], this._method)) {
+        if (!_.contains(FILL_METHODS, this._method)) {
             throw new Error(`Unknown method ${this._method} passed to Filler`);
         }
 
@@ -72,12 +107,6 @@ export default class Filler extends Processor {
         } else if (_.isNull(this._fieldSpec)) {
             this._fieldSpec = ["value"];
         }
-
-        // Special case: when using linear mode, only a single
-        // column will be processed per instance
-        if (this._method === "linear" && this._fieldSpec.length > 1) {
-            throw new Error("Linear fill takes a path to a single column");
-        }
     }
 
     clone() {
@@ -86,9 +115,10 @@ export default class Filler extends Processor {
 
     /**
      * Process and fill the values at the paths as apropos when the fill
-     * method is either pad or zero.
+     * method is either pad or zero. Values more than the maxGap after the
+     * last good value are left missing.
      */
-    constFill(data) {
+    constFill(data, time) {
         let newData = data;
 
         for (const path of this._fieldSpec) {
@@ -109,11 +139,23 @@ export default class Filler extends Processor {
             const val = newData.getIn(fieldPath);
 
             if (util.isMissing(val)) {
+                if (!_.has(this._gapStart, pathKey)) {
+                    this._gapStart[pathKey] = time;
+                }
+
                 // Have we hit the limit?
                 if (this._limit && this._keyCount[pathKey] >= this._limit) {
                     continue;
                 }
 
+                // Or are we too long after the last good value?
+                if (
+                    this._maxGap &&
+                        time - this._gapStart[pathKey] > this._maxGap
+                ) {
+                    continue;
+                }
+
                 if (this._method === "zero") {
                     // set to zero
                     newData = newData.setIn(fieldPath, 0);
@@ -130,208 +172,163 @@ export default class Filler extends Processor {
                             this._keyCount[pathKey]++;
                         }
                     }
-                } else if (this._method === "linear") {
-                    //noop
                 }
             } else {
                 this._keyCount[pathKey] = 0;
+                this._gapStart[pathKey] = time;
             }
         }
         return newData;
     }
 
     /**
-     * Check to see if an event has good values when doing
-     * linear fill since we need to keep a completely intact
-     * event for the values.
-     * While we are inspecting the data payload, make a note if
-     * any of the paths are pointing at a list. Then it
-     * will trigger that filling code later.
+     * Returns the state kept for filling a column: the recent known
+     * points (each {time, value, seq}), the missing values waiting to
+     * be filled (each {entry, time, seq}) and the count of consecutive
+     * missing values. The seq orders points and missing values by
+     * arrival, since timestamps may repeat.
      */
-    isValidLinearEvent(event) {
-        let valid = true;
-        const fieldPath = util.fieldPathToArray(this._fieldSpec[0]);
-
-        // Detect path that doesn't exist
-        if (!event.data().hasIn(fieldPath)) {
-            console.warn(`path does not exist: ${fieldPath}`);
-            return valid;
+    columnState(fieldPath) {
+        const pathKey = fieldPath.join(":");
+        if (!_.has(this._columns, pathKey)) {
+            this._columns[pathKey] = {
+                fieldPath,
+                points: [],
+                pending: [],
+                run: 0,
+                gapStart: null,
+                skipping: false,
+                seq: 0
+            };
         }
-
-        const val = event.data().getIn(fieldPath);
-
-        // Detect if missing or not a number
-        if (util.isMissing(val) || !_.isNumber(val)) {
-            valid = false;
-        }
-        return valid;
+        return this._columns[pathKey];
     }
 
     /**
-     * This handles the linear filling. It returns a list of
-     * zero or more events to be emitted.
-     *
-     * If an event is valid - it has valid values for all of
-     * the field paths - it is cached as "last good" and
-     * returned to be emitted. The return value is then a list
-     * of one event.
-     *
-     * If an event has invalid values, it is cached to be
-     * processed later and an empty list is returned.
-     *
-     * Additional invalid events will continue to be cached until
-     * a new valid value is seen, then the cached events will
-     * be filled and returned. That will be a list of indeterminate
-     * length.
+     * Fill the values of a column that are waiting on known points
+     * after them. If `final` is true there are no more points to come,
+     * so values are filled with whatever points are known, or left
+     * missing.
      */
-    linearFill(event) {
-        // See if the event is valid and also if it has any
-        // list values to be filled.
-        const isValidEvent = this.isValidLinearEvent(event);
-
-        const events = [];
-        if (isValidEvent && !this._linearFillCache.length) {
-            // Valid event, no cached events, use as last good val
-            this._lastGoodLinear = event;
-            events.push(event);
-        } else if (!isValidEvent && !_.isNull(this._lastGoodLinear)) {
-            this._linearFillCache.push(event);
-
-            // Check limit
-            if (
-                !_.isNull(this._limit) &&
-                    this._linearFillCache.length >= this._limit
-            ) {
-                // Flush the cache now because limit is reached
-                this._linearFillCache.forEach(e => {
-                    this.emit(e);
-                });
-
-                // Reset
-                this._linearFillCache = [];
-                this._lastGoodLinear = null;
+    resolveColumn(column, final = false) {
+        const needed = pointsNeededAfter(this._method);
+        const { points, pending, fieldPath } = column;
+
+        while (pending.length) {
+            const { entry, time, seq } = pending[0];
+            let next = _.findIndex(points, p => p.seq >= seq);
+            if (next < 0) {
+                next = points.length;
+            }
+            if (points.length - next < needed && !final) {
+                break;
             }
-        } else if (!isValidEvent && _.isNull(this._lastGoodLinear)) {
-            //
-            // An invalid event but we have not seen a good
-            // event yet so there is nothing to start filling "from"
-            // so just return and live with it.
-            //
-            events.push(event);
-        } else if (isValidEvent && this._linearFillCache) {
-            // Linear interpolation between last good and this event
-            const eventList = [
-                this._lastGoodLinear,
-                ...this._linearFillCache,
-                event
-            ];
-            const interpolatedEvents = this.interpolateEventList(eventList);
-
-            //
-            // The first event in the returned list from interpolatedEvents
-            // is our last good event. This event has already been emitted so
-            // it is sliced off.
-            //
-            interpolatedEvents.slice(1).forEach(e => {
-                events.push(e);
-            });
-
-            // Reset
-            this._linearFillCache = [];
-            this._lastGoodLinear = event;
+            const value = interpolate(
+                this._method,
+                time,
+                points[next - 2] || null,
+                points[next - 1] || null,
+                points[next] || null,
+                points[next + 1] || null
+            );
+            if (!_.isNull(value)) {
+                entry.data = entry.data.setIn(fieldPath, value);
+            }
+            entry.pending--;
+            pending.shift();
         }
 
-        return events;
+        // Only the two points before the next missing value are needed
+        const first = pending.length ? pending[0].seq : column.seq;
+        const keep = _.findIndex(points, p => p.seq >= first);
+        const end = keep < 0 ? points.length : keep;
+        column.points = points.slice(Math.max(end - 2, 0));
     }
 
     /**
-     * The fundamental linear interpolation workhorse code.  Process
-     * a list of events and return a new list. Does a pass for
-     * every fieldSpec.
-     *
-     * This is abstracted out like this because we probably want
-     * to interpolate a list of events not tied to a Collection.
-     * A Pipeline result list, etc etc.
-     *
-    **/
-    interpolateEventList(events) {
-        let prevValue;
-        let prevTime;
-
-        // new array of interpolated events for each field path
-        const newEvents = [];
-
-        const fieldPath = util.fieldPathToArray(this._fieldSpec[0]);
-
-        // setup done, loop through the events
-        for (let i = 0; i < events.length; i++) {
-            const e = events[i];
-
-            // Can't interpolate first or last event so just save it
-            // as is and move on.
-            if (i === 0) {
-                prevValue = e.get(fieldPath);
-                prevTime = e.timestamp().getTime();
-                newEvents.push(e);
-                continue;
-            }
+     * True if the column's current gap, up to the time, is longer
+     * than the maxGap
+     */
+    isLongGap(column, time) {
+        return !!this._maxGap &&
+            column.run > 0 &&
+            time - column.gapStart > this._maxGap;
+    }
 
-            if (i === events.length - 1) {
-                newEvents.push(e);
-                continue;
-            }
+    /**
+     * The gap is too long to fill, so leave all of it missing
+     */
+    skipGap(column) {
+        column.pending.forEach(p => p.entry.pending--);
+        column.pending = [];
+        column.skipping = true;
+    }
 
-            // Detect non-numeric value
-            if (
-                !util.isMissing(e.get(fieldPath)) &&
-                    !_.isNumber(e.get(fieldPath))
-            ) {
-                console.warn(
-                    `linear requires numeric values - skipping this field_spec`
-                );
-                return events;
+    /**
+     * Fill using a method which needs to see the values after the
+     * missing ones, e.g. linear or spline interpolation. Events with
+     * missing values are held until the values after them are known,
+     * and events are always emitted in order. Returns the list of
+     * events that are ready to be emitted.
+     */
+    bufferedFill(event) {
+        const entry = { event, data: event.data(), pending: 0 };
+        const time = event.timestamp().getTime();
+        this._buffer.push(entry);
+
+        for (const path of this._fieldSpec) {
+            const fieldPath = util.fieldPathToArray(path);
+            const column = this.columnState(fieldPath);
+
+            // this is pointing at a path that does not exist
+            if (!entry.data.hasIn(fieldPath)) {
+                continue;
             }
 
-            // Found a missing value so start calculating.
-            if (util.isMissing(e.get(fieldPath))) {
-                // Find the next valid value in the original events
-                let ii = i + 1;
-                let nextValue = null;
-                let nextTime = null;
-                while (_.isNull(nextValue) && ii < events.length) {
-                    const val = events[ii].get(fieldPath);
-                    if (!util.isMissing(val)) {
-                        nextValue = val;
-                        // exits loop
-                        nextTime = events[ii].timestamp().getTime();
-                    }
-                    ii++;
+            const value = entry.data.getIn(fieldPath);
+            if (util.isMissing(value)) {
+                column.run++;
+                if (column.run === 1) {
+                    const last = _.last(column.points);
+                    column.gapStart = last ? last.time : time;
                 }
-
-                // Interpolate a new value to fill
-                if (!_.isNull(prevValue) && ~_.isNull(nextValue)) {
-                    const currentTime = e.timestamp().getTime();
-                    if (nextTime === prevTime) {
-                        // If times are the same, just avg
-                        const newValue = (prevValue + nextValue) / 2;
-                        newEvents.push(e.setData(newValue));
-                    } else {
-                        const f = (currentTime - prevTime) /
-                            (nextTime - prevTime);
-                        const newValue = prevValue +
-                            f * (nextValue - prevValue);
-                        const d = e.data().setIn(fieldPath, newValue);
-                        newEvents.push(e.setData(d));
-                    }
-                } else {
-                    newEvents.push(e);
+                if (
+                    (this._limit && column.run > this._limit) ||
+                        this.isLongGap(column, time)
+                ) {
+                    this.skipGap(column);
+                } else if (
+                    !column.skipping &&
+                        (column.points.length || !isNumericMethod(this._method))
+                ) {
+                    column.pending.push({ entry, time, seq: column.seq++ });
+                    entry.pending++;
                 }
             } else {
-                newEvents.push(e);
+                if (this.isLongGap(column, time)) {
+                    this.skipGap(column);
+                }
+                column.run = 0;
+                column.skipping = false;
+                column.points.push({ time, value, seq: column.seq++ });
+                this.resolveColumn(column);
             }
         }
 
-        return newEvents;
+        return this.readyEvents();
+    }
+
+    /**
+     * Removes and returns the events at the front of the buffer
+     * which have no values still waiting to be filled.
+     */
+    readyEvents() {
+        const events = [];
+        while (this._buffer.length && this._buffer[0].pending === 0) {
+            const { event, data } = this._buffer.shift();
+            events.push(data === event.data() ? event : event.setData(data));
+        }
+        return events;
     }
 
     /**
@@ -342,12 +339,12 @@ export default class Filler extends Processor {
             const emitList = [];
             const d = event.data();
             if (this._method === "zero" || this._method === "pad") {
-                const dd = this.constFill(d);
+                const dd = this.constFill(d, event.timestamp().getTime());
                 const e = event.setData(dd);
                 emitList.push(e);
                 this._previousEvent = e;
-            } else if (this._method === "linear") {
-                this.linearFill(event).forEach(e => {
+            } else {
+                this.bufferedFill(event).forEach(e => {
                     emitList.push(e);
                 });
             }
@@ -358,8 +355,9 @@ export default class Filler extends Processor {
     }
 
     flush() {
-        if (this.hasObservers() && this._method == "linear") {
-            for (const event of this._linearFillCache) {
+        if (this.hasObservers() && !_.contains(["zero", "pad"], this._method)) {
+            _.each(this._columns, column => this.resolveColumn(column, true));
+            for (const event of this.readyEvents()) {
                 this.emit(event);
             }
         }
@@ -0,0 +1,216 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import Immutable from "immutable";
+
+import Index from "../index";
+import IndexedEvent from "../indexedevent";
+import Processor from "./processor";
+import TimeEvent from "../timeevent";
+import TimeRangeEvent from "../timerangeevent";
+import { isPipeline } from "../pipeline";
+import util, { CALENDAR_TYPES } from "../base/util";
+
+const INTEGRATE_METHODS = ["trapezoid", "left", "sum"];
+
+function isValue(v) {
+    return _.isNumber(v) && !_.isNaN(v);
+}
+
+/**
+ * A processor to accumulate the values of columns, the inverse of the
+ * Derivator. For each event it emits a TimeEvent with the total so far
+ * of each column, using the method:
+ *
+ *  * "trapezoid" - the integral over time, per second, using the
+ *    trapezoidal rule, e.g. turning a rate in bytes/sec into bytes.
+ *    The total goes in a `<column>_integral` column.
+ *  * "left" - the integral over time using the left Riemann sum, where
+ *    each value holds until the next event. This suits gauges that are
+ *    sampled when they change.
+ *  * "sum" - the cumulative sum of the values, in a `<column>_cumsum`
+ *    column.
+ *
+ * Missing values add nothing to the total. With `resetBy` the total goes
+ * back to zero at the start of each window, either fixed (e.g. "1h") or a
+ * calendar period ("daily", "weekly", "monthly", "quarterly" or "yearly")
+ * in local time or in the `timezone`. The integral of the time between
+ * the last event of one window and the first event of the next is split
+ * at the start of the window.
+ */
+export default class Integrator extends Processor {
+    constructor(arg1, options) {
+        super(arg1, options);
+
+        if (arg1 instanceof Integrator) {
+            const other = arg1;
+            this._fieldSpec = other._fieldSpec;
+            this._method = other._method;
+            this._resetBy = other._resetBy;
+            this._timezone = other._timezone;
+        } else if (isPipeline(arg1)) {
+            const {
+                fieldSpec = null,
+                method = "trapezoid",
+                resetBy = null,
+                timezone = null
+            } = options;
+            this._fieldSpec = fieldSpec;
+            this._method = method;
+            this._resetBy = resetBy;
+            this._timezone = timezone;
+        } else {
+            throw new Error("Unknown arg to Integrator constructor", arg1);
+        }
+
+        //
+        // Internal members
+        //
+        this._previous = null;
+        this._window = null;
+        this._totals = {};
+
+        // work out field specs
+        if (_.isString(this._fieldSpec)) {
+            this._fieldSpec = [this._fieldSpec];
+        } else if (!this._fieldSpec) {
+            this._fieldSpec = ["value"];
+        }
+
+        if (!_.contains(INTEGRATE_METHODS, this._method)) {
+            throw new Error(
+                `Unknown method '${this._method}' passed to Integrator`
+            );
+        }
+        if (
+            this._resetBy &&
+                !_.contains(CALENDAR_TYPES, this._resetBy) &&
+                !util.windowDuration(this._resetBy)
+        ) {
+            throw new Error(
+                `Unknown resetBy '${this._resetBy}' passed to Integrator`
+            );
+        }
+        if (this._timezone && !util.isTimeZone(this._timezone)) {
+            throw new Error(`Unknown time zone: ${this._timezone}`);
+        }
+    }
+
+    clone() {
+        return new Integrator(this);
+    }
+
+    /**
+     * Returns the index string of the reset window containing the date
+     */
+    windowIndex(date) {
+        if (_.contains(CALENDAR_TYPES, this._resetBy)) {
+            return Index.getCalendarIndexString(
+                this._resetBy,
+                date,
+                this._timezone || false
+            );
+        }
+        return Index.getIndexString(this._resetBy, date);
+    }
+
+    /**
+     * Returns the area, in value-seconds, under a column between the
+     * previous event and the current one. Only the part from the time
+     * `from` onwards is included, where `from` may be the start of a
+     * window between the two events.
+     */
+    area(previousVal, currentVal, previousTime, currentTime, from) {
+        if (!isValue(previousVal) || currentTime <= from) {
+            return 0;
+        }
+        const seconds = (currentTime - from) / 1000;
+        if (this._method === "left") {
+            return previousVal * seconds;
+        }
+        if (!isValue(currentVal)) {
+            return 0;
+        }
+        const f = (from - previousTime) / (currentTime - previousTime);
+        const fromVal = previousVal + f * (currentVal - previousVal);
+        return (fromVal + currentVal) / 2 * seconds;
+    }
+
+    addEvent(event) {
+        if (
+            this._method !== "sum" &&
+                (event instanceof TimeRangeEvent ||
+                    event instanceof IndexedEvent)
+        ) {
+            throw new Error(
+                "TimeRangeEvent and IndexedEvent series can not be integrated."
+            );
+        }
+
+        if (this.hasObservers()) {
+            const currentTime = event.timestamp().getTime();
+
+            // start again at the beginning of a new window
+            let from = this._previous
+                ? this._previous.timestamp().getTime()
+                : currentTime;
+            if (this._resetBy) {
+                const window = this.windowIndex(event.timestamp());
+                if (window !== this._window) {
+                    this._totals = {};
+                    if (this._window) {
+                        const index = new Index(
+                            window,
+                            _.contains(CALENDAR_TYPES, this._resetBy)
+                                ? this._timezone || false
+                                : true
+                        );
+                        from = Math.max(from, index.begin().getTime());
+                    }
+                    this._window = window;
+                }
+            }
+
+            let d = new Immutable.Map();
+            this._fieldSpec.forEach(path => {
+                const fieldPath = util.fieldPathToArray(path);
+                const pathKey = fieldPath.join(":");
+                const totalPath = fieldPath.slice();
+                totalPath[totalPath.length - 1] += this._method === "sum"
+                    ? "_cumsum"
+                    : "_integral";
+
+                const currentVal = event.get(fieldPath);
+                let total = this._totals[pathKey] || 0;
+                if (this._method === "sum") {
+                    if (isValue(currentVal)) {
+                        total += currentVal;
+                    }
+                } else if (this._previous) {
+                    total += this.area(
+                        this._previous.get(fieldPath),
+                        currentVal,
+                        this._previous.timestamp().getTime(),
+                        currentTime,
+                        from
+                    );
+                }
+                this._totals[pathKey] = total;
+                d = d.setIn(totalPath, total);
+            });
+
+            this.emit(new TimeEvent(currentTime, d));
+
+            // The current event now becomes the previous event
+            this._previous = event;
+        }
+    }
+}
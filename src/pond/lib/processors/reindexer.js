@@ -0,0 +1,123 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import Immutable from "immutable";
+import IndexedEvent from "../indexedevent";
+import Processor from "./processor";
+import TimeEvent from "../timeevent";
+import TimeRangeEvent from "../timerangeevent";
+import { isPipeline } from "../pipeline";
+import util from "../base/util";
+
+/**
+ * Returns a copy of the data with every value, including nested
+ * values, set to null.
+ */
+function nullData(data) {
+    return data.map(
+        value => Immutable.Map.isMap(value) ? nullData(value) : null
+    );
+}
+
+/**
+ * A processor to insert events for the periods of an expected cadence
+ * which have no events. Events are passed through unchanged, while for
+ * each period between two events that has no events of its own, a new
+ * event is emitted at the start of that period with null values. The
+ * periods are fixed windows (e.g. "30s") relative to Jan 1st, 1970, UTC.
+ *
+ * The placeholder events have the fieldSpec columns set to null, or if
+ * there is no fieldSpec, the same columns as the event before them. The
+ * nulls may then be filled in with fill().
+ */
+export default class Reindexer extends Processor {
+    constructor(arg1, options) {
+        super(arg1, options);
+
+        if (arg1 instanceof Reindexer) {
+            const other = arg1;
+            this._fieldSpec = other._fieldSpec;
+            this._period = other._period;
+        } else if (isPipeline(arg1)) {
+            const { fieldSpec = null, period } = options;
+            this._fieldSpec = fieldSpec;
+            this._period = period;
+        } else {
+            throw new Error("Unknown arg to Reindexer constructor", arg1);
+        }
+
+        //
+        // Internal members
+        //
+        this._previous = null;
+
+        if (_.isString(this._fieldSpec)) {
+            this._fieldSpec = [this._fieldSpec];
+        }
+
+        if (!util.windowDuration(this._period)) {
+            throw new Error(
+                `Unknown period '${this._period}' passed to Reindexer`
+            );
+        }
+    }
+
+    clone() {
+        return new Reindexer(this);
+    }
+
+    /**
+     * Returns a placeholder event, with null values, at the time
+     */
+    placeholder(t) {
+        let d;
+        if (this._fieldSpec) {
+            d = new Immutable.Map();
+            this._fieldSpec.forEach(path => {
+                d = d.setIn(util.fieldPathToArray(path), null);
+            });
+        } else {
+            d = nullData(this._previous.data());
+        }
+        return new TimeEvent(t, d);
+    }
+
+    /**
+     * Emit placeholders for any periods between the previous event
+     * and this one, then the event itself.
+     */
+    addEvent(event) {
+        if (event instanceof TimeRangeEvent || event instanceof IndexedEvent) {
+            throw new Error(
+                "TimeRangeEvent and IndexedEvent series can not be reindexed."
+            );
+        }
+
+        if (this.hasObservers()) {
+            if (this._previous) {
+                const length = util.windowDuration(this._period);
+                const from = util.windowPositionFromDate(
+                    this._period,
+                    this._previous.timestamp()
+                );
+                const to = util.windowPositionFromDate(
+                    this._period,
+                    event.timestamp()
+                );
+                for (let pos = from + 1; pos < to; pos++) {
+                    this.emit(this.placeholder(pos * length));
+                }
+            }
+            this.emit(event);
+            this._previous = event;
+        }
+    }
+}
@@ -0,0 +1,261 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+import Collection from "../collection";
+import Processor from "./processor";
+import TimeEvent from "../timeevent";
+import TimeRange from "../timerange";
+import { isPipeline } from "../pipeline";
+import util from "../base/util";
+import { interpolate, pointsNeededAfter } from "../base/interpolation";
+
+const RESAMPLE_METHODS = [
+    "hold",
+    "pad",
+    "linear",
+    "nearest",
+    "backfill",
+    "spline",
+    "mean"
+];
+
+const RESAMPLE_LABELS = ["begin", "center", "end"];
+
+/**
+ * A processor to change the cadence of a stream of events to a regular
+ * period. Events are grouped into fixed windows of the period, relative
+ * to Jan 1st, 1970, UTC. A period with events gets the aggregation of
+ * those events (downsampling), while the values of a period without any
+ * events are interpolated from the aggregations of the periods with
+ * events either side of it (upsampling). With no `interpolation` the
+ * values of empty periods are null.
+ *
+ * Every period from the first event to the last is emitted, as a
+ * TimeEvent at the begin, center or end of the period (the `label`).
+ * A period is emitted once an event arrives in a later period, so the
+ * events are expected to be in time order.
+ */
+export default class Resampler extends Processor {
+    constructor(arg1, options) {
+        super(arg1, options);
+
+        if (arg1 instanceof Resampler) {
+            const other = arg1;
+            this._period = other._period;
+            this._fields = other._fields;
+            this._interpolation = other._interpolation;
+            this._label = other._label;
+        } else if (isPipeline(arg1)) {
+            const {
+                period,
+                aggregation,
+                interpolation = "linear",
+                label = "begin"
+            } = options;
+
+            if (!aggregation || !_.isObject(aggregation)) {
+                throw new Error(
+                    "Resampler: aggregation object must be supplied, for example: {value: {value: avg()}}"
+                );
+            }
+            this._period = period;
+            this._fields = aggregation;
+            this._interpolation = interpolation;
+            this._label = label;
+        } else {
+            throw new Error("Unknown arg to Resampler constructor", arg1);
+        }
+
+        //
+        // Internal members
+        //
+        // the position of the period being collected and its events
+        this._position = null;
+        this._collection = null;
+
+        // the periods waiting to be emitted, as {position, data}, where
+        // the data is null for periods that need interpolating
+        this._queue = [];
+
+        // the last two periods with events that were emitted
+        this._known = [];
+
+        if (!util.windowDuration(this._period)) {
+            throw new Error(
+                `Unknown period '${this._period}' passed to Resampler`
+            );
+        }
+        if (
+            !_.isNull(this._interpolation) &&
+                !_.contains(RESAMPLE_METHODS, this._interpolation)
+        ) {
+            throw new Error(
+                `Unknown interpolation '${this._interpolation}' passed to Resampler`
+            );
+        }
+        if (!_.contains(RESAMPLE_LABELS, this._label)) {
+            throw new Error(
+                `Unknown label '${this._label}' passed to Resampler`
+            );
+        }
+    }
+
+    clone() {
+        return new Resampler(this);
+    }
+
+    /**
+     * Returns the time of the event for the period at the position
+     */
+    labelTime(position) {
+        const length = util.windowDuration(this._period);
+        const begin = position * length;
+        switch (this._label) {
+            case "center":
+                return begin + length / 2;
+            case "end":
+                return begin + length;
+            default:
+                return begin;
+        }
+    }
+
+    /**
+     * Returns the aggregation of the events in the current period
+     */
+    aggregate() {
+        const length = util.windowDuration(this._period);
+        const begin = this._position * length;
+        const range = new TimeRange(begin, begin + length);
+
+        const d = {};
+        _.each(this._fields, (f, fieldName) => {
+            const keys = Object.keys(f);
+            if (keys.length !== 1) {
+                throw new Error("Fields should contain exactly one field", f);
+            }
+            const field = keys[0];
+            const operator = f[field];
+            d[fieldName] = this._collection.aggregate(operator, field, {
+                range
+            });
+        });
+        return d;
+    }
+
+    /**
+     * Returns the data for an empty period, interpolated from the
+     * periods with events before it and those after it in the queue.
+     */
+    interpolatePeriod(position, after) {
+        const t = this.labelTime(position);
+        const [before, previous] = this._known.length === 2
+            ? this._known
+            : [null, this._known[0]];
+
+        const d = {};
+        _.each(_.keys(this._fields), fieldName => {
+            const point = p => p
+                ? { time: this.labelTime(p.position), value: p.data[fieldName] }
+                : null;
+
+            d[fieldName] = this._interpolation
+                ? interpolate(
+                      this._interpolation,
+                      t,
+                      point(before),
+                      point(previous),
+                      point(after[0]),
+                      point(after[1])
+                  )
+                : null;
+        });
+        return d;
+    }
+
+    /**
+     * Emit the periods at the front of the queue. Empty periods wait
+     * until there are enough periods with events after them to
+     * interpolate, unless this is the final call.
+     */
+    emitQueue(final) {
+        const needed = this._interpolation
+            ? pointsNeededAfter(this._interpolation)
+            : 0;
+
+        while (this._queue.length) {
+            const { position, data } = this._queue[0];
+            if (data) {
+                this._known = [..._.last(this._known, 1), this._queue[0]];
+                this.emit(new TimeEvent(this.labelTime(position), data));
+            } else {
+                const after = _.first(
+                    this._queue.filter(p => p.data),
+                    Math.max(needed, 1)
+                );
+                if (after.length < needed && !final) {
+                    return;
+                }
+                this.emit(
+                    new TimeEvent(
+                        this.labelTime(position),
+                        this.interpolatePeriod(position, after)
+                    )
+                );
+            }
+            this._queue.shift();
+        }
+    }
+
+    /**
+     * Queue the current period, followed by the empty periods before
+     * the period of the next event (if there is one), then emit what
+     * we can.
+     */
+    closePeriod(next = null) {
+        this._queue.push({
+            position: this._position,
+            data: this.aggregate()
+        });
+        if (!_.isNull(next)) {
+            for (let pos = this._position + 1; pos < next; pos++) {
+                this._queue.push({ position: pos, data: null });
+            }
+        }
+        this._collection = null;
+        this.emitQueue(_.isNull(next));
+    }
+
+    addEvent(event) {
+        if (this.hasObservers()) {
+            const position = util.windowPositionFromDate(
+                this._period,
+                event.timestamp()
+            );
+            if (this._collection && position > this._position) {
+                this.closePeriod(position);
+            }
+            if (!this._collection) {
+                this._position = position;
+                this._collection = new Collection();
+            }
+            this._collection = this._collection.addEvent(event);
+        }
+    }
+
+    flush() {
+        if (this.hasObservers() && this._collection) {
+            this.closePeriod();
+        }
+        super.flush();
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+import Collection from "../collection";
+import Processor from "./processor";
+import TimeEvent from "../timeevent";
+import TimeRange from "../timerange";
+import { isPipeline } from "../pipeline";
+import util from "../base/util";
+
+/**
+ * A processor which emits a rolling aggregation for every event it
+ * receives. The window rolls with each event, and is either the events
+ * within a duration (e.g. "10m") up to and including the event, or the
+ * last n events. Each output event is a TimeEvent at the timestamp of
+ * the event that was received, with the fields of the aggregation.
+ *
+ * Until the window has filled, the aggregation is of the events so far.
+ */
+export default class Roller extends Processor {
+    constructor(arg1, options) {
+        super(arg1, options);
+
+        if (arg1 instanceof Roller) {
+            const other = arg1;
+            this._fields = other._fields;
+            this._window = other._window;
+            this._duration = other._duration;
+        } else if (isPipeline(arg1)) {
+            const { window, aggregation } = options;
+
+            if (!aggregation || !_.isObject(aggregation)) {
+                throw new Error(
+                    "Roller: aggregation object must be supplied, for example: {value: {value: avg()}}"
+                );
+            }
+
+            // Check each of the field mappings of the aggregation
+            _.each(aggregation, f => {
+                if (!_.isObject(f) || Object.keys(f).length !== 1) {
+                    throw new Error(
+                        "Fields should contain exactly one field",
+                        f
+                    );
+                }
+            });
+
+            this._fields = aggregation;
+            this._window = window;
+
+            if (Number.isInteger(window) && window > 0) {
+                this._duration = null;
+            } else {
+                this._duration = util.windowDuration(window);
+                if (!this._duration) {
+                    throw new Error(
+                        `Roller: window should be a duration or a number of events, e.g. "10m" or 20`
+                    );
+                }
+            }
+        } else {
+            throw new Error("Unknown arg to Roller constructor", arg1);
+        }
+
+        //
+        // Internal members
+        //
+        this._collection = new Collection();
+    }
+
+    clone() {
+        return new Roller(this);
+    }
+
+    /**
+     * Add the event to the window, removing any events that have
+     * rolled out of it.
+     */
+    roll(event) {
+        let collection = this._collection.addEvent(event);
+        if (this._duration) {
+            const begin = event.timestamp().getTime() - this._duration;
+            let i = 0;
+            while (
+                i < collection.size() &&
+                    collection.at(i).timestamp().getTime() <= begin
+            ) {
+                i++;
+            }
+            if (i > 0) {
+                collection = collection.slice(i);
+            }
+        } else if (collection.size() > this._window) {
+            collection = collection.slice(collection.size() - this._window);
+        }
+        this._collection = collection;
+    }
+
+    addEvent(event) {
+        if (this.hasObservers()) {
+            this.roll(event);
+
+            const t = event.timestamp().getTime();
+            const range = this._duration
+                ? new TimeRange(t - this._duration, t)
+                : this._collection.range();
+
+            const d = {};
+            _.each(this._fields, (f, fieldName) => {
+                const field = Object.keys(f)[0];
+                const operator = f[field];
+                d[fieldName] = this._collection.aggregate(operator, field, {
+                    range
+                });
+            });
+
+            this.emit(new TimeEvent(event.timestamp(), d));
+        }
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+import Processor from "./processor";
+import { isPipeline } from "../pipeline";
+import util from "../base/util";
+
+/**
+ * A processor which replaces values with their exponentially weighted
+ * moving average (EWMA). The weight of each new value is either a fixed
+ * `alpha`, or is given by a `halfLife` duration, in which case the weight
+ * depends on the time since the previous value, so that irregularly
+ * sampled data is smoothed evenly over time.
+ *
+ * Missing values don't change the average, and are passed on as null.
+ */
+export default class Smoother extends Processor {
+    constructor(arg1, options) {
+        super(arg1, options);
+
+        if (arg1 instanceof Smoother) {
+            const other = arg1;
+            this._fieldSpec = other._fieldSpec;
+            this._alpha = other._alpha;
+            this._halfLife = other._halfLife;
+        } else if (isPipeline(arg1)) {
+            const { fieldSpec = null, alpha = null, halfLife = null } = options;
+            this._fieldSpec = fieldSpec;
+            this._alpha = alpha;
+            this._halfLife = halfLife ? util.windowDuration(halfLife) : null;
+
+            if (_.isNull(alpha) === _.isNull(halfLife)) {
+                throw new Error(
+                    "Smoother: supply either an alpha or a halfLife, e.g. {alpha: 0.3} or {halfLife: \"5m\"}"
+                );
+            }
+            if (!_.isNull(alpha) && !(alpha > 0 && alpha <= 1)) {
+                throw new Error("Smoother: alpha should be within (0, 1]");
+            }
+            if (halfLife && !this._halfLife) {
+                throw new Error(
+                    `Smoother: halfLife should be a duration, e.g. "5m"`
+                );
+            }
+        } else {
+            throw new Error("Unknown arg to Smoother constructor", arg1);
+        }
+
+        //
+        // Internal members
+        //
+        // the current average and the time of the last value, by column
+        this._state = {};
+
+        if (_.isString(this._fieldSpec)) {
+            this._fieldSpec = [this._fieldSpec];
+        } else if (_.isNull(this._fieldSpec)) {
+            this._fieldSpec = ["value"];
+        }
+    }
+
+    clone() {
+        return new Smoother(this);
+    }
+
+    /**
+     * Returns the weight of a new value, given the ms since the last one
+     */
+    weight(dt) {
+        if (this._alpha) {
+            return this._alpha;
+        }
+        return 1 - Math.pow(0.5, dt / this._halfLife);
+    }
+
+    addEvent(event) {
+        if (this.hasObservers()) {
+            const t = event.timestamp().getTime();
+            let d = event.data();
+            this._fieldSpec.forEach(path => {
+                const fieldPath = util.fieldPathToArray(path);
+                const pathKey = fieldPath.join(":");
+                const value = d.getIn(fieldPath);
+
+                if (util.isMissing(value) || !_.isNumber(value)) {
+                    d = d.setIn(fieldPath, null);
+                    return;
+                }
+
+                const state = this._state[pathKey];
+                let average;
+                if (!state) {
+                    average = value;
+                } else {
+                    const w = this.weight(t - state.time);
+                    average = state.average + w * (value - state.average);
+                }
+                this._state[pathKey] = { average, time: t };
+                d = d.setIn(fieldPath, average);
+            });
+            this.emit(event.setData(d));
+        }
+    }
+}
@@ -12,7 +12,7 @@ import _ from "underscore";
 
 import Processor from "./processor";
 
-import Index from "../index";
+import Collector from "../collector";
 import { isPipeline } from "../pipeline";
 
 /**
@@ -29,18 +29,31 @@ export default class Taker extends Processor {
             this._limit = other._limit;
             this._windowType = other._windowType;
             this._windowDuration = other._windowDuration;
+            this._windowStep = other._windowStep;
+            this._timezone = other._timezone;
             this._groupBy = other._groupBy;
         } else if (isPipeline(arg1)) {
             const pipeline = arg1;
             this._limit = options.limit;
             this._windowType = pipeline.getWindowType();
             this._windowDuration = pipeline.getWindowDuration();
+            this._windowStep = pipeline.getWindowStep();
+            this._timezone = pipeline.getWindowTimezone();
             this._groupBy = pipeline.getGroupBy();
         } else {
             throw new Error("Unknown arg to Taker constructor", arg1);
         }
 
         this._count = {};
+
+        // Used to find the window(s) each event belongs to
+        this._collector = new Collector({
+            windowType: this._windowType,
+            windowDuration: this._windowDuration,
+            windowStep: this._windowStep,
+            timezone: this._timezone,
+            groupBy: this._groupBy
+        });
     }
 
     clone() {
@@ -52,36 +65,38 @@ export default class Taker extends Processor {
     }
 
     /**
-     * Output an event that is offset
+     * Output the event if it is within the first `limit` events of its
+     * window. For sliding windows the event will be in several windows,
+     * in which case it is output if it is within the limit for any of them.
      */
     addEvent(event) {
         if (this.hasObservers()) {
-            const timestamp = event.timestamp();
-
-            const windowType = this._windowType;
-            let windowKey;
-            if (windowType === "fixed") {
-                windowKey = Index.getIndexString(
-                    this._windowDuration,
-                    timestamp
-                );
-            } else {
-                windowKey = windowType;
-            }
             const groupByKey = this._groupBy(event);
-            const collectionKey = groupByKey
-                ? `${windowKey}::${groupByKey}`
-                : windowKey;
+            const windowKeys = this._collector.windowKeys(
+                event.timestamp(),
+                groupByKey
+            );
 
-            if (!_.has(this._count, collectionKey)) {
-                this._count[collectionKey] = 0;
-            }
+            let take = false;
+            windowKeys.forEach(windowKey => {
+                const collectionKey = groupByKey
+                    ? `${windowKey}::${groupByKey}`
+                    : windowKey;
 
-            if (this._count[collectionKey] < this._limit) {
+                if (!_.has(this._count, collectionKey)) {
+                    this._count[collectionKey] = 0;
+                }
+
+                if (this._count[collectionKey] < this._limit) {
+                    take = true;
+                }
+
+                this._count[collectionKey]++;
+            });
+
+            if (take) {
                 this.emit(event);
             }
-
-            this._count[collectionKey]++;
         }
     }
 }
@@ -15,9 +15,20 @@ import Collection from "./collection";
 import Index from "./index";
 import Event from "./event";
 import TimeEvent from "./timeevent";
+import TimeRange from "./timerange";
 import TimeRangeEvent from "./timerangeevent";
 import IndexedEvent from "./indexedevent";
 import { Pipeline } from "./pipeline.js";
+import util from "./base/util";
+import {
+    parseRows,
+    formatRows,
+    parseTime,
+    formatTime,
+    parseValue,
+    setPath,
+    flattenPaths
+} from "./base/csv";
 
 function buildMetaData(meta) {
     let d = meta ? meta : {};
@@ -266,6 +277,22 @@ class TimeSeries {
         return Event.dataSchema();
     }
 
+    /**
+     * Returns the JSON Avro schema of a single event of this series, as
+     * used for each of the points in `schema()`. This may also be used
+     * to encode a stream of events, see `AvroEncoder`.
+     */
+    eventSchema(eventKey) {
+        return {
+            type: "record",
+            name: "Event",
+            fields: [
+                this.keySchema(eventKey),
+                { name: "data", type: this.dataSchema(eventKey) }
+            ]
+        };
+    }
+
     schema(eventKey) {
         const s = {
             type: "record",
@@ -275,20 +302,7 @@ class TimeSeries {
                 { name: "columns", type: { type: "array", items: "string" } },
                 {
                     name: "points",
-                    type: {
-                        type: "array",
-                        items: {
-                            type: "record",
-                            name: "Event",
-                            fields: [
-                                this.keySchema(eventKey),
-                                {
-                                    name: "data",
-                                    type: this.dataSchema(eventKey)
-                                }
-                            ]
-                        }
-                    }
+                    type: { type: "array", items: this.eventSchema(eventKey) }
                 }
             ]
         };
@@ -357,6 +371,81 @@ class TimeSeries {
         return JSON.stringify(this.toJSON());
     }
 
+    /**
+     * Represent the TimeSeries as CSV text, with a header row. The first
+     * column(s) are the "time", the "begin" and "end" of the timerange, or
+     * the "index", depending on the type of events in the series. Nested
+     * data is written to one column per value, named by its path using
+     * dot notation, e.g. "NASA_north.in". This can be read back with
+     * `TimeSeries.fromCSV()`.
+     *
+     * @param                options                An object containing options:
+     * @param {string}       options.delimiter      The field delimiter, defaults to ","
+     * @param {string}       options.timeFormat     "ms" (the default), "s", "us", "ns",
+     *                                              "iso", or a moment.js format string
+     * @param {string}       options.missing        Output for missing values, defaults
+     *                                              to an empty field
+     * @param {boolean}      options.header         Include the header row, defaults
+     *                                              to true
+     *
+     * @return {string} The CSV text
+     */
+    toCSV(
+        { delimiter = ",", timeFormat = "ms", missing = "", header = true } = {}
+    ) {
+        const utc = this.isUTC();
+        const e = this.atFirst();
+
+        let keyColumns = ["time"];
+        if (e instanceof TimeRangeEvent) {
+            keyColumns = ["begin", "end"];
+        } else if (e instanceof IndexedEvent) {
+            keyColumns = ["index"];
+        }
+
+        // Flatten each event's data, collecting the columns in the
+        // order they are first seen
+        const columns = [];
+        const flattened = [];
+        for (const event of this._collection.events()) {
+            const values = {};
+            flattenPaths(event.toJSON().data).forEach(([path, value]) => {
+                if (!_.contains(columns, path)) {
+                    columns.push(path);
+                }
+                values[path] = value;
+            });
+            flattened.push({ event, values });
+        }
+
+        const rows = flattened.map(({ event, values }) => {
+            let key;
+            if (event instanceof TimeRangeEvent) {
+                key = [
+                    formatTime(+event.begin(), timeFormat, utc),
+                    formatTime(+event.end(), timeFormat, utc)
+                ];
+            } else if (event instanceof IndexedEvent) {
+                key = [event.indexAsString()];
+            } else {
+                key = [formatTime(+event.timestamp(), timeFormat, utc)];
+            }
+            const data = columns.map(
+                column =>
+                    _.isNull(values[column]) || _.isUndefined(values[column])
+                        ? missing
+                        : values[column]
+            );
+            return [...key, ...data];
+        });
+
+        if (header) {
+            rows.unshift([...keyColumns, ...columns]);
+        }
+
+        return formatRows(rows, delimiter);
+    }
+
     /**
      * Returns the extents of the TimeSeries as a TimeRange.
      */
@@ -1015,34 +1104,37 @@ class TimeSeries {
      *                                              retrieve multiple deep nested values
      *                                              that ['can.be', 'done.with', 'this.notation'].
      *                                              A single deep value with a string.like.this.
-     * @param {string}       options.method         "linear" or "pad" or "zero" style interpolation
+     * @param {string}       options.method         The fill method, one of:
+     *                                               * "zero" - set missing values to 0
+     *                                               * "pad" - use the previous value
+     *                                               * "backfill" - use the next value
+     *                                               * "nearest" - use the value closest in time
+     *                                               * "mean" - the mean of the values either side
+     *                                               * "linear" - linear interpolation
+     *                                               * "spline" - monotone cubic spline interpolation
      * @param {number}       options.limit          The maximum number of points which should be
      *                                              interpolated onto missing points. You might set this to
      *                                              2 if you are willing to fill 2 new points,
      *                                              and then beyond that leave data with missing values.
+     * @param {string}       options.maxGap         The longest outage to fill, as a duration, e.g. "5m".
+     *                                              With "zero" or "pad", values up to maxGap after the
+     *                                              last good value are filled. With the other methods
+     *                                              longer outages are left entirely missing.
      *
      * @return {TimeSeries}                         The resulting filled TimeSeries
      */
     fill(options) {
-        const { fieldSpec = null, method = "zero", limit = null } = options;
-
-        let pipeline = this.pipeline();
-
-        if (method === "zero" || method === "pad") {
-            pipeline = pipeline.fill({ fieldSpec, method, limit });
-        } else if (method === "linear" && _.isArray(fieldSpec)) {
-            fieldSpec.forEach(fieldPath => {
-                pipeline = pipeline.fill({
-                    fieldSpec: fieldPath,
-                    method,
-                    limit
-                });
-            });
-        } else {
-            throw new Error("Invalid fill method:", method);
-        }
+        const {
+            fieldSpec = null,
+            method = "zero",
+            limit = null,
+            maxGap = null
+        } = options;
 
-        const collections = pipeline.toKeyedCollections();
+        const collections = this
+            .pipeline()
+            .fill({ fieldSpec, method, limit, maxGap })
+            .toKeyedCollections();
 
         return this.setCollection(collections["all"], true);
     }
@@ -1082,12 +1174,17 @@ class TimeSeries {
      *                                              retrieve multiple deep nested values
      *                                              that ['can.be', 'done.with', 'this.notation'].
      *                                              A single deep value with a string.like.this.
-     * @param {string}       options.period         Spacing of aligned values. e.g. "6h" or "5m"
-     * @param {string}       options.method         "linear" or "pad" style interpolation to boundaries.
+     * @param {string}       options.period         Spacing of aligned values. e.g. "6h", "5m" or "500ms"
+     * @param {string}       options.method         The interpolation to boundaries, one of "linear",
+     *                                              "hold" (the previous value), "backfill" (the next
+     *                                              value), "nearest", "mean" or "spline".
      * @param {number}       options.limit          The maximum number of points which should be
      *                                              interpolated onto boundaries. You might set this to
      *                                              2 if you are willing to interpolate 2 new points,
      *                                              and then beyond that just emit nulls on the boundaries.
+     * @param {string}       options.maxGap         The longest time between two events, as a duration
+     *                                              e.g. "5m", that will be interpolated across. Boundaries
+     *                                              within longer outages will be null.
      *
      * @return {TimeSeries}     The resulting aligned TimeSeries
      */
@@ -1096,16 +1193,245 @@ class TimeSeries {
             fieldSpec = "value",
             period = "5m",
             method = "linear",
-            limit = null
+            limit = null,
+            maxGap = null
         } = options;
         const collection = this
             .pipeline()
-            .align(fieldSpec, period, method, limit)
+            .align(fieldSpec, period, method, limit, maxGap)
+            .toKeyedCollections();
+
+        return this.setCollection(collection["all"], true);
+    }
+
+    /**
+     * Insert events for timestamps missing from the TimeSeries, so that
+     * there is at least one event in every period of an expected cadence.
+     * For each period between two events which has no event, a new event
+     * is added at the start of the period with null values. Existing events
+     * are unchanged. The nulls may then be filled with `fill()`.
+     *
+     * @example
+     * ```
+     * const complete = timeseries
+     *     .reindex({ period: "30s" })
+     *     .fill({ method: "linear" });
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string}       options.period         The expected cadence, e.g. "30s". Periods are fixed
+     *                                              windows relative to Jan 1st, 1970 (UTC).
+     * @param {string|array} options.fieldSpec      Column or columns to set to null in the new events.
+     *                                              Otherwise new events have all the columns of the
+     *                                              event before them.
+     *
+     * @return {TimeSeries}                         The resulting reindexed TimeSeries
+     */
+    reindex(options) {
+        const { period, fieldSpec = null } = options;
+        const collection = this
+            .pipeline()
+            .reindex({ period, fieldSpec })
             .toKeyedCollections();
 
         return this.setCollection(collection["all"], true);
     }
 
+    /**
+     * Builds a new TimeSeries with a rolling aggregation of this one,
+     * e.g. a moving average or rolling standard deviation. There is an
+     * event in the result for every event in this TimeSeries, at the
+     * same time, so it can be charted alongside the original data.
+     *
+     * The window is either a duration, in which case each result is the
+     * aggregation of the events within that time up to and including the
+     * event, or a number of events, for an aggregation of the last n events.
+     *
+     * @example
+     * ```
+     * const movingAvg = timeseries.rolling({
+     *     window: 20,
+     *     aggregation: { value: { value: avg() } }
+     * });
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string|number} options.window        A duration, e.g. "10m", or a number of events
+     * @param {object}       options.aggregation    The aggregation specification, e.g.
+     *                                              {value_avg: {value: avg()}, value_stdev: {value: stdev()}}
+     *
+     * @return {TimeSeries}                         The resulting rolling TimeSeries
+     */
+    rolling(options) {
+        const { window, aggregation } = options;
+        const collections = this
+            .pipeline()
+            .rolling({ window, aggregation })
+            .toKeyedCollections();
+
+        return this.setCollection(collections["all"], true);
+    }
+
+    /**
+     * Builds a new TimeSeries with the values of the columns replaced by
+     * their exponentially weighted moving average (EWMA). Supply either an
+     * `alpha`, the weight given to each new value, or a `halfLife`, the
+     * time it takes the weight of a value to halve. A half life accounts
+     * for the time between events, so suits irregularly sampled data.
+     *
+     * @example
+     * ```
+     * const smoothed = timeseries.ewma({ fieldSpec: "in", halfLife: "5m" });
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string|array} options.fieldSpec      Column or columns to average (default "value")
+     * @param {number}       options.alpha          The weight of each new value, between 0 and 1
+     * @param {string}       options.halfLife       The half life as a duration, e.g. "5m"
+     *
+     * @return {TimeSeries}                         The resulting smoothed TimeSeries
+     */
+    ewma(options) {
+        const { fieldSpec = null, alpha = null, halfLife = null } = options;
+        const collections = this
+            .pipeline()
+            .ewma({ fieldSpec, alpha, halfLife })
+            .toKeyedCollections();
+
+        return this.setCollection(collections["all"], true);
+    }
+
+    /**
+     * Builds a new TimeSeries at a different cadence. The result has a
+     * TimeEvent for every period from the first event to the last. Where
+     * there are events in a period, their values are aggregated, so this
+     * can downsample like `fixedWindowRollup()`. Where a period has no
+     * events, its values are interpolated from the periods either side,
+     * so this can also upsample like `align()`.
+     *
+     * @example
+     * ```
+     * const fiveMinute = timeseries.resample({
+     *     period: "5m",
+     *     aggregation: { value: { value: avg() } },
+     *     interpolation: "linear"
+     * });
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string}       options.period         The new cadence, e.g. "5m". Periods are fixed
+     *                                              windows relative to Jan 1st, 1970 (UTC).
+     * @param {object}       options.aggregation    The aggregation specification for periods with
+     *                                              events, e.g. {value: {value: avg()}}
+     * @param {string}       options.interpolation  The method for periods without events, one of
+     *                                              "linear" (the default), "hold", "backfill",
+     *                                              "nearest", "mean" or "spline", or null to leave
+     *                                              their values null.
+     * @param {string}       options.label          Whether the events are at the "begin" (the
+     *                                              default), "center" or "end" of each period
+     *
+     * @return {TimeSeries}                         The resulting resampled TimeSeries
+     */
+    resample(options) {
+        const {
+            period,
+            aggregation,
+            interpolation = "linear",
+            label = "begin"
+        } = options;
+        const collections = this
+            .pipeline()
+            .resample({ period, aggregation, interpolation, label })
+            .toKeyedCollections();
+
+        return this.setCollection(collections["all"], true);
+    }
+
+    /**
+     * Builds a new TimeSeries with each event annotated with an anomaly
+     * flag and score for a column, by default in the `anomaly` and
+     * `anomaly_score` columns. See `Pipeline.detect()` for the methods
+     * and their options.
+     *
+     * @example
+     * ```
+     * const checked = timeseries.detect({
+     *     fieldSpec: "in",
+     *     method: "threshold",
+     *     upper: 100,
+     *     hysteresis: 10
+     * });
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string}       options.fieldSpec      The column to check (default "value")
+     * @param {string}       options.method         "threshold", "zscore" or "seasonal"
+     * @param {string}       options.as             The name of the flag column (default "anomaly")
+     *
+     * @return {TimeSeries}                         The resulting annotated TimeSeries
+     */
+    detect(options) {
+        const collections = this
+            .pipeline()
+            .detect(options)
+            .toKeyedCollections();
+
+        return this.setCollection(collections["all"], true);
+    }
+
+    /**
+     * Returns a list of the TimeRanges where data is absent for longer
+     * than the threshold, i.e. where the time from the end of one event
+     * to the beginning of the next is more than the threshold.
+     *
+     * If a fieldSpec is supplied, events where all of those columns
+     * are missing (null, undefined or NaN) also count as absent data.
+     *
+     * @example
+     * ```
+     * const outages = timeseries.gaps({ threshold: "5m" });
+     * outages.forEach(range => console.log(range.humanizeDuration()));
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string}       options.threshold      The longest time without data that isn't a gap, e.g. "5m"
+     * @param {string|array} options.fieldSpec      Column or columns that must have values
+     *
+     * @return {TimeRange[]}                        The list of gaps
+     */
+    gaps(options) {
+        const { threshold, fieldSpec = null } = options;
+        const length = util.windowDuration(threshold);
+        if (_.isUndefined(length)) {
+            throw new Error(
+                `threshold supplied to gaps() should be a duration, e.g. "5m"`
+            );
+        }
+
+        let fieldPaths = null;
+        if (fieldSpec) {
+            const specs = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+            fieldPaths = specs.map(path => util.fieldPathToArray(path));
+        }
+
+        const ranges = [];
+        let previous = null;
+        for (const event of this.events()) {
+            const present = !fieldPaths ||
+                _.some(fieldPaths, p => !util.isMissing(event.get(p)));
+            if (present) {
+                if (
+                    previous &&
+                        +event.begin() - +previous.end() > length
+                ) {
+                    ranges.push(new TimeRange(previous.end(), event.begin()));
+                }
+                previous = event;
+            }
+        }
+        return ranges;
+    }
+
     /**
      * Returns the derivative of the TimeSeries for the given columns. The result will
      * be per second. Optionally you can substitute in `null` values if the rate
@@ -1119,14 +1445,101 @@ class TimeSeries {
      *                                              This is useful if you are getting the rate
      *                                              of a counter that always goes up, except
      *                                              when perhaps it rolls around or resets.
+     * @param {number}       options.wrap           Treat the columns as counters that wrap back to
+     *                                              zero at this number of bits, e.g. 32 or 64.
+     * @param {bool}         options.resets         Treat a drop in a counter, which isn't a wrap, as
+     *                                              the counter resetting to zero (e.g. on a reboot).
+     * @param {number}       options.maxRate        The largest plausible rate per second. Larger rates
+     *                                              are null, and a wrap that would give a larger rate
+     *                                              is taken as a reset.
+     * @param {string}       options.alignment      Output TimeEvents at the beginning ("lag"), center
+     *                                              or end ("lead") of each interval, rather than
+     *                                              TimeRangeEvents.
      *
      * @return {TimeSeries}                         The resulting `TimeSeries` containing calculated rates.
      */
     rate(options = {}) {
-        const { fieldSpec = "value", allowNegative = true } = options;
+        const {
+            fieldSpec = "value",
+            allowNegative = true,
+            wrap = null,
+            resets = false,
+            maxRate = null,
+            alignment = null
+        } = options;
+        const collection = this
+            .pipeline()
+            .rate(fieldSpec, allowNegative, { wrap, resets, maxRate, alignment })
+            .toKeyedCollections();
+
+        return this.setCollection(collection["all"], true);
+    }
+
+    /**
+     * Returns the integral over time of the TimeSeries for the given columns,
+     * the inverse of `rate()`. The result has a TimeEvent at the time of each
+     * event with the integral up to that time, per second, in a
+     * `<column>_integral` column. For example, integrating a rate in
+     * bytes/sec gives the total bytes.
+     *
+     * @example
+     * ```
+     * const dailyBytes = timeseries.integral({
+     *     fieldSpec: "in",
+     *     resetBy: "daily",
+     *     timezone: "America/Chicago"
+     * });
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {string|array} options.fieldSpec      Column or columns to integrate (default "value")
+     * @param {string}       options.method         "trapezoid" (the default) for the trapezoidal
+     *                                              rule, or "left" for a left Riemann sum, where
+     *                                              each value holds until the next event.
+     * @param {string}       options.resetBy        Start from zero again at the beginning of each
+     *                                              window, either fixed (e.g. "1h") or "daily",
+     *                                              "weekly", "monthly", "quarterly" or "yearly".
+     * @param {string}       options.timezone       The time zone of calendar windows, otherwise
+     *                                              local time is used.
+     *
+     * @return {TimeSeries}                         The resulting `TimeSeries` of integrals
+     */
+    integral(options = {}) {
+        const {
+            fieldSpec = "value",
+            method = "trapezoid",
+            resetBy = null,
+            timezone = null
+        } = options;
+        const collection = this
+            .pipeline()
+            .integral({ fieldSpec, method, resetBy, timezone })
+            .toKeyedCollections();
+
+        return this.setCollection(collection["all"], true);
+    }
+
+    /**
+     * Returns the cumulative sum of the TimeSeries for the given columns.
+     * The result has a TimeEvent at the time of each event with the sum of
+     * the values up to and including that event, in a `<column>_cumsum`
+     * column. Missing values add nothing to the sum.
+     *
+     * @param                options                An object containing options:
+     * @param {string|array} options.fieldSpec      Column or columns to sum (default "value")
+     * @param {string}       options.resetBy        Start from zero again at the beginning of each
+     *                                              window, either fixed (e.g. "1h") or "daily",
+     *                                              "weekly", "monthly", "quarterly" or "yearly".
+     * @param {string}       options.timezone       The time zone of calendar windows, otherwise
+     *                                              local time is used.
+     *
+     * @return {TimeSeries}                         The resulting `TimeSeries` of sums
+     */
+    cumsum(options = {}) {
+        const { fieldSpec = "value", resetBy = null, timezone = null } = options;
         const collection = this
             .pipeline()
-            .rate(fieldSpec, allowNegative)
+            .cumsum({ fieldSpec, resetBy, timezone })
             .toKeyedCollections();
 
         return this.setCollection(collection["all"], true);
@@ -1150,6 +1563,11 @@ class TimeSeries {
      * will aggregate both "in" and "out" using the average aggregation
      * function and return the result as in_avg and out_avg.
      *
+     * With `partial`, the fields hold partial aggregates (see
+     * `Pipeline.aggregate()`), so that the result can be rolled up again,
+     * e.g. 5 minute rollups into hourly rollups, giving the same answer
+     * as rolling up the original series.
+     *
      * @example
      * ```
      *     const timeseries = new TimeSeries(data);
@@ -1160,13 +1578,19 @@ class TimeSeries {
      * ```
      *
      * @param                options                An object containing options:
-     * @param {string}       options.windowSize     The size of the window. e.g. "6h" or "5m"
+     * @param {string}       options.windowSize     The size of the window. e.g. "6h", "1h30m" or "500ms"
      * @param {object}       options.aggregation    The aggregation specification (see description above)
      * @param {bool}         options.toTimeEvents   Output as `TimeEvent`s, rather than `IndexedEvent`s
+     * @param {bool}         options.partial        Output partial aggregates, which can be rolled up again
      * @return {TimeSeries}                         The resulting rolled up `TimeSeries`
      */
     fixedWindowRollup(options) {
-        const { windowSize, aggregation, toTimeEvents = false } = options;
+        const {
+            windowSize,
+            aggregation,
+            toTimeEvents = false,
+            partial = false
+        } = options;
         if (!windowSize) {
             throw new Error(
                 "windowSize must be supplied, for example '5m' for five minute rollups"
@@ -1183,7 +1607,7 @@ class TimeSeries {
             .pipeline()
             .windowBy(windowSize)
             .emitOn("discard")
-            .aggregate(aggregation);
+            .aggregate(aggregation, { partial });
 
         const eventTypePipeline = toTimeEvents
             ? aggregatorPipeline.asTimeEvents()
@@ -1210,11 +1634,12 @@ class TimeSeries {
      * @param {bool}         options.toTimeEvents   Convert the rollup events to `TimeEvent`s, otherwise it
      *                                              will be returned as a `TimeSeries` of `IndexedEvent`s.
      * @param {object}       options.aggregation    The aggregation specification (see description above)
+     * @param {bool}         options.partial        Output partial aggregates, which can be rolled up again
      *
      * @return {TimeSeries}     The resulting rolled up TimeSeries
      */
     hourlyRollup(options) {
-        const { aggregation, toTimeEvents = false } = options;
+        const { aggregation, toTimeEvents = false, partial = false } = options;
 
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
@@ -1222,7 +1647,12 @@ class TimeSeries {
             );
         }
 
-        return this.fixedWindowRollup("1h", aggregation, toTimeEvents);
+        return this.fixedWindowRollup({
+            windowSize: "1h",
+            aggregation,
+            toTimeEvents,
+            partial
+        });
     }
 
     /**
@@ -1239,11 +1669,19 @@ class TimeSeries {
      * @param {bool}         options.toTimeEvents   Convert the rollup events to `TimeEvent`s, otherwise it
      *                                              will be returned as a `TimeSeries` of `IndexedEvent`s.
      * @param {object}       options.aggregation    The aggregation specification (see description above)
+     * @param {string}       options.timezone       The time zone of the calendar windows, e.g.
+     *                                              "America/New_York". Windows are in local time otherwise.
+     * @param {bool}         options.partial        Output partial aggregates, which can be rolled up again
      *
      * @return {TimeSeries}     The resulting rolled up TimeSeries
      */
     dailyRollup(options) {
-        const { aggregation, toTimeEvents = false } = options;
+        const {
+            aggregation,
+            toTimeEvents = false,
+            timezone,
+            partial = false
+        } = options;
 
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
@@ -1251,7 +1689,57 @@ class TimeSeries {
             );
         }
 
-        return this._rollup("daily", aggregation, toTimeEvents);
+        return this._rollup(
+            "daily",
+            aggregation,
+            toTimeEvents,
+            timezone,
+            partial
+        );
+    }
+
+    /**
+     * Builds a new TimeSeries by dividing events into weeks. Weeks are ISO weeks,
+     * starting on a Monday, and are indexed like "2017-W14".
+     *
+     * Each window then has an aggregation specification `aggregation`
+     * applied. This specification describes a mapping of output
+     * fieldNames to aggregation functions and their fieldPath. For example:
+     * ```
+     * {in_avg: {in: avg()}, out_avg: {out: avg()}}
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {bool}         options.toTimeEvents   Convert the rollup events to `TimeEvent`s, otherwise it
+     *                                              will be returned as a `TimeSeries` of `IndexedEvent`s.
+     * @param {object}       options.aggregation    The aggregation specification (see description above)
+     * @param {string}       options.timezone       The time zone of the calendar windows, e.g.
+     *                                              "America/New_York". Windows are in local time otherwise.
+     * @param {bool}         options.partial        Output partial aggregates, which can be rolled up again
+     *
+     * @return {TimeSeries}                         The resulting rolled up `TimeSeries`
+     */
+    weeklyRollup(options) {
+        const {
+            aggregation,
+            toTimeEvents = false,
+            timezone,
+            partial = false
+        } = options;
+
+        if (!aggregation || !_.isObject(aggregation)) {
+            throw new Error(
+                "aggregation object must be supplied, for example: {value: {value: avg()}}"
+            );
+        }
+
+        return this._rollup(
+            "weekly",
+            aggregation,
+            toTimeEvents,
+            timezone,
+            partial
+        );
     }
 
     /**
@@ -1268,11 +1756,63 @@ class TimeSeries {
      * @param {bool}         options.toTimeEvents   Convert the rollup events to `TimeEvent`s, otherwise it
      *                                              will be returned as a `TimeSeries` of `IndexedEvent`s.
      * @param {object}       options.aggregation    The aggregation specification (see description above)
+     * @param {string}       options.timezone       The time zone of the calendar windows, e.g.
+     *                                              "America/New_York". Windows are in local time otherwise.
+     * @param {bool}         options.partial        Output partial aggregates, which can be rolled up again
      *
      * @return {TimeSeries}                         The resulting rolled up `TimeSeries`
      */
     monthlyRollup(options) {
-        const { aggregation, toTimeEvents = false } = options;
+        const {
+            aggregation,
+            toTimeEvents = false,
+            timezone,
+            partial = false
+        } = options;
+
+        if (!aggregation || !_.isObject(aggregation)) {
+            throw new Error(
+                "aggregation object must be supplied, for example: {value: {value: avg()}}"
+            );
+        }
+
+        return this._rollup(
+            "monthly",
+            aggregation,
+            toTimeEvents,
+            timezone,
+            partial
+        );
+    }
+
+    /**
+     * Builds a new TimeSeries by dividing events into quarters. Quarters are indexed
+     * like "2017-Q2".
+     *
+     * Each window then has an aggregation specification `aggregation`
+     * applied. This specification describes a mapping of output
+     * fieldNames to aggregation functions and their fieldPath. For example:
+     * ```
+     * {in_avg: {in: avg()}, out_avg: {out: avg()}}
+     * ```
+     *
+     * @param                options                An object containing options:
+     * @param {bool}         options.toTimeEvents   Convert the rollup events to `TimeEvent`s, otherwise it
+     *                                              will be returned as a `TimeSeries` of `IndexedEvent`s.
+     * @param {object}       options.aggregation    The aggregation specification (see description above)
+     * @param {string}       options.timezone       The time zone of the calendar windows, e.g.
+     *                                              "America/New_York". Windows are in local time otherwise.
+     * @param {bool}         options.partial        Output partial aggregates, which can be rolled up again
+     *
+     * @return {TimeSeries}                         The resulting rolled up `TimeSeries`
+     */
+    quarterlyRollup(options) {
+        const {
+            aggregation,
+            toTimeEvents = false,
+            timezone,
+            partial = false
+        } = options;
 
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
@@ -1280,7 +1820,13 @@ class TimeSeries {
             );
         }
 
-        return this._rollup("monthly", aggregation, toTimeEvents);
+        return this._rollup(
+            "quarterly",
+            aggregation,
+            toTimeEvents,
+            timezone,
+            partial
+        );
     }
 
     /**
@@ -1298,11 +1844,19 @@ class TimeSeries {
      * @param {bool}         options.toTimeEvents   Convert the rollup events to `TimeEvent`s, otherwise it
      *                                              will be returned as a `TimeSeries` of `IndexedEvent`s.
      * @param {object}       options.aggregation    The aggregation specification (see description above)
+     * @param {string}       options.timezone       The time zone of the calendar windows, e.g.
+     *                                              "America/New_York". Windows are in local time otherwise.
+     * @param {bool}         options.partial        Output partial aggregates, which can be rolled up again
      *
      * @return {TimeSeries}                         The resulting rolled up `TimeSeries`
      */
     yearlyRollup(options) {
-        const { aggregation, toTimeEvents = false } = options;
+        const {
+            aggregation,
+            toTimeEvents = false,
+            timezone,
+            partial = false
+        } = options;
 
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
@@ -1310,7 +1864,39 @@ class TimeSeries {
             );
         }
 
-        return this._rollup("yearly", aggregation, toTimeEvents);
+        return this._rollup(
+            "yearly",
+            aggregation,
+            toTimeEvents,
+            timezone,
+            partial
+        );
+    }
+
+    /**
+     * Builds several rolled up TimeSeries, one per window, in a single
+     * pass over the TimeSeries. For example:
+     * ```
+     * const rollups = timeseries.rollups({
+     *     "1h": { aggregation: { value: { value: avg() } } },
+     *     daily: { aggregation: { value: { value: avg() } }, timezone: "UTC" }
+     * });
+     * const hourly = rollups["1h"];
+     * ```
+     *
+     * Each window, either a duration like "5m" or one of "daily",
+     * "weekly", "monthly", "quarterly" or "yearly", maps to the options
+     * of that rollup (see `Pipeline.rollups()`): the `aggregation`, a
+     * `timezone` for calendar windows, `toTimeEvents` and `partial`.
+     *
+     * @param {object}       resolutions            A map of window to rollup options
+     *
+     * @return {object}                             A map of window to the rolled up `TimeSeries`
+     */
+    rollups(resolutions) {
+        const results = this.pipeline().rollups(resolutions);
+        return _.mapObject(results, collections =>
+            this.setCollection(collections["all"] || new Collection(), true));
     }
 
     /**
@@ -1319,12 +1905,18 @@ class TimeSeries {
      * Internal function to build the TimeSeries rollup functions using
      * an aggregator Pipeline.
      */
-    _rollup(type, aggregation, toTimeEvents = false) {
+    _rollup(
+        type,
+        aggregation,
+        toTimeEvents = false,
+        timezone = null,
+        partial = false
+    ) {
         const aggregatorPipeline = this
             .pipeline()
-            .windowBy(type)
+            .windowBy(timezone ? { type, timezone } : type)
             .emitOn("discard")
-            .aggregate(aggregation);
+            .aggregate(aggregation, { partial });
 
         const eventTypePipeline = toTimeEvents
             ? aggregatorPipeline.asTimeEvents()
@@ -1350,7 +1942,7 @@ class TimeSeries {
      * ```
      *
      * @param                options                An object containing options:
-     * @param {bool}         options.windowSize     The size of the window. e.g. "6h" or "5m"
+     * @param {bool}         options.windowSize     The size of the window. e.g. "6h", "1h30m" or "500ms"
      *
      * @return {map}    The result is a mapping from window index to a Collection.
      */
@@ -1387,6 +1979,126 @@ class TimeSeries {
         }
     }
 
+    /**
+     * Builds a new TimeSeries from CSV text. Each row becomes an event,
+     * with the data columns converted to numbers where possible. Column
+     * names containing dots are used as paths into nested data, so columns
+     * "NASA_north.in" and "NASA_north.out" become the "in" and "out" of
+     * the "NASA_north" column. Any options not listed below are used as
+     * the meta data of the series, e.g. the `name`.
+     *
+     * The type of events is determined by the header: an "index" column
+     * results in IndexedEvents, "begin" and "end" columns result in
+     * TimeRangeEvents, otherwise TimeEvents are built from the "time"
+     * column. This may be overridden with the `type` and `timeColumn`
+     * options.
+     *
+     * @example
+     * ```
+     * const csv = `time,in,out
+     * 1400425947000,52,41
+     * 1400425948000,18,22`;
+     * const series = TimeSeries.fromCSV(csv, { name: "traffic" });
+     * ```
+     *
+     * @param {string}       text                   The CSV text
+     * @param                options                An object containing options:
+     * @param {string}       options.type           "time", "timerange" or "index"
+     * @param {string|array} options.timeColumn     The time or index column name, or the
+     *                                              begin and end column names for a
+     *                                              timerange
+     * @param {string}       options.timeFormat     "ms" (the default), "s", "us", "ns",
+     *                                              "iso", or a moment.js format string
+     * @param {string}       options.delimiter      The field delimiter, defaults to ","
+     * @param {boolean|array} options.header        true (the default) if the first row
+     *                                              is the header, otherwise a list of
+     *                                              the column names
+     * @param {array}        options.missing        Values which are treated as missing,
+     *                                              defaults to ["", "null", "NaN"]
+     * @param {boolean}      options.utc            true (the default) if times without a
+     *                                              zone and indexes are in UTC, otherwise
+     *                                              they are in local time
+     *
+     * @return {TimeSeries} The new TimeSeries
+     */
+    static fromCSV(text, options = {}) {
+        const {
+            type,
+            timeColumn,
+            timeFormat = "ms",
+            delimiter = ",",
+            header = true,
+            missing = ["", "null", "NaN"],
+            utc = true,
+            ...meta
+        } = options;
+
+        const defaultKeyColumns = {
+            time: ["time"],
+            timerange: ["begin", "end"],
+            index: ["index"]
+        };
+        if (type && !_.has(defaultKeyColumns, type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const rows = parseRows(text, delimiter);
+        const columns = _.isArray(header) ? header : rows.shift();
+        if (!columns) {
+            throw new Error("Unable to read the CSV header");
+        }
+
+        let eventKey = type;
+        if (!eventKey) {
+            if (_.contains(columns, "index")) {
+                eventKey = "index";
+            } else if (
+                _.contains(columns, "begin") && _.contains(columns, "end")
+            ) {
+                eventKey = "timerange";
+            } else {
+                eventKey = "time";
+            }
+        }
+
+        let keyColumns = defaultKeyColumns[eventKey];
+        if (timeColumn) {
+            keyColumns = _.isArray(timeColumn) ? timeColumn : [timeColumn];
+        }
+        const keyPositions = keyColumns.map(column => {
+            const i = columns.indexOf(column);
+            if (i < 0) {
+                throw new Error(`CSV has no "${column}" column`);
+            }
+            return i;
+        });
+
+        const Event = this.event(eventKey);
+        const events = rows.map(row => {
+            const keyValues = keyPositions.map(i => row[i]);
+            let key;
+            if (eventKey === "index") {
+                key = keyValues[0];
+            } else if (eventKey === "timerange") {
+                key = keyValues.map(v => parseTime(v, timeFormat, utc));
+            } else {
+                key = parseTime(keyValues[0], timeFormat, utc);
+            }
+
+            const data = {};
+            columns.forEach((column, i) => {
+                if (!_.contains(keyPositions, i)) {
+                    const value = i < row.length ? row[i] : "";
+                    setPath(data, column, parseValue(value, missing));
+                }
+            });
+
+            return new Event(key, data, utc);
+        });
+
+        return new this({ events, utc, ...meta });
+    }
+
     /**
       * Static function to compare two TimeSeries to each other. If the TimeSeries
       * are of the same instance as each other then equals will return true.